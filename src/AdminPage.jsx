@@ -1,9 +1,106 @@
-import { useState, useEffect } from 'react'
-import { supabase } from './supabaseClient'
+import { useState, useEffect, useRef, Fragment } from 'react'
+import { repository } from './repository'
+import { byId, findCycles } from './draw'
+import { takesPart } from './roles'
+import DrawAuditPanel from './DrawAuditPanel'
+import ResultsExport from './ResultsExport'
+import ChainRepair from './ChainRepair'
+import PresenterView from './PresenterView'
+import RouletteName from './RouletteName'
+import Confetti from './Confetti'
+import RevealEffectsSettings from './RevealEffectsSettings'
+import { SPIN_DURATIONS, loadEffects, saveEffects } from './revealEffects'
+import { useI18n } from './i18nContext'
+import { navigate, usePath } from './router'
+import { ROUTES } from './routes'
 
-function AdminPage({ onBack }) {
+// Where the reveal is, per event, so going back to the main page or a
+// browser crash in the middle of the party doesn't restart the show. Tied to
+// the draw: after a re-draw it starts from the top. Saved as the giver on
+// stage rather than a position in the list, so it still points at the same
+// link if the chain comes back changed after a reload.
+const REVEAL_STEP_KEY = 'lp5-ny.revealStep'
+
+const loadRevealStep = (eventId, drawId, chain) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${REVEAL_STEP_KEY}.${eventId}`))
+    if (saved?.drawId !== drawId) return -1
+    // Started, but nobody on stage yet, or a giver who has left since
+    const index = chain.findIndex(link => link.giverId === saved.giverId)
+    if (index === -1) return saved.receiverShown ? -0.5 : -1
+    return index + (saved.receiverShown ? 0.5 : 0)
+  } catch {
+    return -1
+  }
+}
+
+const saveRevealStep = (eventId, drawId, chain, step) =>
+  localStorage.setItem(`${REVEAL_STEP_KEY}.${eventId}`, JSON.stringify({
+    drawId,
+    giverId: chain[Math.floor(step)]?.giverId ?? null,
+    receiverShown: step % 1 !== 0
+  }))
+
+const orderChain = (participants, changedGivers = new Set()) => {
+  if (participants.length === 0) return []
+  
+  // Create a map for quick lookup
+  const participantMap = new Map(participants.map(p => [p.id, p]))
+  
+  // Filter out organizers who don't take part and those who haven't drawn anyone (if any).
+  // Sorted, so the chain starts at the same person whatever order the rows
+  // come in; otherwise it would rotate on stage when a live update reloads it.
+  const validParticipants = participants.filter(p => takesPart(p) && p.drawn_participant_id).sort(byId)
+  
+  if (validParticipants.length === 0) return []
+
+  // Build the chain in order: A -> B -> C -> A, so each receiver is the
+  // giver of the next row. A draw that was not made in single-loop mode can
+  // contain several separate loops; each link records which loop it belongs
+  // to so the reveal can mark where one loop closes and the next begins.
+  //
+  // If someone left without the chain being repaired, a loop is cut open:
+  // it is walked from the person nobody buys for (`unreceived`) to the one
+  // who has nobody to buy for, shown as a broken link at the end.
+  const assignments = new Map(validParticipants.map(p => [p.id, p.drawn_participant_id]))
+  const received = new Set(assignments.values())
+  const heads = validParticipants.filter(p => !received.has(p.id)).map(p => p.id)
+  const cycles = findCycles(assignments, [...heads, ...validParticipants.map(p => p.id)])
+  const orderedChain = []
+
+  cycles.forEach((cycle, cycleIndex) => {
+    for (const giverId of cycle) {
+      const receiver = participantMap.get(assignments.get(giverId))
+
+      orderedChain.push({
+        giver: participantMap.get(giverId).name,
+        giverId,
+        revealed: participantMap.get(giverId).is_revealed,
+        receiver: receiver?.name ?? null,
+        receiverId: receiver?.id ?? null,
+        cycle: cycleIndex,
+        unreceived: giverId === cycle[0] && heads.includes(giverId),
+        changed: changedGivers.has(giverId),
+        broken: !receiver
+      })
+    }
+
+    const last = cycle[cycle.length - 1]
+    const dangling = participantMap.get(assignments.get(last))
+    if (dangling && !assignments.has(dangling.id)) {
+      orderedChain.push({ giver: dangling.name, giverId: dangling.id, receiver: null, receiverId: null, cycle: cycleIndex, broken: true })
+    }
+  })
+
+  return orderedChain
+}
+
+function AdminPage({ eventId, onBack }) {
+  const { t, te } = useI18n()
   const [participants, setParticipants] = useState([])
   const [loading, setLoading] = useState(true)
+  // Givers whose receiver changed after the draw (late joiners, withdrawals)
+  const [changedGivers, setChangedGivers] = useState(new Set())
   
   // State to track progress:
   // -1: Nothing shown
@@ -13,120 +110,114 @@ function AdminPage({ onBack }) {
   // 1.5: Show 2nd row receiver
   // etc.
   const [step, setStep] = useState(-1)
+  const [drawId, setDrawId] = useState(null)
+  // Presenter mode has its own URL, to open it straight on the projector
+  const presenting = usePath() === ROUTES.presenter
+  const [effects, setEffects] = useState(loadEffects)
+  // The link whose receiver was just revealed by stepping forward; only that
+  // one spins, not the ones shown again after going back or reloading
+  const [spinIndex, setSpinIndex] = useState(null)
+  const [error, setError] = useState(null)
+  const restored = useRef(false)
 
-  useEffect(() => {
-    fetchParticipants()
-  }, [])
-
-  const fetchParticipants = async () => {
-    const { data, error } = await supabase
-      .from('participants')
-      .select('*')
-    
-    if (error) {
-      console.error('Error fetching participants:', error)
-    } else {
-      setParticipants(data || [])
-    }
-    setLoading(false)
-  }
+  // Bumped to load the chain again: after live updates and repairs
+  const [version, setVersion] = useState(0)
+  const reload = () => setVersion(v => v + 1)
 
-  const getOrderedChain = () => {
-    if (participants.length === 0) return []
-    
-    // Create a map for quick lookup
-    const participantMap = new Map(participants.map(p => [p.id, p]))
-    
-    // Filter out admin and those who haven't drawn anyone (if any)
-    const validParticipants = participants.filter(p => p.id !== 'admin' && p.drawn_participant_id)
-    
-    if (validParticipants.length === 0) return []
-
-    // Build the chain in order: A -> B -> C -> A
-    // Start with the first participant in the list (or random)
-    let current = validParticipants[0]
-    const orderedChain = []
-    const visited = new Set()
-
-    // We might have multiple disjoint cycles if the draw logic allows it (though standard Secret Santa is usually one big cycle)
-    // But let's handle at least one main cycle or just follow the path.
-    
-    // Since we want to show A->B, then B->C, we need to find the person who is the receiver of the previous row
-    // to be the giver of the next row.
-    
-    // Let's try to follow the chain from the first person.
-    // Note: If there are multiple cycles, this will only show one cycle. 
-    // If the draw logic guarantees one big loop, this is perfect.
-    // If not, we might need to handle remaining unvisited participants.
-    
-    while (current && !visited.has(current.id)) {
-      visited.add(current.id)
-      
-      const receiverId = current.drawn_participant_id
-      const receiver = participantMap.get(receiverId)
+  useEffect(() => {
+    const fetchParticipants = async () => {
+      // Admins only; the participants table itself is not readable
+      const { data, error } = await repository.draws.getChain(eventId)
       
-      if (receiver) {
-        orderedChain.push({
-          giver: current.name,
-          receiver: receiver.name,
-          receiverId: receiver.id // Keep ID to find next giver
-        })
-        
-        // The receiver becomes the next giver
-        current = receiver
+      if (error) {
+        console.error('Error fetching participants:', error)
       } else {
-        break // Should not happen if data is consistent
+        setParticipants(data || [])
       }
+
+      const { data: record } = await repository.draws.getLatest(eventId)
+      setChangedGivers(new Set((record?.amendments || []).flatMap(a =>
+        a.repairs ? a.repairs.map(r => r.giver_id) : [a.giver_id])))
+      setDrawId(record?.id ?? null)
+
+      // Pick up the show where it was left
+      if (!restored.current) {
+        restored.current = true
+        setStep(loadRevealStep(eventId, record?.id ?? null, orderChain(data || [])))
+      }
+      setLoading(false)
     }
-    
-    // If there are left over participants (disjoint cycles), we should add them too.
-    // Let's check for unvisited valid participants
-    const unvisited = validParticipants.filter(p => !visited.has(p.id))
-    
-    // If we have unvisited nodes, it means there are multiple loops. 
-    // We can just append them by starting a new chain from the first unvisited one.
-    let remaining = unvisited
-    while (remaining.length > 0) {
-       let nextStart = remaining[0]
-       while (nextStart && !visited.has(nextStart.id)) {
-          visited.add(nextStart.id)
-          const receiverId = nextStart.drawn_participant_id
-          const receiver = participantMap.get(receiverId)
-          
-          if (receiver) {
-            orderedChain.push({
-              giver: nextStart.name,
-              receiver: receiver.name,
-              receiverId: receiver.id
-            })
-            nextStart = receiver
-          } else {
-            break
-          }
-       }
-       remaining = validParticipants.filter(p => !visited.has(p.id))
-    }
+    fetchParticipants()
+  }, [eventId, version])
+
+  // Pick up reveals and late changes while the page is open
+  useEffect(() => repository.live.subscribe(eventId, () => setVersion(v => v + 1)), [eventId])
 
-    return orderedChain
+  // Every receiver shown on stage is also revealed on that giver's own
+  // screen, so everyone finds out at the same moment as the room. Going back
+  // only changes what is on stage; names already revealed stay revealed.
+  const goTo = async (next) => {
+    const chain = orderChain(participants, changedGivers)
+    const target = Math.max(-1, Math.min(next, chain.length - 0.5))
+    setSpinIndex(target > step && target % 1 !== 0 ? Math.floor(target) : null)
+    setStep(target)
+    saveRevealStep(eventId, drawId, chain, target)
+
+    const due = chain.filter((link, index) => index + 0.5 <= target && !link.broken && !link.revealed)
+    for (const link of due) {
+      const { error } = await repository.reveal.revealOne(eventId, link.giverId)
+      if (error) setError(t('chain.revealError', { name: link.giver, message: te(error.message) }))
+    }
   }
 
-  const handleNextStep = () => {
-    setStep(prev => prev + 0.5)
+  const handleNextStep = () => goTo(step + 0.5)
+
+  const handleEffectsChange = (newEffects) => {
+    setEffects(newEffects)
+    saveEffects(newEffects)
   }
 
-  if (loading) return <div>Loading...</div>
+  if (loading) return <div>{t('app.loading')}</div>
 
-  const chain = getOrderedChain()
+  const chain = orderChain(participants, changedGivers)
+  const names = chain.filter(link => !link.broken).map(link => link.receiver)
+  // Confetti once the last receiver has landed, not when the show is resumed
+  const confetti = effects.confetti && chain.length > 0 && spinIndex === chain.length - 1 && (
+    <Confetti delay={effects.spin ? SPIN_DURATIONS[effects.speed] / 1000 : 0} />
+  )
+  const loopCount = chain.length > 0 ? chain[chain.length - 1].cycle + 1 : 0
+  const problems = [
+    ...chain.filter(link => link.unreceived).map(link => t('chain.unreceived', { name: link.giver })),
+    ...chain.filter(link => link.broken).map(link => t('chain.dangling', { name: link.giver }))
+  ]
 
   return (
     <div className="card">
-      <h2>Gift Exchange Chain</h2>
-      <button onClick={onBack} style={{marginBottom: '1rem', backgroundColor: '#666'}}>Back to Main</button>
+      <h2>{t('chain.title')}</h2>
+      <button onClick={onBack} style={{marginBottom: '1rem', backgroundColor: '#666'}}>{t('chain.back')}</button>
       
       {chain.length === 0 ? (
-        <p>No draw results available yet.</p>
+        <p>{t('chain.none')}</p>
       ) : (
         <div style={{textAlign: 'left'}}>
+          {problems.length > 0 && (
+            <div className="error chain-problems" style={{padding: '0.5rem 1rem', border: '2px solid #c0392b', borderRadius: '8px', marginBottom: '1rem'}}>
+              <p style={{margin: 0}}><strong>{t('chain.broken')}</strong></p>
+              <ul>
+                {problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+              <p style={{margin: 0}}>{t('chain.useRepair')}</p>
+            </div>
+          )}
+
+          {loopCount > 1 && (
+            <p style={{textAlign: 'center', color: '#666', fontSize: '0.9em'}}>
+              {t('chain.loops', { count: loopCount })}
+            </p>
+          )}
+
+          <RevealEffectsSettings effects={effects} onChange={handleEffectsChange} />
+
           <div style={{marginBottom: '1rem', textAlign: 'center'}}>
             <button 
               onClick={handleNextStep} 
@@ -142,11 +233,27 @@ function AdminPage({ onBack }) {
                 boxShadow: '0 2px 5px rgba(0,0,0,0.1)'
               }}
             >
-              {step === -1 ? "Start Reveal" : 
-               step % 1 === 0 ? "Reveal Receiver" : "Next Giver"}
+              {t(step === -1 ? 'chain.start' :
+                 step % 1 === 0 ? 'chain.revealReceiver' : 'chain.nextGiver')}
+            </button>
+            <button onClick={() => navigate(ROUTES.presenter)} style={{backgroundColor: '#333'}}>
+              {t('chain.presenterMode')}
             </button>
           </div>
 
+          {presenting && (
+            <PresenterView
+              chain={chain}
+              step={step}
+              names={names}
+              effects={effects}
+              spinIndex={spinIndex}
+              confetti={confetti}
+              onGoTo={goTo}
+              onClose={() => navigate(ROUTES.chain)}
+            />
+          )}
+
           <ul style={{listStyle: 'none', padding: 0}}>
             {chain.map((link, index) => {
               // Logic to determine visibility
@@ -156,47 +263,82 @@ function AdminPage({ onBack }) {
               if (step < index) return null // Don't render future rows
 
               const isReceiverRevealed = step >= index + 0.5
+              const startsNewLoop = index > 0 && link.cycle !== chain[index - 1].cycle
 
               return (
-                <li 
-                  key={index} 
-                  style={{
-                    padding: '1rem', 
-                    borderBottom: '1px solid #eee', 
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    backgroundColor: isReceiverRevealed ? '#fff8f3' : '#fff',
-                    transition: 'background-color 0.3s ease'
-                  }}
-                >
-                  <span style={{fontWeight: 'bold', fontSize: '1.1em', color: '#333'}}>{link.giver}</span> 
-                  <span style={{margin: '0 1rem', color: '#F37021'}}>➔</span>
-                  <span style={{
-                    fontWeight: isReceiverRevealed ? 'bold' : 'normal',
-                    color: isReceiverRevealed ? '#F37021' : '#ccc',
-                    backgroundColor: isReceiverRevealed ? 'transparent' : '#f5f5f5',
-                    padding: '0.4rem 1rem',
-                    borderRadius: '20px',
-                    minWidth: '100px',
-                    textAlign: 'center',
-                    fontSize: '1.1em',
-                    transition: 'all 0.3s ease'
-                  }}>
-                    {isReceiverRevealed ? link.receiver : '???'}
-                  </span>
-                </li>
+                <Fragment key={index}>
+                  {startsNewLoop && (
+                    <li className="loop-boundary" style={{
+                      padding: '0.5rem 1rem',
+                      margin: '0.5rem 0',
+                      textAlign: 'center',
+                      color: '#666',
+                      fontSize: '0.9em',
+                      borderTop: '2px dashed #F37021',
+                      borderBottom: '2px dashed #F37021'
+                    }}>
+                      {t('chain.loopBoundary', { closed: link.cycle, next: link.cycle + 1 })}
+                    </li>
+                  )}
+                  <li 
+                    style={{
+                      padding: '1rem', 
+                      borderBottom: '1px solid #eee', 
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      backgroundColor: isReceiverRevealed ? '#fff8f3' : '#fff',
+                      transition: 'background-color 0.3s ease'
+                    }}
+                  >
+                    <span style={{fontWeight: 'bold', fontSize: '1.1em', color: '#333'}}>
+                      {link.giver}
+                      {link.changed && <em style={{fontWeight: 'normal', fontSize: '0.75em', color: '#666'}}>{t('chain.changed')}</em>}
+                    </span> 
+                    <span style={{margin: '0 1rem', color: '#F37021'}}>➔</span>
+                    {link.broken ? (
+                      <span className="broken-link" style={{color: '#c0392b', fontWeight: 'bold', minWidth: '100px', textAlign: 'center'}}>
+                        {t('chain.nobody')}
+                      </span>
+                    ) : (
+                      <span style={{
+                        fontWeight: isReceiverRevealed ? 'bold' : 'normal',
+                        color: isReceiverRevealed ? '#F37021' : '#ccc',
+                        backgroundColor: isReceiverRevealed ? 'transparent' : '#f5f5f5',
+                        padding: '0.4rem 1rem',
+                        borderRadius: '20px',
+                        minWidth: '100px',
+                        textAlign: 'center',
+                        fontSize: '1.1em',
+                        transition: 'all 0.3s ease'
+                      }}>
+                        {isReceiverRevealed
+                          ? <RouletteName name={link.receiver} names={names} spin={index === spinIndex} effects={effects} />
+                          : '???'}
+                      </span>
+                    )}
+                  </li>
+                </Fragment>
               )
             })}
           </ul>
           
+          {error && <p className="error">{error}</p>}
+
           {step >= chain.length - 0.5 && (
             <p style={{textAlign: 'center', marginTop: '2rem', color: '#F37021', fontWeight: 'bold', fontSize: '1.2em'}}>
-              All pairs revealed! 🎉
+              {t('chain.allRevealed')}
             </p>
           )}
+          {!presenting && confetti}
         </div>
       )}
+
+      {chain.length > 0 && <ChainRepair eventId={eventId} participants={participants} onChange={reload} />}
+
+      {chain.length > 0 && <DrawAuditPanel eventId={eventId} participants={participants} />}
+
+      {chain.length > 0 && <ResultsExport eventId={eventId} chain={chain} />}
     </div>
   )
 }
@@ -0,0 +1,378 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import AdminPage from './AdminPage'
+import { repository } from './repository'
+import { runDraw } from './draw'
+import { createDrawRecord } from './drawAudit'
+
+vi.mock('./repository', async () => {
+  const { createMemoryRepository } = await import('./memoryRepository')
+  return { repository: createMemoryRepository({ storage: null }) }
+})
+
+// An event run by a non-drawing organizer, with the given chain and, if any,
+// the audit record of the draw
+const seedChain = (participants, draw = null) => repository.reset({
+  accounts: [{ id: 'boss', name: 'Boss' }],
+  events: [{ id: 'ev1', name: 'Party', join_code: 'ABCD2345' }],
+  participants: [
+    { event_id: 'ev1', id: 'boss', name: 'Boss', role: 'admin', participates: false },
+    ...participants.map(p => ({ event_id: 'ev1', ...p }))
+  ],
+  draws: draw ? [{ id: 1, event_id: 'ev1', ...draw }] : [],
+  session: 'boss'
+})
+
+const revealAll = (count) => {
+  fireEvent.click(screen.getByText('Start Reveal'))
+  for (let i = 0; i < count * 2; i++) {
+    fireEvent.click(screen.getByRole('button', { name: /Reveal Receiver|Next Giver/ }))
+  }
+}
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+describe('AdminPage', () => {
+  // The reveal position is saved per event
+  beforeEach(() => {
+    localStorage.clear()
+    window.history.replaceState(null, '', '/admin/chain')
+  })
+
+  it('walks a single loop without boundaries', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('Start Reveal')).toBeInTheDocument())
+
+    revealAll(3)
+
+    expect(screen.getByText('All pairs revealed! 🎉')).toBeInTheDocument()
+    expect(screen.queryByText(/separate loops/)).not.toBeInTheDocument()
+    expect(screen.queryByText(/Loop 1 closed/)).not.toBeInTheDocument()
+  })
+
+  it('keeps the chain in place when a live update returns the rows in another order', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+    // The database doesn't promise an order: every fetch after the first
+    // comes back reversed
+    const getChain = repository.draws.getChain
+    const spy = vi.spyOn(repository.draws, 'getChain').mockImplementation(async (eventId) => {
+      const result = await getChain(eventId)
+      return spy.mock.calls.length === 1 ? result : { ...result, data: [...result.data].reverse() }
+    })
+
+    try {
+      render(<AdminPage eventId="ev1" onBack={() => {}} />)
+      fireEvent.click(await screen.findByLabelText('Spin the names'))
+      const firstRow = () => screen.getAllByRole('listitem')[0]
+
+      fireEvent.click(screen.getByText('Start Reveal'))
+      fireEvent.click(screen.getByText('Next Giver'))
+      fireEvent.click(screen.getByText('Reveal Receiver'))
+      // Revealing Ann's receiver reloads the chain
+      await waitFor(() => expect(spy.mock.calls.length).toBeGreaterThan(1))
+      expect(firstRow()).toHaveTextContent('Ann➔Ben')
+
+      fireEvent.click(screen.getByText('Next Giver'))
+      fireEvent.click(screen.getByText('Reveal Receiver'))
+      await waitFor(async () => {
+        const { data } = await getChain('ev1')
+        expect(data.filter(p => p.is_revealed).map(p => p.id)).toEqual(['a', 'b'])
+      })
+      expect(firstRow()).toHaveTextContent('Ann➔Ben')
+    } finally {
+      spy.mockRestore()
+    }
+  })
+
+  it('reveals each giver\'s name as their receiver is shown', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('Start Reveal')).toBeInTheDocument())
+
+    const revealed = async () => (await repository.draws.getChain('ev1')).data.filter(p => p.is_revealed).map(p => p.id)
+
+    fireEvent.click(screen.getByText('Start Reveal'))
+    fireEvent.click(screen.getByText('Next Giver'))
+    expect(await revealed()).toEqual([])
+
+    fireEvent.click(screen.getByText('Reveal Receiver'))
+    await waitFor(async () => expect(await revealed()).toEqual(['a']))
+
+    fireEvent.click(screen.getByText('Next Giver'))
+    fireEvent.click(screen.getByText('Reveal Receiver'))
+    await waitFor(async () => expect(await revealed()).toEqual(['a', 'b']))
+  })
+
+  it('runs the reveal in presenter mode from the keyboard or a clicker', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    fireEvent.click(await screen.findByLabelText('Spin the names'))
+    fireEvent.click(screen.getByText('Presenter Mode'))
+    expect(window.location.pathname).toBe('/admin/chain/present')
+    const stage = screen.getByRole('dialog', { name: 'Presenter mode' })
+    const card = () => stage.querySelector('.presenter-card')
+
+    fireEvent.keyDown(window, { key: 'PageDown' })
+    fireEvent.keyDown(window, { key: 'PageDown' })
+    expect(card()).toHaveTextContent('Ann➔???')
+
+    fireEvent.keyDown(window, { key: 'PageDown' })
+    expect(card()).toHaveTextContent('Ann➔Ben')
+    await waitFor(async () => expect((await repository.draws.getChain('ev1')).data.find(p => p.id === 'a').is_revealed).toBe(true))
+
+    // Back only changes the stage
+    fireEvent.keyDown(window, { key: 'ArrowLeft' })
+    expect(card()).toHaveTextContent('Ann➔???')
+
+    // Jumping ahead reveals everyone before on their own screens
+    fireEvent.change(screen.getByLabelText('Jump to'), { target: { value: '2' } })
+    expect(card()).toHaveTextContent('Cat➔???')
+    await waitFor(async () => {
+      const { data } = await repository.draws.getChain('ev1')
+      expect(data.filter(p => p.is_revealed).map(p => p.id)).toEqual(['a', 'b'])
+    })
+
+    fireEvent.keyDown(window, { key: 'Escape' })
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(window.location.pathname).toBe('/admin/chain')
+  })
+
+  it('spins through the names before landing on the receiver', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    fireEvent.click(await screen.findByText('Start Reveal'))
+    fireEvent.click(screen.getByText('Next Giver'))
+
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    try {
+      fireEvent.click(screen.getByText('Reveal Receiver'))
+      const name = document.querySelector('.roulette-name')
+      expect(name).toHaveAttribute('aria-busy', 'true')
+      expect(name).not.toHaveTextContent('Ben')
+
+      act(() => vi.advanceTimersByTime(2500))
+      expect(name).toHaveAttribute('aria-busy', 'false')
+      expect(name).toHaveTextContent('Ben')
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('shows names straight away with reduced motion on', async () => {
+    vi.stubGlobal('matchMedia', () => ({ matches: true }))
+    try {
+      await seedChain([
+        { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+        { id: 'b', name: 'Ben', drawn_participant_id: 'a' },
+      ])
+
+      render(<AdminPage eventId="ev1" onBack={() => {}} />)
+      await screen.findByText('Start Reveal')
+      revealAll(2)
+
+      const names = [...document.querySelectorAll('.roulette-name')].map(n => n.textContent)
+      expect(names).toEqual(['Ben', 'Ann'])
+      expect(document.querySelector('.confetti')).toBeNull()
+      expect(screen.getByText(/asks for reduced motion/)).toBeInTheDocument()
+    } finally {
+      vi.unstubAllGlobals()
+    }
+  })
+
+  it('exports the chain in reveal order and everyone\'s wishes', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b', wishes: ['Tea'] },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'a', wishes: [{ title: 'Socks, warm', price: 300 }] },
+    ])
+    const files = []
+    // jsdom has no object URLs
+    URL.createObjectURL = (blob) => {
+      files.push(blob)
+      return 'blob:export'
+    }
+    URL.revokeObjectURL = () => {}
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    try {
+      render(<AdminPage eventId="ev1" onBack={() => {}} />)
+      fireEvent.click(await screen.findByText('Chain (CSV)'))
+      await waitFor(() => expect(files).toHaveLength(1))
+      fireEvent.click(screen.getByText('Wish Lists (CSV)'))
+      await waitFor(() => expect(files).toHaveLength(2))
+
+      expect(click.mock.contexts[0].download).toMatch(/^gift-chain-\d{4}-\d{2}-\d{2}\.csv$/)
+      expect(await readBlob(files[0])).toContain('1,1,a,Ann,b,Ben,,no\r\n2,1,b,Ben,a,Ann,,no')
+      expect(await readBlob(files[1])).toContain('b,Ben,1,"Socks, warm",,300,')
+    } finally {
+      vi.restoreAllMocks()
+      delete URL.createObjectURL
+      delete URL.revokeObjectURL
+    }
+  })
+
+  it('picks up the reveal where it was left', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'a' },
+    ])
+
+    const { unmount } = render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    fireEvent.click(await screen.findByText('Start Reveal'))
+    fireEvent.click(screen.getByText('Next Giver'))
+    fireEvent.click(screen.getByText('Reveal Receiver'))
+    expect(screen.getByText('Next Giver')).toBeInTheDocument()
+    unmount()
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    expect(await screen.findByText('Next Giver')).toBeInTheDocument()
+    expect(screen.queryByText('Start Reveal')).not.toBeInTheDocument()
+  })
+
+  it('picks up the reveal at the same giver when the chain changed in between', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+    const rows = () => screen.getAllByRole('listitem').map(li => li.textContent)
+
+    const { unmount } = render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    fireEvent.click(await screen.findByLabelText('Spin the names'))
+    fireEvent.click(screen.getByText('Start Reveal'))
+    for (let i = 0; i < 4; i++) fireEvent.click(screen.getByRole('button', { name: /Reveal Receiver|Next Giver/ }))
+    expect(rows()).toEqual(['Ann➔Ben', 'Ben➔Cat'])
+    unmount()
+
+    // Dan was added to the draw between Ann and Ben
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'd' },
+      { id: 'd', name: 'Dan', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ])
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    expect(await screen.findByText('Next Giver')).toBeInTheDocument()
+    expect(rows()).toEqual(['Ann➔Dan', 'Dan➔Ben', 'Ben➔Cat'])
+  })
+
+  it('marks where one loop closes and the next starts', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'a' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'd' },
+      { id: 'd', name: 'Dan', drawn_participant_id: 'c' },
+    ])
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('Start Reveal')).toBeInTheDocument())
+
+    expect(screen.getByText(/This draw has 2 separate loops/)).toBeInTheDocument()
+
+    revealAll(4)
+
+    expect(screen.getByText('↺ Loop 1 closed · Loop 2 starts')).toBeInTheDocument()
+  })
+
+  it('shows a broken chain instead of cutting it off, and repairs it', async () => {
+    // Cat -> Dan was lost when Dan was deleted
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: null },
+    ], { seed: 's', participant_ids: ['a', 'b', 'c', 'd'], participants_hash: 'h', commitment: 'c', amendments: [] })
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('The chain is broken:')).toBeInTheDocument())
+    expect(screen.getByText('Nobody buys for Ann')).toBeInTheDocument()
+    expect(screen.getByText('Cat has nobody to buy for')).toBeInTheDocument()
+
+    revealAll(3)
+    expect(screen.getByText('⚠ nobody')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Repair Chain...'))
+    expect(screen.getByText(/Cat will get a new person to buy for/)).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Repair Chain' }))
+
+    await waitFor(() => expect(screen.queryByText('The chain is broken:')).not.toBeInTheDocument())
+    expect(screen.getByText(/Please tell Cat that their assignment changed/)).toBeInTheDocument()
+    expect(screen.getByText('(changed after the draw)')).toBeInTheDocument()
+  })
+
+  it('withdraws someone and reports who to tell', async () => {
+    await seedChain([
+      { id: 'a', name: 'Ann', drawn_participant_id: 'b' },
+      { id: 'b', name: 'Ben', drawn_participant_id: 'c' },
+      { id: 'c', name: 'Cat', drawn_participant_id: 'a' },
+    ], { seed: 's', participant_ids: ['a', 'b', 'c'], participants_hash: 'h', commitment: 'c', amendments: [] })
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('Start Reveal')).toBeInTheDocument())
+
+    fireEvent.change(screen.getByLabelText('Participant to withdraw'), { target: { value: 'b' } })
+    fireEvent.click(screen.getByText('Withdraw...'))
+    expect(screen.getByText('Remove Ben from the event?')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Remove and Repair'))
+
+    await waitFor(() => {
+      expect(screen.getByText('Ben was removed. Please tell Ann that their assignment changed (they also see a notice in the app).')).toBeInTheDocument()
+    })
+    const { data } = await repository.draws.getChain('ev1')
+    expect(data.map(p => [p.id, p.drawn_participant_id])).toEqual([['a', 'c'], ['boss', null], ['c', 'a']])
+    expect(screen.queryByText('The chain is broken:')).not.toBeInTheDocument()
+  })
+
+  it('re-runs the recorded draw and verifies it', async () => {
+    const participants = [
+      { id: 'a', name: 'Ann' },
+      { id: 'b', name: 'Ben' },
+      { id: 'c', name: 'Cat' },
+    ]
+    const seed = 'fixed-seed'
+    const { assignments } = runDraw({ participants, seed })
+    const record = {
+      ...(await createDrawRecord({ participants, seed })),
+      created_at: '2026-12-01T12:00:00Z'
+    }
+    await seedChain(participants.map(p => ({ ...p, drawn_participant_id: assignments.get(p.id) })), record)
+
+    render(<AdminPage eventId="ev1" onBack={() => {}} />)
+    await waitFor(() => expect(screen.getByText('Re-run and Verify Draw')).toBeInTheDocument())
+    expect(screen.getByText(record.commitment)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Re-run and Verify Draw'))
+
+    await waitFor(() => {
+      expect(screen.getByText(/Verified: re-running the seed gives the saved result/)).toBeInTheDocument()
+    })
+  })
+})
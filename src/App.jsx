@@ -1,63 +1,121 @@
-import { useState, useEffect } from 'react'
-import { supabase } from './supabaseClient'
+import { useState, useEffect, useCallback, useEffectEvent } from 'react'
+import { repository } from './repository'
 import './App.css'
 import AdminPage from './AdminPage'
+import ExclusionEditor from './ExclusionEditor'
+import { generateSeed, runDraw } from './draw'
+import { createDrawRecord } from './drawAudit'
+import DrawCommitment from './DrawCommitment'
+import DrawResetControls from './DrawResetControls'
+import LateJoiners from './LateJoiners'
+import WishEditor from './WishEditor'
+import WishList from './WishList'
+import BudgetEditor from './BudgetEditor'
+import GiftMessages from './GiftMessages'
+import GiftStatus from './GiftStatus'
+import GiftReadiness from './GiftReadiness'
+import RevealCountdown from './RevealCountdown'
+import RevealSchedule from './RevealSchedule'
+import { formatBudget, normalizeWish, validateWishes } from './wishes'
+import RoleManager from './RoleManager'
+import ParticipantImport from './ParticipantImport'
+import EventSwitcher from './EventSwitcher'
+import LanguageSwitcher from './LanguageSwitcher'
+import { useI18n } from './i18nContext'
+import Link from './Link'
+import { navigate, usePath } from './router'
+import { ROUTES, redirectFor } from './routes'
+import { isAdmin as hasAdminRole, takesPart } from './roles'
+
+// Remembers which event the switcher was on between visits
+const CURRENT_EVENT_KEY = 'lp5-ny.currentEventId'
+
+// Invite links look like https://.../join?code=ABCD2345 (older ones
+// https://.../?code=ABCD2345, which end up on the login page)
+const inviteCodeFromUrl = () => new URLSearchParams(window.location.search).get('code') || ''
 
 function App() {
+  const { t, te, locale, formatDateTime, setAccount } = useI18n()
   const [username, setUsername] = useState('') // Maps to 'id'
   const [name, setName] = useState('')         // Maps to 'name' (Display Name)
   const [password, setPassword] = useState('')
+  const [inviteCode, setInviteCode] = useState(inviteCodeFromUrl)
+  // The event named on the login screen: the one an invite link is for, or
+  // else the one used last on this device
+  const [loginEvent, setLoginEvent] = useState(null)
   
-  // Wish state for editing
-  const [wish1, setWish1] = useState('')
-  const [wish2, setWish2] = useState('')
-  const [wish3, setWish3] = useState('')
   
   const [participants, setParticipants] = useState([])
-  const [currentUser, setCurrentUser] = useState(null)
+  // One row per event the logged-in account belongs to; null when logged out
+  const [memberships, setMemberships] = useState(null)
+  const [currentEventId, setCurrentEventId] = useState(() => localStorage.getItem(CURRENT_EVENT_KEY))
   const [drawResult, setDrawResult] = useState(null)
   
   const [loading, setLoading] = useState(false)
   const [initialLoading, setInitialLoading] = useState(true)
   const [error, setError] = useState(null)
   const [lotteryStatus, setLotteryStatus] = useState('open') // open, drawn, revealed
+  // Names are revealed per person (see the step-by-step reveal in AdminPage):
+  // isNamesRevealed once anyone's is, allRevealed once everyone's is
   const [isNamesRevealed, setIsNamesRevealed] = useState(false)
-  const [isLoginMode, setIsLoginMode] = useState(true)
-  const [isEditingWishes, setIsEditingWishes] = useState(false)
-  const [showAdminPage, setShowAdminPage] = useState(false)
+  const [allRevealed, setAllRevealed] = useState(false)
+  const [revealAt, setRevealAt] = useState(null)
+  // Id of the draw in place; changes with every reset and re-draw
+  const [drawId, setDrawId] = useState(null)
+  const [singleLoop, setSingleLoop] = useState(false)
+  // Logged in from a session saved by an earlier visit
+  const [restoredSession, setRestoredSession] = useState(false)
+
+  // The logged-in participant in the selected event
+  const currentUser = memberships?.find(m => m.event_id === currentEventId) || memberships?.[0] || null
+  const eventId = currentUser?.event_id
+  const isAdmin = hasAdminRole(currentUser)
+
+  const path = usePath()
+  const isLoginMode = path !== ROUTES.join
+  const isEditingWishes = path === ROUTES.wishes
+
+  // Both change with the selected event, which reloads everything below
+  const fetchParticipants = useCallback(async (forEventId = eventId) => {
+    // Public fields only
+    const { data, error } = await repository.participants.list(forEventId)
+    if (error) console.error('Error fetching participants:', error)
+    else setParticipants(data || [])
+  }, [eventId])
 
-  const ADMIN_USERNAME = 'admin'
+  const checkLotteryStatus = useCallback(async (forEventId = eventId) => {
+    // Computed server-side so nobody needs to read other people's rows
+    const { data, error } = await repository.draws.getStatus(forEventId)
 
-  useEffect(() => {
-    const init = async () => {
-      await Promise.all([fetchParticipants(), checkLotteryStatus()])
-      setInitialLoading(false)
+    if (error) {
+      console.error('Error checking lottery status:', error)
+    } else if (data) {
+      setLotteryStatus(data.drawn ? 'drawn' : 'open')
+      setIsNamesRevealed(data.revealed)
+      setAllRevealed(data.all_revealed)
+      setDrawId(data.draw_id ?? null)
+      setRevealAt(data.reveal_at ?? null)
     }
-    init()
-  }, [])
+  }, [eventId])
 
-  // When currentUser changes, update local wish state
+  // Load the selected event's participants and status whenever it changes
   useEffect(() => {
-    if (currentUser && currentUser.wishes) {
-      setWish1(currentUser.wishes[0] || '')
-      setWish2(currentUser.wishes[1] || '')
-      setWish3(currentUser.wishes[2] || '')
-    } else {
-      setWish1('')
-      setWish2('')
-      setWish3('')
-    }
-  }, [currentUser])
+    if (!eventId) return
+    localStorage.setItem(CURRENT_EVENT_KEY, eventId)
+    setDrawResult(null)
+    fetchParticipants(eventId)
+    checkLotteryStatus(eventId)
+  }, [eventId, fetchParticipants, checkLotteryStatus])
+
+  // A reset or re-draw (here or by another organizer) replaces everyone's
+  // assignment, so the one on screen is out of date
+  useEffect(() => {
+    setDrawResult(null)
+  }, [drawId])
 
   // Reload draw result if user logs in and lottery is drawn
   useEffect(() => {
-    if (currentUser && lotteryStatus === 'drawn' && currentUser.drawn_participant_id) {
-      // If we already have a result but it might be stale (e.g. wishes updated), we could reload.
-      // Or if we just logged in and haven't fetched it yet.
-      // But the user has to click "See who you need to buy for" to fetch it currently.
-      // If we want to auto-reload wishes when they log in, we can do it here if drawResult is already set,
-      // or if we want to auto-fetch.
-      
+    if (currentUser && lotteryStatus === 'drawn' && currentUser.has_assignment) {
       // The requirement is "reload drawResult.wishes if login".
       // This implies if I've already revealed, I should see the latest wishes.
       if (drawResult) {
@@ -66,31 +124,113 @@ function App() {
     }
   }, [currentUser]) // Dependency on currentUser ensures this runs on login
 
-  const fetchParticipants = async () => {
-    const { data, error } = await supabase
-      .from('participants')
-      .select('*')
-    if (error) console.error('Error fetching participants:', error)
-    else setParticipants(data || [])
+  // Replace our own row in the membership list after an update
+  const updateCurrentUser = (row) => {
+    setMemberships(memberships.map(m => m.event_id === row.event_id ? row : m))
   }
 
-  const checkLotteryStatus = async () => {
-    const { data } = await supabase.from('participants').select('drawn_participant_id, is_revealed')
-    
-    if (data && data.length > 0) {
-      // Check if drawn
-      const hasDraws = data.some(p => p.drawn_participant_id !== null)
-      if (hasDraws) {
-        setLotteryStatus('drawn')
+  const refreshMemberships = async (selectEventId) => {
+    const { data, error } = await repository.auth.fetchMemberships()
+    if (error) {
+      setError(te(error.message))
+      return
+    }
+    setMemberships(data)
+    if (selectEventId) setCurrentEventId(selectEventId)
+  }
+
+  // Our own rows again, in the background. Left alone if the session ended
+  // (or someone logged out) in the meantime.
+  const reloadMemberships = useCallback(() => repository.auth.fetchMemberships().then(({ data }) => {
+    if (data) setMemberships(current => current && data)
+  }), [])
+
+  // Keep the participant list and lottery status current while the page is
+  // open, so people waiting see the draw and the reveal without reloading
+  useEffect(() => {
+    if (!eventId) return
+    return repository.live.subscribe(eventId, () => {
+      fetchParticipants(eventId)
+      checkLotteryStatus(eventId)
+      // Our own row, for late joiners being added to the draw
+      reloadMemberships()
+    })
+  }, [eventId, fetchParticipants, checkLotteryStatus, reloadMemberships])
+
+  // Our own row says whether we have an assignment and whether our name is
+  // revealed, so reload it when the draw or the reveal happens
+  useEffect(() => {
+    reloadMemberships()
+  }, [lotteryStatus, isNamesRevealed, allRevealed, drawId, reloadMemberships])
+
+  // After login or registration: join the invited event if there is one
+  const startSession = async (rows) => {
+    const code = inviteCode.trim()
+    if (code && !rows.some(m => m.join_code === code.toUpperCase())) {
+      const { data: joinedEventId, error } = await repository.events.join(code, name || null)
+      if (error) {
+        setError(te(error.message))
+        setMemberships(rows)
+        return
       }
-      
-      // Check if revealed (assuming global reveal, so checking any row is fine, or check if all are true)
-      // We'll check if at least one is revealed (assuming admin reveals all at once)
-      const revealed = data.some(p => p.is_revealed === true)
-      setIsNamesRevealed(revealed)
+      await refreshMemberships(joinedEventId)
+      return
     }
+    setMemberships(rows)
   }
 
+  // Pick up the session from an earlier visit, so a reload or reopening the
+  // phone browser does not log anyone out. Otherwise show which event an
+  // invite link (or the last visit) is for before logging in. Once, on load.
+  const init = useEffectEvent(async () => {
+    const { data: restored } = await repository.auth.restoreSession()
+    if (restored) {
+      setRestoredSession(true)
+      await startSession(restored)
+    } else if (inviteCodeFromUrl()) {
+      const { data } = await repository.events.getByCode(inviteCodeFromUrl())
+      setLoginEvent(data)
+    } else if (localStorage.getItem(CURRENT_EVENT_KEY)) {
+      const { data } = await repository.events.getById(localStorage.getItem(CURRENT_EVENT_KEY))
+      setLoginEvent(data)
+    }
+    setInitialLoading(false)
+  })
+  useEffect(() => {
+    init()
+  }, [])
+
+  // The session expired or was ended from another tab or device. An effect
+  // event, so the message is in the language chosen by then.
+  const onSessionEnded = useEffectEvent(() => {
+    setMemberships(null)
+    setParticipants([])
+    setDrawResult(null)
+    setRestoredSession(false)
+    setError(t('app.sessionEnded'))
+  })
+  useEffect(() => repository.auth.onSessionEnded(() => onSessionEnded()), [])
+
+  // Whoever is logged in gets the language they chose last time
+  const accountId = memberships?.[0]?.id ?? null
+  useEffect(() => {
+    setAccount(accountId)
+  }, [accountId, setAccount])
+
+  // Send people away from screens they can't use: the logged-out to the
+  // login (remembering where they were headed), non-admins away from the
+  // admin pages. Nothing is decided until the saved session is restored.
+  const redirectTo = initialLoading ? null : redirectFor(path, {
+    loggedIn: !!memberships,
+    isAdmin,
+    from: window.history.state?.from
+  })
+  useEffect(() => {
+    if (!redirectTo) return
+    const target = redirectTo === ROUTES.login ? redirectTo + window.location.search : redirectTo
+    navigate(target, { replace: true, state: redirectTo === ROUTES.login ? { from: path } : null })
+  }, [redirectTo, path])
+
   const handleAuth = async (e) => {
     e.preventDefault()
     setLoading(true)
@@ -99,186 +239,175 @@ function App() {
     if (isLoginMode) {
       // LOGIN LOGIC
       if (!username || !password) {
-        setError("Please enter username and password")
+        setError(t('login.missingCredentials'))
         setLoading(false)
         return
       }
 
-      const { data, error } = await supabase
-        .from('participants')
-        .select('*')
-        .eq('id', username)
-        .single()
+      // With Supabase, accounts from before the switch to Supabase Auth are
+      // claimed on their first login (see auth.js)
+      const { data, error } = await repository.auth.signIn(username, password)
 
-      if (error || !data) {
-        setError("User not found")
+      if (error) {
+        setError(te(error.message))
       } else {
-        if (data.password && data.password !== password) {
-           setError("Invalid password")
-        } else {
-           setCurrentUser(data)
-           // Reset draw result on new login so they have to click reveal again (or we can auto fetch)
-           setDrawResult(null)
-        }
+        // Reset draw result on new login so they have to click reveal again (or we can auto fetch)
+        setDrawResult(null)
+        await startSession(data)
       }
     } else {
       // REGISTER LOGIC
       if (!username || !name || !password) {
-        setError("Please fill in all fields")
-        setLoading(false)
-        return
-      }
-
-      const existing = participants.find(p => p.id?.toLowerCase() === username.toLowerCase())
-      if (existing) {
-        setError("Username already taken")
+        setError(t('login.missingFields'))
         setLoading(false)
         return
       }
 
-      const { data, error } = await supabase
-        .from('participants')
-        .insert([
-          { 
-            id: username,
-            name: name,
-            password: password,
-            wishes: ['', '', ''] // Initialize with empty wishes
-          }
-        ])
-        .select()
+      const { data, error } = await repository.auth.register(username, name, password)
 
       if (error) {
-        setError(error.message)
+        setError(te(error.message))
       } else {
-        setParticipants([...participants, data[0]])
-        setCurrentUser(data[0])
+        await startSession(data)
         // Automatically go to edit wishes mode after registration
-        setIsEditingWishes(true)
+        navigate(ROUTES.wishes)
       }
     }
     setLoading(false)
   }
 
-  const handleUpdateWishes = async (e) => {
-    e.preventDefault()
-    setLoading(true)
+  const handleUpdateWishes = async (newWishes) => {
     setError(null)
 
-    const newWishes = [wish1, wish2, wish3]
+    // Checked again here and by the backend, since the budget may have
+    // changed while the editor was open
+    const problem = validateWishes(newWishes.map(normalizeWish), currentUser)
+    if (problem) {
+      setError(t('wishes.updateError', { message: te(problem) }))
+      return
+    }
+
+    setLoading(true)
 
-    const { data, error } = await supabase
-      .from('participants')
-      .update({ wishes: newWishes })
-      .eq('id', currentUser.id)
-      .select()
-      .single()
+    const { data, error } = await repository.participants.updateMyWishes(eventId, newWishes)
 
     if (error) {
-      setError("Error updating wishes: " + error.message)
+      setError(t('wishes.updateError', { message: te(error.message) }))
     } else {
-      setCurrentUser(data)
-      setIsEditingWishes(false)
-      // Update participants list locally to reflect changes
-      setParticipants(participants.map(p => p.id === data.id ? data : p))
+      updateCurrentUser(data)
+      navigate(ROUTES.me)
     }
     setLoading(false)
   }
 
   const handleDraw = async () => {
-    if (currentUser.id !== ADMIN_USERNAME) {
-      setError("Only admin can start the draw")
+    setError(null)
+    if (!isAdmin) {
+      setError(t('lottery.onlyAdmin'))
       return
     }
 
-    // Filter out admin from the draw
-    const eligibleParticipants = participants.filter(p => p.id !== ADMIN_USERNAME)
+    // Organizers who don't take part are left out of the draw
+    const eligibleParticipants = participants.filter(takesPart)
 
     if (eligibleParticipants.length < 2) {
-      setError("Need at least 2 eligible participants (excluding admin) to draw")
+      setError(t('lottery.notEnough'))
       return
     }
     
     setLoading(true)
-    
-    let shuffled = [...eligibleParticipants]
-    let valid = false
-    let attempts = 0
-    
-    while (!valid && attempts < 100) {
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-      
-      valid = true
-      for (let i = 0; i < eligibleParticipants.length; i++) {
-        if (eligibleParticipants[i].id === shuffled[i].id) {
-          valid = false
-          break
-        }
-      }
-      attempts++
+
+    const { data: exclusions, error: exclusionsError } = await repository.exclusions.list(eventId)
+
+    if (exclusionsError) {
+      setError(t('lottery.exclusionsError', { message: te(exclusionsError.message) }))
+      setLoading(false)
+      return
     }
 
-    if (!valid) {
-      setError("Could not generate a valid draw. Please try again.")
+    // The seed makes the draw reproducible; single-loop mode chains everyone
+    // into one A -> B -> ... -> A cycle.
+    const seed = generateSeed()
+    const drawInput = { participants: eligibleParticipants, exclusions: exclusions || [], singleLoop, seed }
+    const { assignments, error: drawError } = runDraw(drawInput)
+
+    if (drawError) {
+      setError(te(drawError))
       setLoading(false)
       return
     }
 
-    for (let i = 0; i < eligibleParticipants.length; i++) {
-      const { error } = await supabase
-        .from('participants')
-        .update({ 
-          drawn_participant_id: shuffled[i].id,
-          is_revealed: false // Reset reveal status on new draw
-        })
-        .eq('id', eligibleParticipants[i].id)
-      
-      if (error) {
-        console.error("Error updating draw", error)
-        setError("Error saving draw results")
-        setLoading(false)
-        return
-      }
+    // Save the audit record (seed + input hashes, so the draw can be re-run
+    // and verified later) and every assignment in one transaction. If any
+    // part fails the database rolls all of it back and the previous state,
+    // open registration or the earlier draw, stays as it was.
+    const record = await createDrawRecord(drawInput)
+    const { error: saveError } = await repository.draws.save(
+      eventId,
+      record,
+      [...assignments].map(([giverId, receiverId]) => ({ giver_id: giverId, receiver_id: receiverId }))
+    )
+
+    if (saveError) {
+      console.error("Error saving draw", saveError)
+      setError(
+        t('lottery.notSaved', { message: te(saveError.message) }) + ' ' +
+        t(lotteryStatus === 'drawn' ? 'lottery.previousKept' : 'lottery.registrationOpen')
+      )
+      setLoading(false)
+      return
     }
 
-    setLotteryStatus('drawn')
-    setIsNamesRevealed(false)
+    await checkLotteryStatus()
     setLoading(false)
-    if (currentUser) {
-      const { data } = await supabase.from('participants').select('*').eq('id', currentUser.id).single()
-      setCurrentUser(data)
-    }
+  }
+
+  // After adding a late joiner: the admin may be the giver whose assignment
+  // changed
+  const handleDrawChanged = async () => {
+    await fetchParticipants()
+    await refreshMemberships()
+  }
+
+  const handleAcknowledgeChange = async () => {
+    const { error } = await repository.participants.acknowledgeAssignmentChange(eventId)
+    if (error) setError(te(error.message))
+    else await refreshMemberships()
   }
 
   const handleGlobalReveal = async () => {
-    if (currentUser.id !== ADMIN_USERNAME) return
+    if (!isAdmin) return
     setLoading(true)
     
-    // Update all participants to revealed = true
-    const { error } = await supabase
-      .from('participants')
-      .update({ is_revealed: true })
-      .neq('id', ADMIN_USERNAME) // Update everyone except maybe admin (doesn't matter)
+    // Update all participants to revealed = true (checked server-side)
+    const { error } = await repository.reveal.revealAll(eventId)
 
     if (error) {
-      setError("Error revealing names: " + error.message)
+      setError(t('lottery.revealError', { message: te(error.message) }))
     } else {
       setIsNamesRevealed(true)
+      setAllRevealed(true)
+      setRevealAt(null)
     }
     setLoading(false)
   }
 
+  // The countdown ran out. The backend checks the time, and with Supabase a
+  // cron job reveals anyway; this just saves waiting for it.
+  const handleRevealDue = async () => {
+    const { error } = await repository.reveal.revealIfDue(eventId)
+
+    if (error) console.error('Error revealing names:', error)
+    await checkLotteryStatus()
+  }
+
   const revealDraw = async () => {
-    if (!currentUser || !currentUser.drawn_participant_id) return
+    // Not gated on has_assignment: right after a live draw our own row may
+    // not have been reloaded yet, and without an assignment this is just null
+    if (!currentUser) return
 
-    const { data, error } = await supabase
-      .from('participants')
-      .select('*')
-      .eq('id', currentUser.drawn_participant_id)
-      .single()
+    // Only the receiver's wishes, plus their name once it has been revealed
+    const { data, error } = await repository.reveal.getMyAssignment(eventId)
     
     if (error) {
       console.error("Error fetching drawn person", error)
@@ -287,201 +416,324 @@ function App() {
     }
   }
 
-  if (initialLoading) {
-    return <div className="container">Loading...</div>
+  // After a reload, show the assignment again without another click, unless
+  // it is on screen already
+  const showAssignmentAgain = useEffectEvent(() => {
+    if (!drawResult) revealDraw()
+  })
+  useEffect(() => {
+    if (restoredSession && lotteryStatus === 'drawn' && currentUser?.has_assignment) showAssignmentAgain()
+  }, [restoredSession, lotteryStatus, currentUser])
+
+  // After role changes: refresh the list, and our own row in case we changed
+  // our own role or whether we take part
+  const handleRolesChanged = async () => {
+    await fetchParticipants()
+    await refreshMemberships()
+  }
+
+  // Logging out everywhere also ends the sessions on other devices
+  const handleLogout = async (everywhere = false) => {
+    await repository.auth.signOut({ everywhere })
+    setMemberships(null)
+    setParticipants([])
+    setDrawResult(null)
+    setRestoredSession(false)
+    navigate(ROUTES.login)
+  }
+
+  if (initialLoading || redirectTo) {
+    return <div className="container">{t('app.loading')}</div>
   }
 
-  if (showAdminPage && currentUser?.id === ADMIN_USERNAME) {
-    return <AdminPage onBack={() => setShowAdminPage(false)} />
+  if (path === ROUTES.chain || path === ROUTES.presenter) {
+    return <AdminPage eventId={eventId} onBack={() => navigate(ROUTES.me)} />
   }
 
   return (
     <div className="container">
-      <h1>LP5 New Year's Party</h1>
-      <h2>ความสนุกกำลังจะเกิดขึ้น</h2>
+      <LanguageSwitcher />
+      <h1>{currentUser?.event_name || loginEvent?.name || t('app.defaultTitle')}</h1>
+      <h2>{t('app.tagline')}</h2>
+      {!memberships && formatBudget(loginEvent, locale) && (
+        <p className="budget">{t('app.giftBudget', { budget: <strong>{formatBudget(loginEvent, locale)}</strong> })}</p>
+      )}
+      {repository.backend === 'memory' && (
+        <p style={{fontSize: '0.8em', color: '#666'}}>{t('app.offlineMode')}</p>
+      )}
       
-      {!currentUser ? (
+      {!memberships ? (
         <div className="card">
-          <h2>{isLoginMode ? 'Login' : 'Join the Lottery'}</h2>
+          <h2>{t(isLoginMode ? 'login.title' : 'login.joinTitle')}</h2>
           
           <form onSubmit={handleAuth}>
             <div className="form-group">
-              <label>User</label>
+              <label>{t('login.user')}</label>
               <input 
                 type="text" 
                 value={username} 
                 onChange={e => setUsername(e.target.value)} 
-                placeholder="Enter user"
+                placeholder={t('login.userPlaceholder')}
               />
             </div>
 
             {!isLoginMode && (
               <div className="form-group">
-                <label>Display Name</label>
+                <label>{t('login.displayName')}</label>
                 <input 
                   type="text" 
                   value={name} 
                   onChange={e => setName(e.target.value)} 
-                  placeholder="Enter your name"
+                  placeholder={t('login.namePlaceholder')}
                 />
               </div>
             )}
             
             <div className="form-group">
-              <label>Password</label>
+              <label>{t('login.password')}</label>
               <input 
                 type="password" 
                 value={password} 
                 onChange={e => setPassword(e.target.value)} 
-                placeholder="Enter password"
+                placeholder={t('login.passwordPlaceholder')}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>{t('login.inviteCode')}</label>
+              <input 
+                type="text" 
+                value={inviteCode} 
+                onChange={e => setInviteCode(e.target.value)} 
+                placeholder={t('login.inviteCodePlaceholder')}
               />
             </div>
 
             <button type="submit" disabled={loading}>
-              {loading ? 'Processing...' : (isLoginMode ? 'Login' : 'Join')}
+              {loading ? t('login.processing') : t(isLoginMode ? 'login.submit' : 'login.submitJoin')}
             </button>
             
             {error && <p className="error">{error}</p>}
             
             <p style={{marginTop: '1rem', fontSize: '0.9em'}}>
-              {isLoginMode ? "Don't have an account? " : "Already joined? "}
-              <a href="#" onClick={(e) => {
-                e.preventDefault()
-                setIsLoginMode(!isLoginMode)
-                setError(null)
-              }}>
-                {isLoginMode ? "Join now" : "Login here"}
-              </a>
+              {t(isLoginMode ? 'login.noAccount' : 'login.alreadyJoined')}
+              <Link to={(isLoginMode ? ROUTES.join : ROUTES.login) + window.location.search} onClick={() => setError(null)}>
+                {t(isLoginMode ? 'login.joinNow' : 'login.loginHere')}
+              </Link>
             </p>
           </form>
         </div>
+      ) : !currentUser ? (
+        <div className="card">
+          <h2>{t('app.welcome')}</h2>
+          <p>{t('app.noEvents')}</p>
+          <EventSwitcher memberships={memberships} currentEventId={null} onSelect={setCurrentEventId} onChange={refreshMemberships} />
+          {error && <p className="error">{error}</p>}
+          <button 
+            onClick={() => handleLogout()} 
+            style={{backgroundColor: '#666', marginTop: '2rem'}}
+          >
+            {t('app.logout')}
+          </button>
+        </div>
       ) : (
         <div className="card">
-          <h2>Welcome, {currentUser.name}!</h2>
+          <EventSwitcher memberships={memberships} currentEventId={eventId} onSelect={setCurrentEventId} onChange={refreshMemberships} />
+          <h2>{t('app.welcomeName', { name: currentUser.name })}</h2>
           
           {/* Wish Management Section */}
           <div className="wish-section" style={{marginBottom: '2rem', borderBottom: '1px solid #eee', paddingBottom: '1rem'}}>
-            <h3>My Wish List</h3>
+            <h3>{t('wishes.title')}</h3>
             {isEditingWishes ? (
-              <form onSubmit={handleUpdateWishes}>
-                <div className="form-group">
-                  <label>Wish 1</label>
-                  <input 
-                    type="text" 
-                    value={wish1} 
-                    onChange={e => setWish1(e.target.value)} 
-                    placeholder="First wish"
-                  />
-                </div>
-                <div className="form-group">
-                  <label>Wish 2</label>
-                  <input 
-                    type="text" 
-                    value={wish2} 
-                    onChange={e => setWish2(e.target.value)} 
-                    placeholder="Second wish"
-                  />
-                </div>
-                <div className="form-group">
-                  <label>Wish 3</label>
-                  <input 
-                    type="text" 
-                    value={wish3} 
-                    onChange={e => setWish3(e.target.value)} 
-                    placeholder="Third wish"
-                  />
-                </div>
-                <div style={{display: 'flex', gap: '1rem'}}>
-                  <button type="submit" disabled={loading}>Save Wishes</button>
-                  <button type="button" onClick={() => setIsEditingWishes(false)} style={{backgroundColor: '#999'}}>Cancel</button>
-                </div>
-              </form>
+              <>
+                <WishEditor
+                  wishes={currentUser.wishes}
+                  budget={currentUser}
+                  onSave={handleUpdateWishes}
+                  onCancel={() => navigate(ROUTES.me)}
+                  loading={loading}
+                />
+                {error && <p className="error">{error}</p>}
+              </>
             ) : (
               <div>
-                <ul className="wish-list">
-                  {currentUser.wishes && currentUser.wishes.map((w, i) => (
-                    <li key={i}>{w || <em>(Empty)</em>}</li>
-                  ))}
-                </ul>
-                <button onClick={() => setIsEditingWishes(true)} style={{marginTop: '1rem'}}>Edit Wishes</button>
+                <WishList wishes={currentUser.wishes} />
+                <button onClick={() => navigate(ROUTES.wishes)} style={{marginTop: '1rem'}}>{t('wishes.edit')}</button>
               </div>
             )}
           </div>
 
           {lotteryStatus === 'open' && (
             <div>
-              <p>Waiting for everyone to join...</p>
-              <p>Current participants: {participants.length}</p>
+              <p>{t('lottery.waiting')}</p>
+              <p>{t('lottery.participantCount', { count: participants.filter(takesPart).length })}</p>
               <ul>
-                {participants.map(p => <li key={p.id}>{p.name}</li>)}
+                {participants.map(p => (
+                  <li key={p.id}>
+                    {p.name}
+                    {p.role === 'admin' && <em style={{color: '#666'}}>{t(takesPart(p) ? 'lottery.organizer' : 'lottery.organizerNotDrawing')}</em>}
+                  </li>
+                ))}
               </ul>
               
-              {currentUser.id === ADMIN_USERNAME && (
+              {isAdmin && (
+                <RoleManager
+                  eventId={eventId}
+                  participants={participants}
+                  currentUserId={currentUser.id}
+                  onChange={handleRolesChanged}
+                />
+              )}
+
+              {isAdmin && (
+                <ParticipantImport
+                  eventId={eventId}
+                  participants={participants}
+                  budget={currentUser}
+                  joinCode={currentUser.join_code}
+                  onChange={() => fetchParticipants()}
+                />
+              )}
+
+              {isAdmin && (
+                <ExclusionEditor eventId={eventId} participants={participants.filter(takesPart)} />
+              )}
+
+              {isAdmin && (
+                <BudgetEditor key={eventId} eventId={eventId} budget={currentUser} onChange={refreshMemberships} />
+              )}
+
+              {isAdmin && (
+                <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 'normal', justifyContent: 'center'}}>
+                  <input type="checkbox" checked={singleLoop} onChange={e => setSingleLoop(e.target.checked)} style={{width: 'auto'}} />
+                  {t('lottery.singleLoop')}
+                </label>
+              )}
+
+              {isAdmin && (
                 <button onClick={handleDraw} disabled={loading} style={{backgroundColor: '#d35400'}}>
-                  {loading ? 'Drawing...' : 'Start Lottery Draw'}
+                  {loading ? t('lottery.drawing') : t('lottery.startDraw')}
                 </button>
               )}
+
+              {isAdmin && error && <p className="error">{error}</p>}
+
+              {isAdmin && (
+                <DrawResetControls eventId={eventId} drawId={drawId} onChange={checkLotteryStatus} />
+              )}
               
-              {currentUser.id !== ADMIN_USERNAME && (
-                <p style={{fontStyle: 'italic', color: '#666'}}>Waiting for admin to start the draw...</p>
+              {!isAdmin && (
+                <p style={{fontStyle: 'italic', color: '#666'}}>{t('lottery.waitingForAdmin')}</p>
               )}
             </div>
           )}
 
           {lotteryStatus === 'drawn' && (
             <div>
-              <h3>The lottery has been drawn!</h3>
+              <h3>{t('lottery.drawn')}</h3>
+              <DrawCommitment eventId={eventId} drawId={drawId} isRevealed={allRevealed} />
               
-              {currentUser.id === ADMIN_USERNAME && (
+              {isAdmin && (
                 <div style={{marginBottom: '1rem', padding: '1rem', backgroundColor: '#fff3e0', borderRadius: '8px'}}>
-                  {!isNamesRevealed && (
+                  {!allRevealed && (
                     <>
-                      <p><strong>Admin Control:</strong> Names are currently hidden.</p>
+                      <p>
+                        <strong>{t('lottery.adminControl')}</strong>{' '}
+                        {t(isNamesRevealed ? 'lottery.someRevealed' : 'lottery.namesHidden')}
+                      </p>
+                      <p style={{fontSize: '0.85em', color: '#666'}}>
+                        {t('lottery.stepByStepHint')}
+                      </p>
                       <button onClick={handleGlobalReveal} disabled={loading} style={{backgroundColor: '#e67e22', marginBottom: '0.5rem'}}>
-                        Reveal All Names to Participants
+                        {t('lottery.revealAll')}
                       </button>
+                      <RevealSchedule
+                        key={revealAt}
+                        eventId={eventId}
+                        revealAt={revealAt}
+                        onDue={handleRevealDue}
+                        onChange={checkLotteryStatus}
+                      />
                     </>
                   )}
-                  <button onClick={() => setShowAdminPage(true)} style={{backgroundColor: '#333', display: 'block', width: '100%', marginTop: '0.5rem'}}>
-                    View Gift Exchange Chain
+                  <button onClick={() => navigate(ROUTES.chain)} style={{backgroundColor: '#333', display: 'block', width: '100%', marginTop: '0.5rem'}}>
+                    {t('lottery.viewChain')}
                   </button>
+                  <GiftReadiness eventId={eventId} participants={participants} isRevealed={isNamesRevealed} />
+                  <LateJoiners eventId={eventId} participants={participants} onChange={handleDrawChanged} />
+                  <DrawResetControls
+                    eventId={eventId}
+                    drawId={drawId}
+                    isDrawn
+                    isRevealed={isNamesRevealed}
+                    onRedraw={handleDraw}
+                    onChange={checkLotteryStatus}
+                  />
+                  {error && <p className="error">{error}</p>}
+                </div>
+              )}
+
+              {currentUser.assignment_changed && (
+                <div className="assignment-changed" style={{marginBottom: '1rem', padding: '1rem', backgroundColor: '#fff8e1', borderRadius: '8px'}}>
+                  <p style={{marginTop: 0}}>
+                    <strong>{t('lottery.assignmentChanged')}</strong> {t('lottery.assignmentChangedBody')}
+                  </p>
+                  <button onClick={handleAcknowledgeChange}>{t('lottery.gotIt')}</button>
                 </div>
               )}
 
               {!drawResult ? (
                 <button onClick={revealDraw}>
-                  See who you need to buy for
+                  {t('lottery.seeAssignment')}
                 </button>
               ) : (
                 <div className="result-card">
-                  <p>You need to buy a gift for someone who wants:</p>
-                  <ul className="wish-list">
-                    {drawResult.wishes.map((wish, index) => (
-                      <li key={index}>{wish}</li>
-                    ))}
-                  </ul>
+                  <p>{t('lottery.buyFor')}</p>
+                  <WishList wishes={drawResult.wishes} />
+                  {formatBudget(currentUser, locale) && (
+                    <p className="budget">{t('app.giftBudget', { budget: <strong>{formatBudget(currentUser, locale)}</strong> })}</p>
+                  )}
                   
-                  {isNamesRevealed ? (
+                  {drawResult.name ? (
                     <div className="revealed-section">
-                      <p className="note">The name is revealed!</p>
-                      <p className="revealed-name">It's <strong>{drawResult.name}</strong>!</p>
+                      <p className="note">{t('lottery.nameRevealed')}</p>
+                      <p className="revealed-name">{t('lottery.itsName', { name: <strong>{drawResult.name}</strong> })}</p>
                     </div>
                   ) : (
                     <div className="hidden-section" style={{marginTop: '1rem', padding: '1rem', backgroundColor: '#eee', borderRadius: '8px'}}>
-                      <p><strong>Name is hidden!</strong></p>
-                      <p>Wait for the admin to reveal the names on the lottery day.</p>
+                      <p><strong>{t('lottery.nameHidden')}</strong></p>
+                      {revealAt ? (
+                        <>
+                          <p>{t('lottery.revealsOn', { date: formatDateTime(revealAt) })}</p>
+                          <RevealCountdown revealAt={revealAt} onDue={handleRevealDue} />
+                        </>
+                      ) : (
+                        <p>{t('lottery.waitForReveal')}</p>
+                      )}
                     </div>
                   )}
                 </div>
               )}
+
+              {takesPart(currentUser) && (
+                <GiftStatus eventId={eventId} currentUser={currentUser} isRevealed={allRevealed} onUpdate={updateCurrentUser} />
+              )}
+
+              <GiftMessages eventId={eventId} participants={participants} />
             </div>
           )}
           
           <button 
-            onClick={() => setCurrentUser(null)} 
+            onClick={() => handleLogout()} 
             style={{backgroundColor: '#666', marginTop: '2rem'}}
           >
-            Logout
+            {t('app.logout')}
+          </button>
+          <button 
+            onClick={() => handleLogout(true)} 
+            style={{backgroundColor: '#666', marginTop: '2rem', marginLeft: '0.5rem'}}
+          >
+            {t('app.logoutEverywhere')}
           </button>
         </div>
       )}
@@ -1,53 +1,76 @@
 import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import App from './App'
-import { supabase } from './supabaseClient'
-
-// Helper to create a chainable mock builder
-const createMockBuilder = (resultData = { data: [], error: null }) => {
-  const builder = {
-    select: vi.fn(),
-    insert: vi.fn(),
-    update: vi.fn(),
-    eq: vi.fn(),
-    single: vi.fn(),
-    neq: vi.fn(),
-    then: (resolve, reject) => Promise.resolve(resultData).then(resolve, reject)
-  }
+import LanguageProvider from './LanguageProvider'
+import { repository } from './repository'
+import { LOCALES, LOCALE_KEY, LANGUAGE_NAMES, translate, translateError, formatDateTime } from './i18n'
+import { formatBudget } from './wishes'
+
+// The app runs against the in-memory backend, so tests set up data, click
+// around and check what ended up stored instead of which calls were made.
+vi.mock('./repository', async () => {
+  const { createMemoryRepository } = await import('./memoryRepository')
+  return { repository: createMemoryRepository({ storage: null }) }
+})
+
+const event = { id: 'ev1', name: "LP5 New Year's Party", join_code: 'ABCD2345' }
+
+// Accounts all use the password 'password'; participants belong to ev1
+// unless they say otherwise
+const seed = ({ accounts = [], participants = [], ...rest }) => repository.reset({
+  events: [event],
+  accounts: accounts.map(a => ({ password: 'password', ...a })),
+  participants: participants.map(p => ({ event_id: 'ev1', ...p })),
+  ...rest
+})
+
+const people = {
+  admin: { id: 'admin', name: 'Admin' },
+  alice: { id: 'alice', name: 'Alice' },
+  bob: { id: 'bob', name: 'Bob' },
+  olivia: { id: 'olivia', name: 'Olivia' },
+}
+
+const organizer = { id: 'admin', name: 'Admin', role: 'admin', participates: false }
+
+const renderApp = async () => {
+  render(<App />)
+  await waitFor(() => {
+    expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+  })
+}
 
-  // Default chaining: methods return the same builder (preserving the resultData)
-  // unless overridden in a test
-  builder.select.mockReturnValue(builder)
-  builder.insert.mockReturnValue(builder)
-  builder.update.mockReturnValue(builder)
-  builder.eq.mockReturnValue(builder)
-  builder.single.mockReturnValue(builder)
-  builder.neq.mockReturnValue(builder)
+const login = (username, password = 'password') => {
+  fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: username } })
+  fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: password } })
+  fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+}
 
-  return builder
+const join = (username, name, inviteCode = '') => {
+  fireEvent.click(screen.getByText('Join now'))
+  fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: username } })
+  fireEvent.change(screen.getByPlaceholderText('Enter your name'), { target: { value: name } })
+  fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
+  fireEvent.change(screen.getByPlaceholderText('Optional, from your invite link'), { target: { value: inviteCode } })
+  fireEvent.click(screen.getByRole('button', { name: 'Join' }))
 }
 
-// Mock Supabase client
-vi.mock('./supabaseClient', () => ({
-  supabase: {
-    from: vi.fn(),
-  },
-}))
+// Who gives to whom, read back as the organizer
+const savedChain = async () => {
+  const { data } = await repository.draws.getChain('ev1')
+  return Object.fromEntries(data.filter(p => p.drawn_participant_id).map(p => [p.id, p.drawn_participant_id]))
+}
 
 describe('App Component', () => {
-  beforeEach(() => {
-    vi.clearAllMocks()
-    // Default: from() returns a builder that resolves to empty list
-    supabase.from.mockReturnValue(createMockBuilder({ data: [], error: null }))
+  beforeEach(async () => {
+    vi.restoreAllMocks()
+    localStorage.clear()
+    window.history.replaceState(null, '', '/')
+    await repository.reset()
   })
 
   it('renders the login form initially', async () => {
-    render(<App />)
-    
-    // Wait for loading to finish
-    await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
-    })
+    await renderApp()
 
     expect(screen.getByText("LP5 New Year's Party")).toBeInTheDocument()
     expect(screen.getByRole('heading', { name: 'Login' })).toBeInTheDocument()
@@ -55,137 +78,125 @@ describe('App Component', () => {
   })
 
   it('shows error when submitting empty form', async () => {
-    render(<App />)
-    
-    await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
-    })
+    await renderApp()
 
     // Switch to Join mode
-    const joinLink = screen.getByText('Join now')
-    fireEvent.click(joinLink)
+    fireEvent.click(screen.getByText('Join now'))
+    fireEvent.click(screen.getByRole('button', { name: 'Join' }))
 
-    const button = screen.getByRole('button', { name: 'Join' })
-    fireEvent.click(button)
-    
     await waitFor(() => {
       expect(screen.getByText('Please fill in all fields')).toBeInTheDocument()
     })
   })
 
-  it('allows a user to join successfully', async () => {
-    const newUser = { id: 'alice', name: 'Alice', wishes: ['', '', ''] }
-    
-    // Call 1: fetchParticipants (select *)
-    const fetchBuilder = createMockBuilder({ data: [], error: null })
-    
-    // Call 2: checkLotteryStatus (select drawn_participant_id)
-    const statusBuilder = createMockBuilder({ data: [], error: null })
-    
-    // Call 3: insert
-    const insertResultBuilder = createMockBuilder({ data: [newUser], error: null })
-    const insertBuilder = createMockBuilder()
-    insertBuilder.insert.mockReturnValue(insertResultBuilder) 
-    
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(insertBuilder)
+  it('allows a user to join an event with its invite code', async () => {
+    await seed({ accounts: [people.admin], participants: [organizer] })
+    await renderApp()
 
-    render(<App />)
+    join('alice', 'Alice', 'abcd2345')
 
     await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+      expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+      expect(screen.getByText('Current participants: 1')).toBeInTheDocument()
     })
+    // Straight into editing wishes after registering
+    expect(screen.getByText('Save Wishes')).toBeInTheDocument()
 
-    // Switch to Join mode
-    fireEvent.click(screen.getByText('Join now'))
+    const { data } = await repository.auth.fetchMemberships()
+    expect(data).toEqual([expect.objectContaining({ event_id: 'ev1', id: 'alice', name: 'Alice', role: 'participant' })])
+  })
 
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'alice' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter your name'), { target: { value: 'Alice' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
+  it('asks new accounts without an event to join or create one', async () => {
+    await renderApp()
 
-    fireEvent.click(screen.getByRole('button', { name: 'Join' }))
+    join('dan', 'Dan')
 
     await waitFor(() => {
-      expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+      expect(screen.getByText(/You are not part of any event yet/)).toBeInTheDocument()
+    })
+
+    fireEvent.change(screen.getByLabelText('New event name'), { target: { value: 'Family exchange' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Create Event' }))
+
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: 'Family exchange' })).toBeInTheDocument()
     })
+    // The creator organizes the new event and gets an invite code to share
+    expect(screen.getByText('Start Lottery Draw')).toBeInTheDocument()
+    expect(screen.getByText(/Invite code:/)).toBeInTheDocument()
   })
 
-  it('logs in an existing user', async () => {
-    const existingUser = { id: 'bob', name: 'Bob', password: 'password', wishes: ['X', 'Y', 'Z'] }
-    
-    // Call 1: fetchParticipants -> returns [existingUser]
-    const fetchBuilder = createMockBuilder({ data: [existingUser], error: null })
-    
-    // Call 2: checkLotteryStatus
-    const statusBuilder = createMockBuilder({ data: [], error: null })
-    
-    // Call 3: Login select single
-    const loginBuilder = createMockBuilder({ data: existingUser, error: null })
+  it('reports a taken username on join', async () => {
+    await seed({ accounts: [people.alice] })
+    await renderApp()
+
+    join('Alice', 'Another Alice')
+
+    await waitFor(() => {
+      expect(screen.getByText('Username already taken')).toBeInTheDocument()
+    })
+  })
 
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(loginBuilder)
+  it('shows the error for a wrong password', async () => {
+    await seed({ accounts: [people.bob], participants: [people.bob] })
+    await renderApp()
 
-    render(<App />)
+    login('bob', 'wrong')
 
     await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+      expect(screen.getByText('Invalid password')).toBeInTheDocument()
     })
+    expect(screen.queryByText('Welcome, Bob!')).not.toBeInTheDocument()
+  })
 
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'bob' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
+  it('logs in an existing user', async () => {
+    await seed({ accounts: [people.bob], participants: [{ ...people.bob, wishes: ['X', 'Y', 'Z'] }] })
+    await renderApp()
 
-    fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+    login('bob')
 
     await waitFor(() => {
       expect(screen.getByText('Welcome, Bob!')).toBeInTheDocument()
     })
+    expect(screen.getByText('X')).toBeInTheDocument()
+  })
+
+  it('switches between the events a user belongs to', async () => {
+    await seed({
+      events: [event, { id: 'ev2', name: 'Family exchange', join_code: 'FAMILY22' }],
+      accounts: [people.alice, people.bob],
+      participants: [
+        people.alice,
+        people.bob,
+        { event_id: 'ev2', ...people.alice, name: 'Auntie Alice' },
+      ],
+    })
+    await renderApp()
+
+    login('alice')
+
+    await waitFor(() => {
+      expect(screen.getByText('Current participants: 2')).toBeInTheDocument()
+    })
+
+    fireEvent.change(screen.getByLabelText('Event'), { target: { value: 'ev2' } })
+
+    await waitFor(() => {
+      expect(screen.getByText('Welcome, Auntie Alice!')).toBeInTheDocument()
+      expect(screen.getByText('Current participants: 1')).toBeInTheDocument()
+    })
+    expect(screen.getByRole('heading', { name: 'Family exchange' })).toBeInTheDocument()
+    expect(localStorage.getItem('lp5-ny.currentEventId')).toBe('ev2')
   })
 
   it('shows lottery status as open and allows drawing (admin)', async () => {
-    const adminUser = { id: 'admin', name: 'Admin', password: 'password', wishes: [] }
-    const user1 = { id: 'alice', name: 'Alice', wishes: ['A', 'B', 'C'] }
-    const user2 = { id: 'bob', name: 'Bob', wishes: ['X', 'Y', 'Z'] }
-    
-    // 1. fetchParticipants
-    const fetchBuilder = createMockBuilder({ data: [adminUser, user1, user2], error: null })
-    
-    // 2. checkLotteryStatus
-    const statusBuilder = createMockBuilder({ data: [], error: null })
-    
-    // 3. Login
-    const loginBuilder = createMockBuilder({ data: adminUser, error: null })
-
-    // 4. Update calls (inside handleDraw loop)
-    const updateBuilder = createMockBuilder({ data: [], error: null })
-    
-    // 5. Refresh current user (select single)
-    const refreshUserBuilder = createMockBuilder({ data: { ...adminUser }, error: null })
-    
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(loginBuilder)
-      .mockReturnValueOnce(updateBuilder) // update 1
-      .mockReturnValueOnce(updateBuilder) // update 2
-      .mockReturnValueOnce(refreshUserBuilder) // refresh user
-
-    render(<App />)
-
-    await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
-    })
-
-    // Login as Admin
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'admin' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
-    fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+    await seed({ accounts: [people.admin], participants: [organizer, people.alice, people.bob] })
+    await renderApp()
+
+    login('admin')
 
     await waitFor(() => {
-      expect(screen.getByText('Start Lottery Draw')).toBeInTheDocument()
+      expect(screen.getByText('Current participants: 2')).toBeInTheDocument()
     })
 
     fireEvent.click(screen.getByText('Start Lottery Draw'))
@@ -193,44 +204,134 @@ describe('App Component', () => {
     await waitFor(() => {
       expect(screen.getByText('The lottery has been drawn!')).toBeInTheDocument()
     })
+
+    // The organizer is not drawing, so Alice and Bob get each other
+    expect(await savedChain()).toEqual({ alice: 'bob', bob: 'alice' })
+    const { data: record } = await repository.draws.getLatest('ev1')
+    expect(record.participant_ids).toEqual(['alice', 'bob'])
+    await waitFor(() => {
+      expect(screen.getByText(record.commitment)).toBeInTheDocument()
+    })
   })
 
-  it('reveals the drawn person', async () => {
-    const user1 = { id: 'alice', name: 'Alice', password: 'password', drawn_participant_id: 'bob', wishes: ['A', 'B', 'C'] }
-    const user2 = { id: 'bob', name: 'Bob', wishes: ['X', 'Y', 'Z'] }
-    
-    // 1. fetchParticipants
-    const fetchBuilder = createMockBuilder({ data: [user1, user2], error: null })
-    
-    // 2. checkLotteryStatus -> returns data indicating draw happened
-    const statusBuilder = createMockBuilder({ data: [{ drawn_participant_id: 'bob' }, { drawn_participant_id: 'alice' }], error: null })
-    
-    // 3. Login
-    const loginBuilder = createMockBuilder({ data: user1, error: null })
+  it('includes organizers who take part in the draw', async () => {
+    await seed({
+      accounts: [people.olivia],
+      participants: [{ ...people.olivia, role: 'admin', participates: true }, people.alice, people.bob],
+    })
+    await renderApp()
 
-    // 4. Reveal draw (select single)
-    const revealBuilder = createMockBuilder({ data: user2, error: null })
-    
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(loginBuilder)
-      .mockReturnValueOnce(revealBuilder)
+    login('olivia')
 
-    render(<App />)
+    await waitFor(() => {
+      expect(screen.getByText('Current participants: 3')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('Start Lottery Draw'))
 
     await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+      expect(screen.getByText('The lottery has been drawn!')).toBeInTheDocument()
+    })
+    expect(Object.keys(await savedChain()).sort()).toEqual(['alice', 'bob', 'olivia'])
+  })
+
+  it('lets an admin promote a co-organizer', async () => {
+    await seed({ accounts: [people.admin], participants: [organizer, people.alice] })
+    await renderApp()
+
+    login('admin')
+
+    await waitFor(() => {
+      expect(screen.getByText('Make organizer')).toBeInTheDocument()
     })
 
-    // Login as Alice
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'alice' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
-    fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+    fireEvent.click(screen.getByText('Make organizer'))
+
+    await waitFor(() => {
+      expect(screen.getAllByText('Remove organizer')).toHaveLength(2)
+    })
+    const { data } = await repository.participants.list('ev1')
+    expect(data.find(p => p.id === 'alice')).toEqual({ id: 'alice', name: 'Alice', role: 'admin', participates: true })
+  })
+
+  it('does not treat the username "admin" as an admin without the role', async () => {
+    await seed({ accounts: [{ id: 'admin', name: 'Not Admin' }], participants: [{ id: 'admin', name: 'Not Admin' }] })
+    await renderApp()
+
+    login('admin')
+
+    await waitFor(() => {
+      expect(screen.getByText('Welcome, Not Admin!')).toBeInTheDocument()
+    })
+    expect(screen.queryByText('Start Lottery Draw')).not.toBeInTheDocument()
+    expect(screen.getByText('Waiting for admin to start the draw...')).toBeInTheDocument()
+  })
+
+  it('keeps registration open and explains when saving the draw fails (admin)', async () => {
+    await seed({ accounts: [people.admin], participants: [organizer, people.alice, people.bob] })
+    vi.spyOn(repository.draws, 'save').mockResolvedValue({ data: null, error: { message: 'Participant "bob" no longer exists' } })
+    await renderApp()
+
+    login('admin')
+
+    await waitFor(() => {
+      expect(screen.getByText('Current participants: 2')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('Start Lottery Draw'))
+
+    await waitFor(() => {
+      expect(screen.getByText(
+        'The draw was not saved: Participant "bob" no longer exists. No assignments were changed and registration is still open.'
+      )).toBeInTheDocument()
+    })
+    expect(screen.getByText('Start Lottery Draw')).toBeInTheDocument()
+    expect(screen.queryByText('The lottery has been drawn!')).not.toBeInTheDocument()
+    expect((await repository.draws.getStatus('ev1')).data.drawn).toBe(false)
+  })
+
+  it('reports when exclusions make the draw impossible (admin)', async () => {
+    await seed({
+      accounts: [people.admin],
+      participants: [organizer, people.alice, people.bob],
+      exclusions: [{ id: 1, event_id: 'ev1', participant_id: 'alice', excluded_id: 'bob', mutual: true }],
+    })
+    await renderApp()
+
+    login('admin')
+
+    await waitFor(() => {
+      expect(screen.getByText(/Alice ⇎ Bob/)).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('Start Lottery Draw'))
+
+    await waitFor(() => {
+      expect(screen.getByText(/No valid draw/)).toBeInTheDocument()
+    })
+    expect(screen.queryByText('The lottery has been drawn!')).not.toBeInTheDocument()
+    expect((await repository.draws.getStatus('ev1')).data.drawn).toBe(false)
+  })
+
+  it('reveals the drawn person', async () => {
+    // Drawn, and the server only sends the receiver's wishes before the reveal
+    await seed({
+      accounts: [people.alice],
+      participants: [
+        { ...people.alice, wishes: ['A', 'B', 'C'], drawn_participant_id: 'bob' },
+        { ...people.bob, wishes: ['X', 'Y', 'Z'], drawn_participant_id: 'alice' },
+      ],
+      draws: [{ id: 1, event_id: 'ev1', seed: 'secret', commitment: 'abc123' }],
+    })
+    await renderApp()
+
+    login('alice')
 
     await waitFor(() => {
       expect(screen.getByText('See who you need to buy for')).toBeInTheDocument()
+      expect(screen.getByText('abc123')).toBeInTheDocument()
     })
+    expect(screen.queryByText('secret')).not.toBeInTheDocument()
 
     fireEvent.click(screen.getByText('See who you need to buy for'))
 
@@ -239,94 +340,604 @@ describe('App Component', () => {
       expect(screen.getByText('Y')).toBeInTheDocument()
       expect(screen.getByText('Z')).toBeInTheDocument()
     })
+    expect(screen.getByText('Name is hidden!')).toBeInTheDocument()
+    expect(screen.queryByText('Bob')).not.toBeInTheDocument()
+  })
+
+  it('shows the giver links, prices and surprise wishes in priority order', async () => {
+    await seed({
+      events: [{ ...event, budget_max: 1000 }],
+      accounts: [people.alice],
+      participants: [
+        { ...people.alice, drawn_participant_id: 'bob' },
+        {
+          ...people.bob,
+          drawn_participant_id: 'alice',
+          wishes: [
+            { title: 'Board game', link: 'https://example.com/game', price: 900 },
+            { title: 'something green', surprise: true },
+          ],
+        },
+      ],
+    })
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('See who you need to buy for'))
+
+    const items = await screen.findAllByRole('listitem')
+    const wishes = items.filter(li => li.closest('.result-card'))
+    expect(wishes[0]).toHaveTextContent('Board game')
+    expect(wishes[0]).toHaveTextContent(/about .*900/)
+    expect(screen.getByRole('link', { name: 'Link' })).toHaveAttribute('href', 'https://example.com/game')
+    expect(wishes[1]).toHaveTextContent('🎁 Surprise me: something green')
+    expect(screen.getByText('Gift budget:')).toHaveTextContent(/up to .*1,000/)
   })
 
   it('allows user to update wishes', async () => {
-    const user = { id: 'alice', name: 'Alice', password: 'password', wishes: ['A', 'B', 'C'] }
-    
-    // 1. fetchParticipants
-    const fetchBuilder = createMockBuilder({ data: [user], error: null })
-    
-    // 2. checkLotteryStatus
-    const statusBuilder = createMockBuilder({ data: [], error: null })
-    
-    // 3. Login
-    const loginBuilder = createMockBuilder({ data: user, error: null })
+    // Saved before wish lists could be any length
+    await seed({ accounts: [people.alice], participants: [{ ...people.alice, wishes: ['A', '', 'C'] }] })
+    await renderApp()
 
-    // 4. Update wishes
-    const updatedUser = { ...user, wishes: ['New A', 'New B', 'New C'] }
-    const updateBuilder = createMockBuilder({ data: updatedUser, error: null })
+    login('alice')
 
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(loginBuilder)
-      .mockReturnValueOnce(updateBuilder)
+    await waitFor(() => {
+      expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('Edit Wishes'))
 
-    render(<App />)
+    // The empty slot is gone; A and C are wishes 1 and 2
+    fireEvent.change(screen.getByLabelText('Wish 1'), { target: { value: 'New A' } })
+    fireEvent.click(screen.getByText('Add Wish'))
+    fireEvent.change(screen.getByLabelText('Wish 3'), { target: { value: 'Headphones' } })
+    fireEvent.change(screen.getByLabelText('Link for wish 3'), { target: { value: 'https://example.com/headphones' } })
+    fireEvent.change(screen.getByLabelText('Price for wish 3'), { target: { value: '1500' } })
+    fireEvent.click(screen.getByLabelText('Move wish 3 up'))
+    fireEvent.click(screen.getByText('Add Wish'))
+    fireEvent.click(screen.getAllByLabelText('Surprise me / no preference')[3])
+
+    fireEvent.click(screen.getByText('Save Wishes'))
 
     await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+      expect(screen.getByText('New A')).toBeInTheDocument()
+      expect(screen.getByText(/Headphones/)).toBeInTheDocument()
+    })
+    const { data } = await repository.auth.fetchMemberships()
+    expect(data[0].wishes).toEqual([
+      { title: 'New A' },
+      { title: 'Headphones', link: 'https://example.com/headphones', price: 1500 },
+      { title: 'C' },
+      { title: '', surprise: true },
+    ])
+  })
+
+  it('does not save links that are not web links', async () => {
+    await seed({ accounts: [people.alice], participants: [people.alice] })
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('Edit Wishes'))
+    fireEvent.change(screen.getByLabelText('Wish 1'), { target: { value: 'Tea' } })
+    fireEvent.change(screen.getByLabelText('Link for wish 1'), { target: { value: 'javascript:alert(1)' } })
+    fireEvent.click(screen.getByText('Save Wishes'))
+
+    expect(screen.getByText('"javascript:alert(1)" is not a web link (http:// or https://)')).toBeInTheDocument()
+    const { data } = await repository.auth.fetchMemberships()
+    expect(data[0].wishes).toEqual([])
+  })
+
+  it('asks for a title instead of dropping a wish that only has a link', async () => {
+    await seed({ accounts: [people.alice], participants: [people.alice] })
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('Edit Wishes'))
+    fireEvent.change(screen.getByLabelText('Link for wish 1'), { target: { value: 'https://example.com/tea' } })
+    fireEvent.click(screen.getByText('Save Wishes'))
+
+    expect(screen.getByText('Every wish needs a title')).toBeInTheDocument()
+    expect(screen.getByLabelText('Link for wish 1')).toHaveValue('https://example.com/tea')
+  })
+
+  it('lets the giver ask their receiver anonymously', async () => {
+    await seed({
+      accounts: [people.alice, people.bob],
+      participants: [
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice', wishes: ['a nice mug'] },
+      ],
     })
+    await renderApp()
+
+    login('alice')
+    fireEvent.change(await screen.findByLabelText('Question for the person you buy for'), { target: { value: 'What colour mug?' } })
+    fireEvent.click(screen.getAllByText('Send')[0])
+    expect(await screen.findByText('What colour mug?')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Logout'))
+    await screen.findByPlaceholderText('Enter user')
+    login('bob')
+    expect(await screen.findByText('Questions from your Secret Santa')).toBeInTheDocument()
+    expect(screen.getByText('What colour mug?')).toBeInTheDocument()
+    expect(screen.queryByText(/Alice/)).not.toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Answer to your Secret Santa'), { target: { value: 'Green, please' } })
+    fireEvent.click(screen.getAllByText('Send')[1])
+    expect(await screen.findByText('Green, please')).toBeInTheDocument()
+  })
 
-    // Login
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'alice' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
-    fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+  it('lets givers track their gift and shows organizers who is behind', async () => {
+    await seed({
+      accounts: [people.admin, people.alice],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+      ],
+    })
+    await renderApp()
 
+    login('alice')
+    fireEvent.click(await screen.findByRole('button', { name: 'Purchased' }))
     await waitFor(() => {
-      expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: 'Purchased' })).toHaveAttribute('aria-pressed', 'true')
     })
 
-    // Click Edit Wishes
-    fireEvent.click(screen.getByText('Edit Wishes'))
+    fireEvent.click(screen.getByText('Logout'))
+    await screen.findByPlaceholderText('Enter user')
+    login('admin')
+    expect(await screen.findByText('Still to buy: Bob')).toBeInTheDocument()
+    expect(screen.getByText(/Not started: 1 · Planned: 0 · Purchased: 1/)).toBeInTheDocument()
 
-    // Change wishes
-    const inputs = screen.getAllByPlaceholderText(/wish/i)
-    fireEvent.change(inputs[0], { target: { value: 'New A' } })
-    fireEvent.change(inputs[1], { target: { value: 'New B' } })
-    fireEvent.change(inputs[2], { target: { value: 'New C' } })
+    fireEvent.click(screen.getByText('Reveal All Names to Participants'))
+    expect(await screen.findByText('Gifts received: 0 of 2')).toBeInTheDocument()
 
+    fireEvent.click(screen.getByText('Logout'))
+    await screen.findByPlaceholderText('Enter user')
+    login('alice')
+    fireEvent.click(await screen.findByText('I Got My Gift'))
+    expect(await screen.findByText('🎉 You confirmed you got your gift.')).toBeInTheDocument()
+  })
+
+  it('shows the budget and keeps wishes within it', async () => {
+    await seed({
+      events: [{ ...event, budget_min: 500, budget_max: 1000 }],
+      accounts: [people.alice],
+      participants: [people.alice],
+    })
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('Edit Wishes'))
+    expect(screen.getByText('Gift budget:')).toHaveTextContent(/500.*1,000/)
+
+    fireEvent.change(screen.getByLabelText('Wish 1'), { target: { value: 'Headphones' } })
+    fireEvent.change(screen.getByLabelText('Price for wish 1'), { target: { value: '1500' } })
+    expect(screen.getByText(/Over the budget of/)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Save Wishes'))
+    expect(screen.getByText('"Headphones" is over the budget')).toBeInTheDocument()
+    expect((await repository.auth.fetchMemberships()).data[0].wishes).toEqual([])
+
+    fireEvent.change(screen.getByLabelText('Price for wish 1'), { target: { value: '900' } })
+    expect(screen.queryByText(/Over the budget of/)).not.toBeInTheDocument()
     fireEvent.click(screen.getByText('Save Wishes'))
+    await waitFor(async () => {
+      expect((await repository.auth.fetchMemberships()).data[0].wishes).toEqual([{ title: 'Headphones', price: 900 }])
+    })
+  })
+
+  it('shows the budget on the login screen of an invite link', async () => {
+    await seed({ events: [{ ...event, budget_max: 800 }] })
+    window.history.pushState({}, '', '/?code=ABCD2345')
+    try {
+      await renderApp()
+      expect(await screen.findByText('Gift budget:')).toHaveTextContent(/up to .*800/)
+    } finally {
+      window.history.pushState({}, '', '/')
+    }
+  })
+
+  it('shows the budget on the login screen of the event used last', async () => {
+    await seed({ events: [{ ...event, budget_min: 300 }] })
+    localStorage.setItem('lp5-ny.currentEventId', 'ev1')
+    await renderApp()
+
+    expect(await screen.findByText('Gift budget:')).toHaveTextContent(/at least .*300/)
+  })
+
+  it('lets the admin set the budget', async () => {
+    await seed({ accounts: [people.admin], participants: [organizer] })
+    await renderApp()
+
+    login('admin')
+    fireEvent.change(await screen.findByLabelText('Lowest budget'), { target: { value: '300' } })
+    fireEvent.change(screen.getByLabelText('Highest budget'), { target: { value: '200' } })
+    fireEvent.click(screen.getByText('Save Budget'))
+    expect(await screen.findByText('Error saving the budget: The lower end of the budget is above the upper end')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Highest budget'), { target: { value: '600' } })
+    fireEvent.click(screen.getByText('Save Budget'))
+    expect(await screen.findByText(/Currently .*300.*600/)).toBeInTheDocument()
+  })
+
+  it('imports participants after a preview and hands out temporary passwords', async () => {
+    await seed({ accounts: [people.admin, people.bob], participants: [organizer, people.alice] })
+    await renderApp()
+
+    login('admin')
+    fireEvent.change(await screen.findByLabelText('Participants to import'), {
+      target: { value: 'id,name,wishes\nsomchai,Somchai,Coffee;Book\nalice,Alice,\nbob,Bob B.,\n,Nobody,' }
+    })
+    fireEvent.click(screen.getByText('Check'))
+
+    expect(screen.getByText('Already in this event')).toBeInTheDocument()
+    expect(screen.getByText('Username missing')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Import 2 Participants'))
+
+    expect(await screen.findByText('Temporary passwords', { exact: false })).toBeInTheDocument()
+    expect(screen.getByText(/1 username was already taken and not imported\. If that is someone with an account, send them the invite code \w+ to join themselves\./)).toBeInTheDocument()
+    const password = document.querySelector('.import-credentials code').textContent
+    expect(screen.getByText('Somchai', { selector: '.import-credentials td' })).toBeInTheDocument()
+    await waitFor(() => expect(screen.getByText('Current participants: 2')).toBeInTheDocument())
+    expect(screen.queryByText('Bob B.')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Logout'))
+    await screen.findByPlaceholderText('Enter user')
+    login('somchai', password)
+    expect(await screen.findByText('Coffee')).toBeInTheDocument()
+  })
+
+  it('updates the waiting screen live when the draw and the reveal happen', async () => {
+    const waiting = {
+      accounts: [people.alice],
+      participants: [organizer, { ...people.alice, wishes: ['Tea'] }, { ...people.bob, wishes: ['Socks'] }],
+    }
+    await seed(waiting)
+    await renderApp()
+
+    login('alice')
 
     await waitFor(() => {
-      expect(screen.getByText('New A')).toBeInTheDocument()
-      expect(screen.getByText('New B')).toBeInTheDocument()
-      expect(screen.getByText('New C')).toBeInTheDocument()
+      expect(screen.getByText('Waiting for admin to start the draw...')).toBeInTheDocument()
+    })
+
+    // The organizer draws somewhere else
+    await seed({
+      ...waiting,
+      participants: [
+        organizer,
+        { ...people.alice, wishes: ['Tea'], drawn_participant_id: 'bob' },
+        { ...people.bob, wishes: ['Socks'], drawn_participant_id: 'alice' },
+      ],
+      session: 'alice',
+    })
+
+    await waitFor(() => {
+      expect(screen.getByText('The lottery has been drawn!')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByText('See who you need to buy for'))
+    await waitFor(() => {
+      expect(screen.getByText('Name is hidden!')).toBeInTheDocument()
     })
+
+    // ...and then reveals the names
+    await seed({
+      ...waiting,
+      participants: [
+        organizer,
+        { ...people.alice, wishes: ['Tea'], drawn_participant_id: 'bob', is_revealed: true },
+        { ...people.bob, wishes: ['Socks'], drawn_participant_id: 'alice', is_revealed: true },
+      ],
+      session: 'alice',
+    })
+
+    await waitFor(() => {
+      expect(screen.getByText('Bob')).toBeInTheDocument()
+    })
+    expect(screen.queryByText('Name is hidden!')).not.toBeInTheDocument()
   })
 
-  it('allows admin to reveal all names globally', async () => {
-    const adminUser = { id: 'admin', name: 'Admin', password: 'password', wishes: [] }
-    
-    // 1. fetchParticipants
-    const fetchBuilder = createMockBuilder({ data: [adminUser], error: null })
-    
-    // 2. checkLotteryStatus (drawn but not revealed)
-    const statusBuilder = createMockBuilder({ data: [{ drawn_participant_id: 'x', is_revealed: false }], error: null })
-    
-    // 3. Login
-    const loginBuilder = createMockBuilder({ data: adminUser, error: null })
+  it('keeps people logged in across a reload and shows their assignment again', async () => {
+    await seed({
+      accounts: [people.alice],
+      participants: [
+        organizer,
+        { ...people.alice, wishes: ['Tea'], drawn_participant_id: 'bob' },
+        { ...people.bob, wishes: ['Socks'], drawn_participant_id: 'alice' },
+      ],
+      session: 'alice',
+    })
+    await renderApp()
+
+    // No login and no click on 'See who you need to buy for'
+    await waitFor(() => {
+      expect(screen.getByText('Socks')).toBeInTheDocument()
+    })
+    expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+  })
 
-    // 4. Global reveal update
-    const updateBuilder = createMockBuilder({ data: [], error: null })
+  it('logs out everywhere, ending every session of the account', async () => {
+    await seed({
+      accounts: [people.alice],
+      participants: [organizer, people.alice, people.bob],
+      sessions: [{ token: 'phone', account_id: 'alice', expires_at: '2999-01-01T00:00:00.000Z' }],
+    })
+    await renderApp()
 
-    supabase.from
-      .mockReturnValueOnce(fetchBuilder)
-      .mockReturnValueOnce(statusBuilder)
-      .mockReturnValueOnce(loginBuilder)
-      .mockReturnValueOnce(updateBuilder)
+    login('alice')
+    await waitFor(() => {
+      expect(screen.getByText('Log out everywhere')).toBeInTheDocument()
+    })
 
-    render(<App />)
+    fireEvent.click(screen.getByText('Log out everywhere'))
 
     await waitFor(() => {
-      expect(screen.queryByText('Loading...')).not.toBeInTheDocument()
+      expect(screen.getByRole('heading', { name: 'Login' })).toBeInTheDocument()
     })
+    expect((await repository.auth.restoreSession()).data).toBeNull()
+  })
 
-    // Login
-    fireEvent.change(screen.getByPlaceholderText('Enter user'), { target: { value: 'admin' } })
-    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'password' } })
-    fireEvent.click(screen.getByRole('button', { name: 'Login' }))
+  it('gives each screen its own URL, so the back button works', async () => {
+    await seed({ accounts: [people.alice], participants: [organizer, people.alice] })
+    await renderApp()
+    expect(window.location.pathname).toBe('/login')
+
+    fireEvent.click(screen.getByText('Join now'))
+    expect(window.location.pathname).toBe('/join')
+    expect(screen.getByRole('heading', { name: 'Join the Lottery' })).toBeInTheDocument()
+    window.history.back()
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: 'Login' })).toBeInTheDocument()
+    })
+
+    login('alice')
+    await waitFor(() => {
+      expect(window.location.pathname).toBe('/me')
+    })
+    fireEvent.click(screen.getByText('Edit Wishes'))
+    expect(window.location.pathname).toBe('/me/wishes')
+    expect(screen.getByText('Save Wishes')).toBeInTheDocument()
+
+    window.history.back()
+    await waitFor(() => {
+      expect(screen.queryByText('Save Wishes')).not.toBeInTheDocument()
+    })
+    expect(screen.getByText('Edit Wishes')).toBeInTheDocument()
+  })
+
+  it('redirects people who are not organizers away from the admin pages', async () => {
+    await seed({ accounts: [people.alice], participants: [organizer, people.alice, people.bob], session: 'alice' })
+    window.history.pushState(null, '', '/admin/chain')
+    await renderApp()
+
+    await waitFor(() => {
+      expect(window.location.pathname).toBe('/me')
+    })
+    expect(screen.getByText('Welcome, Alice!')).toBeInTheDocument()
+    expect(screen.queryByText('Gift Exchange Chain')).not.toBeInTheDocument()
+    // A redirect, so back doesn't land on the admin page again
+    window.history.back()
+    await waitFor(() => {
+      expect(window.location.pathname).not.toBe('/admin/chain')
+    })
+  })
+
+  it('opens a bookmarked admin page after logging in', async () => {
+    await seed({ accounts: [people.admin], participants: [organizer, people.alice, people.bob] })
+    window.history.pushState(null, '', '/admin/chain')
+    await renderApp()
+
+    expect(window.location.pathname).toBe('/login')
+    login('admin')
+    await waitFor(() => {
+      expect(window.location.pathname).toBe('/admin/chain')
+    })
+    expect(await screen.findByText('Gift Exchange Chain')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Back to Main'))
+    expect(window.location.pathname).toBe('/me')
+    expect(screen.getByText('Welcome, Admin!')).toBeInTheDocument()
+  })
+
+  it('lets the admin reset the draw after confirming, and undo it', async () => {
+    await seed({
+      accounts: [people.admin],
+      participants: [organizer, people.alice, people.bob],
+    })
+    await renderApp()
+
+    login('admin')
+    await waitFor(() => {
+      expect(screen.getByText('Current participants: 2')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByText('Start Lottery Draw'))
+    await waitFor(() => {
+      expect(screen.getByText('The lottery has been drawn!')).toBeInTheDocument()
+    })
+    const drawn = await savedChain()
+
+    fireEvent.click(screen.getByText('Reset Draw...'))
+    expect(await savedChain()).toEqual(drawn)
+
+    fireEvent.click(screen.getByText('Clear Draw and Reopen Registration'))
+    await waitFor(() => {
+      expect(screen.getByText('Start Lottery Draw')).toBeInTheDocument()
+    })
+    expect(await savedChain()).toEqual({})
+
+    fireEvent.click(await screen.findByText('Restore Previous Draw...'))
+    fireEvent.click(screen.getByRole('button', { name: 'Restore Previous Draw' }))
+    await waitFor(() => {
+      expect(screen.getByText('The lottery has been drawn!')).toBeInTheDocument()
+    })
+    expect(await savedChain()).toEqual(drawn)
+  })
+
+  it('re-draws from the reset confirmation', async () => {
+    await seed({
+      accounts: [people.admin],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+        people.olivia,
+      ],
+    })
+    await renderApp()
+
+    login('admin')
+    fireEvent.click(await screen.findByText('Reset Draw...'))
+    fireEvent.click(screen.getByText('Re-draw Now'))
+
+    // Olivia joined late and is part of the new draw
+    await waitFor(async () => {
+      expect(Object.keys(await savedChain()).sort()).toEqual(['alice', 'bob', 'olivia'])
+    })
+  })
+
+  it('adds a late joiner to the chain and tells only the affected giver', async () => {
+    await seed({
+      accounts: [people.admin, people.alice, people.bob],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+        people.olivia,
+      ],
+    })
+    await renderApp()
+
+    login('admin')
+    fireEvent.click(await screen.findByText('Add to Draw'))
+    await waitFor(() => {
+      expect(screen.queryByText('Joined after the draw')).not.toBeInTheDocument()
+    })
+
+    const chain = await savedChain()
+    const giver = Object.keys(chain).find(id => chain[id] === 'olivia')
+    const other = giver === 'alice' ? 'bob' : 'alice'
+    expect(chain[other]).toBe(giver)
+
+    fireEvent.click(screen.getAllByText('Logout')[0])
+    await screen.findByPlaceholderText('Enter user')
+    login(other)
+    await screen.findByText('The lottery has been drawn!')
+    expect(screen.queryByText('Your assignment has changed.')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getAllByText('Logout')[0])
+    await screen.findByPlaceholderText('Enter user')
+    login(giver)
+    await screen.findByText('Your assignment has changed.')
+    fireEvent.click(screen.getByText('Got it'))
+    await waitFor(() => {
+      expect(screen.queryByText('Your assignment has changed.')).not.toBeInTheDocument()
+    })
+  })
+
+  it('lets the admin schedule the reveal', async () => {
+    await seed({
+      accounts: [people.admin],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+      ],
+    })
+    await renderApp()
+
+    login('admin')
+    fireEvent.change(await screen.findByLabelText('Reveal date and time'), { target: { value: '2000-01-01T20:00' } })
+    fireEvent.click(screen.getByText('Schedule Reveal'))
+    expect(await screen.findByText('Error scheduling the reveal: The reveal time has to be in the future')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Reveal date and time'), { target: { value: '2999-12-31T20:00' } })
+    fireEvent.click(screen.getByText('Schedule Reveal'))
+    expect(await screen.findByText(/Names will be revealed automatically on/)).toBeInTheDocument()
+    expect(screen.getByRole('timer')).toHaveTextContent(/days/)
+
+    fireEvent.click(screen.getByText('Cancel Schedule'))
+    expect(await screen.findByLabelText('Reveal date and time')).toBeInTheDocument()
+    expect((await repository.draws.getStatus('ev1')).data.reveal_at).toBeNull()
+  })
+
+  it('reveals the name by itself once the scheduled time has passed', async () => {
+    await seed({
+      events: [{ ...event, reveal_at: new Date(Date.now() + 1500).toISOString() }],
+      accounts: [people.alice],
+      participants: [
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+      ],
+    })
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('See who you need to buy for'))
+    expect(await screen.findByText('Name is hidden!')).toBeInTheDocument()
+    expect(screen.getByRole('timer')).toBeInTheDocument()
+
+    expect(await screen.findByText('Bob', {}, { timeout: 4000 })).toBeInTheDocument()
+  })
+
+  it('flips only the screens of the people revealed so far', async () => {
+    const chain = (revealed) => ({
+      accounts: [people.admin, people.alice],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob', is_revealed: revealed.includes('alice') },
+        { ...people.bob, drawn_participant_id: 'olivia', is_revealed: revealed.includes('bob') },
+        { ...people.olivia, drawn_participant_id: 'alice', is_revealed: revealed.includes('olivia') },
+      ],
+      draws: [{ id: 1, event_id: 'ev1', seed: 'secret', commitment: 'abc123' }],
+    })
+    await seed(chain([]))
+    await renderApp()
+
+    login('alice')
+    fireEvent.click(await screen.findByText('See who you need to buy for'))
+    expect(await screen.findByText('Name is hidden!')).toBeInTheDocument()
+
+    // Bob's link is shown on stage first
+    await seed({ ...chain(['bob']), session: 'alice' })
+    await waitFor(async () => {
+      expect((await repository.draws.getStatus('ev1')).data).toMatchObject({ revealed: true, all_revealed: false })
+    })
+    expect(screen.getByText('Name is hidden!')).toBeInTheDocument()
+
+    await seed({ ...chain(['bob', 'alice']), session: 'alice' })
+    expect(await screen.findByText('Bob')).toBeInTheDocument()
+    expect(screen.queryByText('Name is hidden!')).not.toBeInTheDocument()
+    // The seed would give away Olivia's receiver
+    expect(screen.getByText('abc123')).toBeInTheDocument()
+    expect(screen.queryByText('secret')).not.toBeInTheDocument()
+    expect((await repository.draws.getLatestCommitment('ev1')).data.seed).toBeNull()
+
+    fireEvent.click(screen.getByText('Logout'))
+    await screen.findByPlaceholderText('Enter user')
+    login('admin')
+    expect(await screen.findByText('Some names have been revealed. The rest are still hidden.')).toBeInTheDocument()
+    expect(screen.queryByText('secret')).not.toBeInTheDocument()
+
+    await seed({ ...chain(['bob', 'alice', 'olivia']), session: 'admin' })
+    expect(await screen.findByText('secret')).toBeInTheDocument()
+  })
+
+  it('allows admin to reveal all names globally', async () => {
+    // Drawn but not revealed
+    await seed({
+      accounts: [people.admin],
+      participants: [
+        organizer,
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+      ],
+    })
+    await renderApp()
+
+    login('admin')
 
     await waitFor(() => {
       expect(screen.getByText('Reveal All Names to Participants')).toBeInTheDocument()
@@ -334,11 +945,140 @@ describe('App Component', () => {
 
     fireEvent.click(screen.getByText('Reveal All Names to Participants'))
 
-    // Since we don't re-fetch status in the component immediately (it sets local state), 
-    // we check if the button disappears or state changes.
-    // In the code: setIsNamesRevealed(true) which hides the button.
+    // setIsNamesRevealed(true) hides the button
     await waitFor(() => {
       expect(screen.queryByText('Reveal All Names to Participants')).not.toBeInTheDocument()
     })
+    expect((await repository.draws.getStatus('ev1')).data.revealed).toBe(true)
+  })
+})
+
+// The main flows again with the whole app wrapped in its LanguageProvider,
+// once per language, finding everything through the catalogs
+describe.each(LOCALES)('App in %s', (locale) => {
+  const t = (key, params) => translate(locale, key, params)
+
+  const renderInLanguage = async () => {
+    const result = render(<LanguageProvider><App /></LanguageProvider>)
+    await waitFor(() => {
+      expect(screen.queryByText(t('app.loading'))).not.toBeInTheDocument()
+    })
+    return result
+  }
+
+  // The login form as it is in `language`
+  const loginAs = (username, password = 'password', language = locale) => {
+    fireEvent.change(screen.getByPlaceholderText(translate(language, 'login.userPlaceholder')), { target: { value: username } })
+    fireEvent.change(screen.getByPlaceholderText(translate(language, 'login.passwordPlaceholder')), { target: { value: password } })
+    fireEvent.click(screen.getByRole('button', { name: translate(language, 'login.submit') }))
+  }
+
+  beforeEach(async () => {
+    localStorage.clear()
+    localStorage.setItem(LOCALE_KEY, locale)
+    window.history.replaceState(null, '', '/')
+    await repository.reset()
+  })
+
+  it('shows the login screen and its errors', async () => {
+    await seed({ accounts: [people.alice], participants: [people.alice] })
+    await renderInLanguage()
+
+    expect(document.documentElement.lang).toBe(locale)
+    expect(screen.getByRole('heading', { name: t('app.tagline') })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: LANGUAGE_NAMES[locale] })).toHaveAttribute('aria-pressed', 'true')
+
+    fireEvent.click(screen.getByRole('button', { name: t('login.submit') }))
+    expect(await screen.findByText(t('login.missingCredentials'))).toBeInTheDocument()
+
+    loginAs('alice', 'wrong')
+    expect(await screen.findByText(translateError(locale, 'Invalid password'))).toBeInTheDocument()
+  })
+
+  it('draws, reveals and shows the budget', async () => {
+    const budgeted = { ...event, budget_min: 500, budget_max: 1000 }
+    await seed({
+      events: [budgeted],
+      accounts: [people.admin, people.alice],
+      participants: [organizer, { ...people.alice, wishes: [{ title: 'Tea', price: 300 }] }, people.bob],
+    })
+    const { unmount } = await renderInLanguage()
+
+    loginAs('admin')
+    expect(await screen.findByText(t('lottery.participantCount', { count: 2 }))).toBeInTheDocument()
+    fireEvent.click(screen.getByText(t('lottery.startDraw')))
+    fireEvent.click(await screen.findByText(t('lottery.revealAll')))
+    await waitFor(() => {
+      expect(screen.queryByText(t('lottery.revealAll'))).not.toBeInTheDocument()
+    })
+
+    // Alice on their own phone
+    fireEvent.click(screen.getByText(t('app.logout')))
+    await screen.findByPlaceholderText(t('login.userPlaceholder'))
+    unmount()
+    await renderInLanguage()
+    loginAs('alice')
+    fireEvent.click(await screen.findByText(t('lottery.seeAssignment')))
+
+    expect(await screen.findByText(t('lottery.nameRevealed'))).toBeInTheDocument()
+    expect(screen.getByText('Bob')).toBeInTheDocument()
+    expect(document.querySelector('.result-card .budget')).toHaveTextContent(t('app.giftBudget', { budget: formatBudget(budgeted, locale) }))
+  })
+
+  it('shows the scheduled reveal with a date in the same language', async () => {
+    const revealAt = '2999-12-31T13:00:00.000Z'
+    await seed({
+      events: [{ ...event, reveal_at: revealAt }],
+      accounts: [people.alice],
+      participants: [
+        { ...people.alice, drawn_participant_id: 'bob' },
+        { ...people.bob, drawn_participant_id: 'alice' },
+      ],
+    })
+    await renderInLanguage()
+
+    loginAs('alice')
+    fireEvent.click(await screen.findByText(t('lottery.seeAssignment')))
+
+    expect(await screen.findByText(t('lottery.revealsOn', { date: formatDateTime(revealAt, locale) }))).toBeInTheDocument()
+    expect(screen.getByRole('timer')).toHaveTextContent(locale === 'th' ? /วัน/ : /days/)
+  })
+
+  it('remembers the language each account chose', async () => {
+    const other = locale === 'th' ? 'en' : 'th'
+    await seed({ accounts: [people.alice, people.bob], participants: [people.alice, people.bob] })
+    await renderInLanguage()
+
+    loginAs('alice')
+    await screen.findByText(t('app.welcomeName', { name: 'Alice' }))
+    fireEvent.click(screen.getByRole('button', { name: LANGUAGE_NAMES[other] }))
+    expect(screen.getByText(translate(other, 'app.welcomeName', { name: 'Alice' }))).toBeInTheDocument()
+    expect(document.documentElement.lang).toBe(other)
+
+    // Someone new on this device starts in the language used last, and
+    // switches back
+    fireEvent.click(screen.getByText(translate(other, 'app.logout')))
+    await screen.findByPlaceholderText(translate(other, 'login.userPlaceholder'))
+    loginAs('bob', 'password', other)
+    await screen.findByText(translate(other, 'app.welcomeName', { name: 'Bob' }))
+    fireEvent.click(screen.getByRole('button', { name: LANGUAGE_NAMES[locale] }))
+    fireEvent.click(screen.getByText(t('app.logout')))
+
+    await screen.findByPlaceholderText(t('login.userPlaceholder'))
+    loginAs('alice')
+    expect(await screen.findByText(translate(other, 'app.welcomeName', { name: 'Alice' }))).toBeInTheDocument()
+  })
+
+  it('takes the language saved on the account to another device', async () => {
+    const other = locale === 'th' ? 'en' : 'th'
+    await seed({ accounts: [{ ...people.alice, locale: other }], participants: [people.alice] })
+    await renderInLanguage()
+
+    loginAs('alice')
+    expect(await screen.findByText(translate(other, 'app.welcomeName', { name: 'Alice' }))).toBeInTheDocument()
+    expect(localStorage.getItem(`${LOCALE_KEY}.alice`)).toBe(other)
+
+    fireEvent.click(screen.getByRole('button', { name: LANGUAGE_NAMES[locale] }))
+    await waitFor(async () => expect((await repository.auth.getLocale()).data).toBe(locale))
   })
 })
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { CURRENCY, formatBudget } from './wishes'
+import { useI18n } from './i18nContext'
+
+const toAmount = (value) => (value === '' ? null : Number(value))
+
+// Admin form for the event's gift budget. Either end may be left empty for
+// "up to ..." or "at least ..."; wishes priced above the upper end can't be
+// saved.
+function BudgetEditor({ eventId, budget, onChange }) {
+  const { t, te, locale } = useI18n()
+  const [min, setMin] = useState(budget?.budget_min ?? '')
+  const [max, setMax] = useState(budget?.budget_max ?? '')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setBusy(true)
+
+    const { error } = await repository.events.setBudget(eventId, toAmount(min), toAmount(max))
+
+    setBusy(false)
+    if (error) {
+      setError(t('budget.saveError', { message: te(error.message) }))
+    } else {
+      await onChange()
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="budget-editor" style={{marginTop: '2rem', textAlign: 'left'}}>
+      <h4>{t('budget.title', { currency: CURRENCY })}</h4>
+      <p style={{fontSize: '0.85em', color: '#666'}}>
+        {formatBudget(budget, locale) ? t('budget.currently', { budget: formatBudget(budget, locale) }) : t('budget.none')}
+      </p>
+      <div style={{display: 'flex', gap: '0.5rem', alignItems: 'center'}}>
+        <input type="number" min="0" value={min} onChange={e => setMin(e.target.value)} placeholder={t('budget.lowestPlaceholder')} aria-label={t('budget.lowest')} />
+        <span>–</span>
+        <input type="number" min="0" value={max} onChange={e => setMax(e.target.value)} placeholder={t('budget.highestPlaceholder')} aria-label={t('budget.highest')} />
+      </div>
+      <button type="submit" disabled={busy}>{t('budget.save')}</button>
+      {error && <p className="error">{error}</p>}
+    </form>
+  )
+}
+
+export default BudgetEditor
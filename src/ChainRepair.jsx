@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { repairChain, withdrawFromChain } from './draw'
+import { useI18n } from './i18nContext'
+
+// Admin tools for when someone drops out after the draw. Withdrawing takes
+// them out of the event and fills the gap with as few changes as possible
+// (usually their giver just takes over their receiver); "Repair Chain" does
+// the same for gaps left some other way. Both confirm first and then list
+// the people whose assignment changed, so the organizer knows who to tell.
+function ChainRepair({ eventId, participants, onChange }) {
+  const { t, te } = useI18n()
+  const [exclusions, setExclusions] = useState([])
+  const [withdrawId, setWithdrawId] = useState('')
+  const [pending, setPending] = useState(null) // { withdrawnId, repairs, changed }
+  const [report, setReport] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchExclusions = async () => {
+      const { data, error } = await repository.exclusions.list(eventId)
+
+      if (error) console.error('Error fetching exclusions:', error)
+      else setExclusions(data || [])
+    }
+    fetchExclusions()
+  }, [eventId, participants])
+
+  const nameOf = (id) => participants.find(p => p.id === id)?.name || id
+
+  // Everyone in the chain: givers, plus receivers left with nobody to buy for
+  const assignments = new Map(participants.filter(p => p.drawn_participant_id).map(p => [p.id, p.drawn_participant_id]))
+  for (const receiverId of [...assignments.values()]) {
+    if (!assignments.has(receiverId)) assignments.set(receiverId, null)
+  }
+  const hasHoles = [...assignments.values()].some(id => id == null)
+
+  const propose = (withdrawnId) => {
+    setError(null)
+    setReport(null)
+
+    const { assignments: repaired, changed, error } = withdrawnId
+      ? withdrawFromChain(assignments, withdrawnId, { exclusions })
+      : repairChain(assignments, { exclusions })
+    if (error) {
+      setError(te(error))
+      return
+    }
+
+    setPending({
+      withdrawnId,
+      changed,
+      repairs: changed.map(id => ({ giver_id: id, receiver_id: repaired.get(id) }))
+    })
+  }
+
+  const confirm = async () => {
+    setBusy(true)
+    const { withdrawnId, repairs, changed } = pending
+    const { error } = withdrawnId
+      ? await repository.draws.withdraw(eventId, withdrawnId, repairs)
+      : await repository.draws.repair(eventId, repairs)
+    setBusy(false)
+    setPending(null)
+
+    if (error) {
+      setError(t('repair.error', { message: te(error.message) }))
+      return
+    }
+
+    setReport({ withdrawn: withdrawnId && nameOf(withdrawnId), told: changed.map(nameOf) })
+    setWithdrawId('')
+    await onChange()
+  }
+
+  return (
+    <div className="chain-repair" style={{marginTop: '2rem', padding: '1rem', backgroundColor: '#fdecea', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('repair.title')}</h4>
+
+      {pending ? (
+        <div>
+          <p>
+            {pending.withdrawnId
+              ? <><strong>{t('repair.confirmRemove', { name: nameOf(pending.withdrawnId) })}</strong>{' '}</>
+              : <><strong>{t('repair.confirmRepair')}</strong>{' '}</>}
+            {pending.changed.length > 0
+              ? t('repair.willChange', { names: pending.changed.map(nameOf).join(', ') })
+              : t('repair.nobodyAffected')}
+          </p>
+          <button onClick={confirm} disabled={busy} style={{backgroundColor: '#c0392b'}}>
+            {t(pending.withdrawnId ? 'repair.removeAndRepair' : 'repair.repairChain')}
+          </button>
+          <button onClick={() => setPending(null)} disabled={busy} style={{backgroundColor: '#999'}}>
+            {t('repair.cancel')}
+          </button>
+        </div>
+      ) : (
+        <div>
+          <div style={{display: 'flex', gap: '0.5rem', alignItems: 'center'}}>
+            <select value={withdrawId} onChange={e => setWithdrawId(e.target.value)} aria-label={t('repair.withdrawLabel')}>
+              <option value="">{t('repair.chooseWithdraw')}</option>
+              {participants.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => propose(withdrawId)}
+              disabled={!withdrawId}
+              style={{width: 'auto', marginTop: 0, backgroundColor: '#c0392b'}}
+            >
+              {t('repair.withdraw')}
+            </button>
+          </div>
+          {hasHoles && (
+            <button onClick={() => propose(null)} style={{backgroundColor: '#c0392b'}}>
+              {t('repair.repair')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {report && (
+        <p className="chain-repair-report">
+          {report.withdrawn ? t('repair.removed', { name: report.withdrawn }) : t('repair.repaired')}{' '}
+          {report.told.length > 0
+            ? t('repair.tell', { names: report.told.join(', ') })
+            : t('repair.nobodyToTell')}
+        </p>
+      )}
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default ChainRepair
@@ -0,0 +1,37 @@
+import { useState } from 'react'
+import { prefersReducedMotion } from './revealEffects'
+
+const COLORS = ['#F37021', '#27ae60', '#2980b9', '#f1c40f', '#c0392b', '#8e44ad']
+
+// Paper confetti falling over the page once, for the end of the reveal,
+// starting after `delay` seconds. Nothing at all with reduced motion on.
+function Confetti({ count = 80, delay = 0 }) {
+  const [pieces] = useState(() => prefersReducedMotion() ? [] : Array.from({ length: count }, (_, i) => ({
+    left: Math.random() * 100,
+    delay: delay + Math.random() * 1.5,
+    duration: 2.5 + Math.random() * 2,
+    color: COLORS[i % COLORS.length],
+    rotation: Math.random() * 360
+  })))
+
+  if (pieces.length === 0) return null
+
+  return (
+    <div className="confetti" aria-hidden="true">
+      {pieces.map((piece, i) => (
+        <span
+          key={i}
+          style={{
+            left: `${piece.left}%`,
+            backgroundColor: piece.color,
+            transform: `rotate(${piece.rotation}deg)`,
+            animationDelay: `${piece.delay}s`,
+            animationDuration: `${piece.duration}s`
+          }}
+        />
+      ))}
+    </div>
+  )
+}
+
+export default Confetti
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { verifyDraw } from './drawAudit'
+import { useI18n } from './i18nContext'
+
+// Admin view of the latest draw's audit record, with a button that re-runs
+// the draw from its seed and checks it against the saved assignments.
+
+const describeAmendment = (a, t) => {
+  if (!a.repairs) return `${a.giver_id} → ${a.participant_id} → ${a.receiver_id}`
+  const links = a.repairs.map(r => `${r.giver_id} → ${r.receiver_id}`).join(', ')
+  return a.withdrawn_id ? t('audit.left', { name: a.withdrawn_id, links }) : t('audit.repaired', { links })
+}
+
+function DrawAuditPanel({ eventId, participants }) {
+  const { t, te, formatDateTime } = useI18n()
+  const [record, setRecord] = useState(null)
+  const [result, setResult] = useState(null)
+  const [verifying, setVerifying] = useState(false)
+
+  useEffect(() => {
+    const fetchRecord = async () => {
+      const { data, error } = await repository.draws.getLatest(eventId)
+
+      if (error) console.error('Error fetching draw record:', error)
+      else setRecord(data)
+    }
+    fetchRecord()
+  }, [eventId, participants])
+
+  const handleVerify = async () => {
+    setVerifying(true)
+    setResult(await verifyDraw(record, participants))
+    setVerifying(false)
+  }
+
+  if (!record) return null
+
+  return (
+    <div className="draw-audit" style={{marginTop: '2rem', padding: '1rem', backgroundColor: '#f8f9fa', borderRadius: '8px', fontSize: '0.85em', textAlign: 'left', wordBreak: 'break-all'}}>
+      <h4 style={{marginTop: 0}}>{t('audit.title')}</h4>
+      <p>
+        {t('audit.drawn', {
+          date: formatDateTime(record.created_at),
+          loops: t(record.single_loop ? 'audit.singleLoop' : 'audit.anyLoops'),
+          count: record.participant_ids.length
+        })}
+      </p>
+      <p>{t('audit.seed', { seed: <code>{record.seed}</code> })}</p>
+      <p>{t('audit.participantsHash', { hash: <code>{record.participants_hash}</code> })}</p>
+      <p>{t('audit.commitment', { commitment: <code>{record.commitment}</code> })}</p>
+      {record.amendments?.length > 0 && (
+        <p>{t('audit.changed', { changes: record.amendments.map(a => describeAmendment(a, t)).join('; ') })}</p>
+      )}
+
+      <button onClick={handleVerify} disabled={verifying} style={{backgroundColor: '#333'}}>
+        {verifying ? t('audit.verifying') : t('audit.verify')}
+      </button>
+
+      {result && (result.ok ? (
+        <p style={{color: '#2e7d32', fontWeight: 'bold'}}>{t('audit.verified')}</p>
+      ) : (
+        <div className="error">
+          <p style={{margin: 0}}><strong>{t('audit.failed')}</strong></p>
+          <ul>
+            {result.problems.map((problem, i) => <li key={i}>{te(problem)}</li>)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default DrawAuditPanel
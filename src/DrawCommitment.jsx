@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { useI18n } from './i18nContext'
+
+// Shows the commitment hash of the current draw so participants can note it
+// before the reveal. Once everyone is revealed the seed is shown as well,
+// which lets anyone re-run the draw and check it against the commitment (and
+// so would give away the pairs not revealed yet if shown any earlier).
+function DrawCommitment({ eventId, drawId, isRevealed }) {
+  const { t } = useI18n()
+  const [record, setRecord] = useState(null)
+
+  useEffect(() => {
+    const fetchRecord = async () => {
+      // The seed stays null until everyone is revealed
+      const { data, error } = await repository.draws.getLatestCommitment(eventId)
+
+      if (error) console.error('Error fetching draw record:', error)
+      else setRecord(data)
+    }
+    fetchRecord()
+  }, [eventId, drawId, isRevealed])
+
+  if (!record) return null
+
+  return (
+    <div className="draw-commitment" style={{fontSize: '0.8em', color: '#666', wordBreak: 'break-all', marginBottom: '1rem'}}>
+      <p style={{margin: 0}}>{t('commitment.commitment', { commitment: <code>{record.commitment}</code> })}</p>
+      {isRevealed && record.seed && (
+        <p style={{margin: 0}}>{t('commitment.seed', { seed: <code>{record.seed}</code> })}</p>
+      )}
+    </div>
+  )
+}
+
+export default DrawCommitment
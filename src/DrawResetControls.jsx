@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { useI18n } from './i18nContext'
+
+// Admin controls for taking a draw back: clear it and reopen registration, or
+// draw again right away. Both ask for confirmation first, and the assignments
+// in place are kept with the old draw, so the last reset can be undone with
+// "Restore Previous Draw".
+function DrawResetControls({ eventId, drawId, isDrawn, isRevealed, onRedraw, onChange }) {
+  const { t, te, formatDateTime } = useI18n()
+  const [previous, setPrevious] = useState(null)
+  const [confirming, setConfirming] = useState(null) // 'reset' or 'restore'
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // drawId changes with every reset, re-draw and restore
+  useEffect(() => {
+    const fetchPrevious = async () => {
+      const { data, error } = await repository.draws.getPrevious(eventId)
+
+      if (error) console.error('Error fetching previous draw:', error)
+      else setPrevious(data)
+    }
+    fetchPrevious()
+  }, [eventId, drawId])
+
+  const run = async (action, failureKey) => {
+    setError(null)
+    setBusy(true)
+
+    const { error } = await action()
+
+    setBusy(false)
+    setConfirming(null)
+    if (error) {
+      setError(t(failureKey, { message: te(error.message) }))
+    } else {
+      await onChange()
+    }
+  }
+
+  const clearDraw = () => run(() => repository.draws.clear(eventId), 'reset.resetError')
+
+  const restoreDraw = () => run(() => repository.draws.restorePrevious(eventId), 'reset.restoreError')
+
+  const redraw = async () => {
+    setConfirming(null)
+    await onRedraw()
+  }
+
+  const panelStyle = {marginTop: '0.5rem', padding: '1rem', backgroundColor: '#fdecea', borderRadius: '8px', textAlign: 'left'}
+
+  return (
+    <div className="draw-reset">
+      {confirming === 'reset' && (
+        <div style={panelStyle}>
+          <p style={{marginTop: 0}}>
+            <strong>{t('reset.confirmReset')}</strong>{' '}
+            {t(isRevealed ? 'reset.resetBodyRevealed' : 'reset.resetBody')}{' '}
+            {t('reset.undoHint')}
+          </p>
+          <button onClick={clearDraw} disabled={busy} style={{backgroundColor: '#c0392b'}}>
+            {t('reset.clear')}
+          </button>
+          <button onClick={redraw} disabled={busy} style={{backgroundColor: '#d35400'}}>
+            {t('reset.redraw')}
+          </button>
+          <button onClick={() => setConfirming(null)} disabled={busy} style={{backgroundColor: '#999'}}>
+            {t('reset.cancel')}
+          </button>
+        </div>
+      )}
+
+      {confirming === 'restore' && previous && (
+        <div style={panelStyle}>
+          <p style={{marginTop: 0}}>
+            <strong>{t('reset.confirmRestore', { date: formatDateTime(previous.created_at) })}</strong>{' '}
+            {t('reset.restoreBody')}
+            {isDrawn && <>{' '}{t('reset.restoreKeepsCurrent')}</>}
+            {' '}{t('reset.restoreLateJoiners')}
+          </p>
+          <button onClick={restoreDraw} disabled={busy} style={{backgroundColor: '#c0392b'}}>
+            {t('reset.restore')}
+          </button>
+          <button onClick={() => setConfirming(null)} disabled={busy} style={{backgroundColor: '#999'}}>
+            {t('reset.cancel')}
+          </button>
+        </div>
+      )}
+
+      {!confirming && isDrawn && (
+        <button onClick={() => setConfirming('reset')} style={{backgroundColor: '#999', display: 'block', width: '100%', marginTop: '0.5rem'}}>
+          {t('reset.resetButton')}
+        </button>
+      )}
+
+      {!confirming && previous && (
+        <button onClick={() => setConfirming('restore')} style={{backgroundColor: '#999', display: 'block', width: '100%', marginTop: '0.5rem'}}>
+          {t('reset.restoreButton')}
+        </button>
+      )}
+
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default DrawResetControls
@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { isAdmin } from './roles'
+import { useI18n } from './i18nContext'
+import { ROUTES } from './routes'
+
+// Switch between the events you belong to, join another one with its invite
+// code, or start a new one (you become its organizer). Organizers also see
+// the invite code and link for the current event.
+function EventSwitcher({ memberships, currentEventId, onSelect, onChange }) {
+  const { t, te } = useI18n()
+  const [joinCode, setJoinCode] = useState('')
+  const [eventName, setEventName] = useState('')
+  const [participates, setParticipates] = useState(false)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const current = memberships.find(m => m.event_id === currentEventId)
+  const inviteLink = current && `${window.location.origin}${ROUTES.join}?code=${current.join_code}`
+
+  const handleJoin = async (e) => {
+    e.preventDefault()
+    setError(null)
+    if (!joinCode.trim()) {
+      setError(t('events.enterCode'))
+      return
+    }
+
+    setSaving(true)
+    const { data, error } = await repository.events.join(joinCode.trim())
+
+    if (error) {
+      setError(t('events.joinError', { message: te(error.message) }))
+    } else {
+      setJoinCode('')
+      await onChange(data)
+    }
+    setSaving(false)
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError(null)
+    if (!eventName.trim()) {
+      setError(t('events.enterName'))
+      return
+    }
+
+    setSaving(true)
+    const { data, error } = await repository.events.create(eventName.trim(), participates)
+
+    if (error) {
+      setError(t('events.createError', { message: te(error.message) }))
+    } else {
+      setEventName('')
+      await onChange(data)
+    }
+    setSaving(false)
+  }
+
+  return (
+    <div className="event-switcher" style={{marginBottom: '1rem', textAlign: 'left'}}>
+      {memberships.length > 1 && (
+        <div className="form-group">
+          <label htmlFor="event-select">{t('events.event')}</label>
+          <select id="event-select" value={currentEventId || ''} onChange={e => onSelect(e.target.value)}>
+            {memberships.map(m => <option key={m.event_id} value={m.event_id}>{m.event_name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {current && isAdmin(current) && (
+        <p style={{fontSize: '0.85em', color: '#666', wordBreak: 'break-all'}}>
+          {t('events.inviteLine', { code: <code>{current.join_code}</code>, link: <a href={inviteLink}>{inviteLink}</a> })}
+        </p>
+      )}
+
+      <details open={memberships.length === 0}>
+        <summary>{t('events.joinOrStart')}</summary>
+
+        <form onSubmit={handleJoin}>
+          <div className="form-group">
+            <label htmlFor="join-code">{t('events.inviteCode')}</label>
+            <input id="join-code" type="text" value={joinCode} onChange={e => setJoinCode(e.target.value)} placeholder={t('events.inviteCodePlaceholder')} />
+          </div>
+          <button type="submit" disabled={saving} style={{backgroundColor: '#333'}}>{t('events.join')}</button>
+        </form>
+
+        <form onSubmit={handleCreate}>
+          <div className="form-group">
+            <label htmlFor="event-name">{t('events.newEventName')}</label>
+            <input id="event-name" type="text" value={eventName} onChange={e => setEventName(e.target.value)} placeholder={t('events.newEventPlaceholder')} />
+          </div>
+          <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 'normal'}}>
+            <input type="checkbox" checked={participates} onChange={e => setParticipates(e.target.checked)} style={{width: 'auto'}} />
+            {t('events.takePart')}
+          </label>
+          <button type="submit" disabled={saving} style={{backgroundColor: '#333'}}>{t('events.create')}</button>
+        </form>
+
+        {error && <p className="error">{error}</p>}
+      </details>
+    </div>
+  )
+}
+
+export default EventSwitcher
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { useI18n } from './i18nContext'
+
+// Admin editor for draw exclusions: couples, teammates, or anyone who asked
+// not to get a particular person. A "both ways" rule blocks the pair in either
+// direction, otherwise only the first person is kept from drawing the second.
+function ExclusionEditor({ eventId, participants }) {
+  const { t, te } = useI18n()
+  const [exclusions, setExclusions] = useState([])
+  const [participantId, setParticipantId] = useState('')
+  const [excludedId, setExcludedId] = useState('')
+  const [mutual, setMutual] = useState(true)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchExclusions = async () => {
+      const { data, error } = await repository.exclusions.list(eventId)
+
+      if (error) console.error('Error fetching exclusions:', error)
+      else setExclusions(data || [])
+    }
+    fetchExclusions()
+  }, [eventId])
+
+  const nameOf = (id) => participants.find(p => p.id === id)?.name || id
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!participantId || !excludedId) {
+      setError(t('exclusions.pickBoth'))
+      return
+    }
+    if (participantId === excludedId) {
+      setError(t('exclusions.pickDifferent'))
+      return
+    }
+    const duplicate = exclusions.some(x =>
+      (x.participant_id === participantId && x.excluded_id === excludedId) ||
+      (x.mutual && x.participant_id === excludedId && x.excluded_id === participantId)
+    )
+    if (duplicate) {
+      setError(t('exclusions.exists'))
+      return
+    }
+
+    setSaving(true)
+    const { data, error } = await repository.exclusions.add(eventId, {
+      participant_id: participantId,
+      excluded_id: excludedId,
+      mutual
+    })
+
+    if (error) {
+      setError(t('exclusions.saveError', { message: te(error.message) }))
+    } else {
+      setExclusions([...exclusions, data])
+      setParticipantId('')
+      setExcludedId('')
+    }
+    setSaving(false)
+  }
+
+  const handleRemove = async (id) => {
+    setError(null)
+    const { error } = await repository.exclusions.remove(id)
+
+    if (error) {
+      setError(t('exclusions.removeError', { message: te(error.message) }))
+    } else {
+      setExclusions(exclusions.filter(x => x.id !== id))
+    }
+  }
+
+  return (
+    <div className="exclusion-editor" style={{marginBottom: '1rem', padding: '1rem', backgroundColor: '#fff3e0', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('exclusions.title')}</h4>
+
+      {exclusions.length === 0 ? (
+        <p style={{fontStyle: 'italic', color: '#666'}}>{t('exclusions.none')}</p>
+      ) : (
+        <ul>
+          {exclusions.map(x => (
+            <li key={x.id} style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem'}}>
+              <span>
+                {nameOf(x.participant_id)} {x.mutual ? '⇎' : '⇏'} {nameOf(x.excluded_id)}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleRemove(x.id)}
+                aria-label={t('exclusions.removeLabel', { giver: nameOf(x.participant_id), excluded: nameOf(x.excluded_id) })}
+                style={{width: 'auto', marginTop: 0, padding: '0.3em 0.8em', backgroundColor: '#999'}}
+              >
+                {t('exclusions.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd}>
+        <div className="form-group">
+          <label htmlFor="exclusion-participant">{t('exclusions.person')}</label>
+          <select id="exclusion-participant" value={participantId} onChange={e => setParticipantId(e.target.value)}>
+            <option value="">{t('exclusions.choose')}</option>
+            {participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="exclusion-excluded">{t('exclusions.mustNotDraw')}</label>
+          <select id="exclusion-excluded" value={excludedId} onChange={e => setExcludedId(e.target.value)}>
+            <option value="">{t('exclusions.choose')}</option>
+            {participants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 'normal'}}>
+          <input type="checkbox" checked={mutual} onChange={e => setMutual(e.target.checked)} style={{width: 'auto'}} />
+          {t('exclusions.bothWays')}
+        </label>
+        <button type="submit" disabled={saving} style={{backgroundColor: '#333'}}>
+          {t('exclusions.add')}
+        </button>
+        {error && <p className="error">{error}</p>}
+      </form>
+    </div>
+  )
+}
+
+export default ExclusionEditor
@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { useI18n } from './i18nContext'
+
+// One thread: the messages oldest first, and a box to write the next one
+function MessageThread({ title, hint, thread, label, onSend }) {
+  const { t } = useI18n()
+  const [body, setBody] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    const sent = await onSend(body)
+    setBusy(false)
+    if (sent) setBody('')
+  }
+
+  return (
+    <div className="message-thread" style={{marginTop: '1rem', padding: '1rem', backgroundColor: '#f4f8fb', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{title}</h4>
+      <p style={{fontSize: '0.85em', color: '#666'}}>{hint}</p>
+      {thread.messages.length > 0 && (
+        <ul style={{listStyle: 'none', padding: 0}}>
+          {thread.messages.map(m => (
+            <li key={m.id} className={m.from_me ? 'message-mine' : 'message-theirs'} style={{textAlign: m.from_me ? 'right' : 'left', marginBottom: '0.5rem'}}>
+              <span style={{display: 'inline-block', padding: '0.4em 0.8em', borderRadius: '8px', backgroundColor: m.from_me ? '#d6eaf8' : '#fff', whiteSpace: 'pre-wrap'}}>
+                {m.body}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleSubmit}>
+        <textarea value={body} onChange={e => setBody(e.target.value)} maxLength={1000} rows={2} aria-label={label} style={{width: '100%', boxSizing: 'border-box'}} />
+        <button type="submit" disabled={busy || !body.trim()}>{t('messages.send')}</button>
+      </form>
+    </div>
+  )
+}
+
+// Anonymous questions about wishes. As a giver you can ask the person you
+// buy for, who only sees your name once it is revealed; as a receiver you
+// answer whoever buys for you. The backend only ever returns your own two
+// threads, so organizers can't read them either. `participants` is passed to
+// refetch on live updates, like the other panels.
+function GiftMessages({ eventId, participants }) {
+  const { t, te } = useI18n()
+  const [threads, setThreads] = useState(null)
+  const [sentCount, setSentCount] = useState(0)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchThreads = async () => {
+      const { data, error } = await repository.messages.list(eventId)
+
+      if (error) console.error('Error fetching messages:', error)
+      else setThreads(data)
+    }
+    fetchThreads()
+  }, [eventId, participants, sentCount])
+
+  const send = (to) => async (body) => {
+    setError(null)
+    const { error } = await repository.messages.send(eventId, to, body)
+
+    if (error) {
+      setError(t('messages.sendError', { message: te(error.message) }))
+      return false
+    }
+    setSentCount(count => count + 1)
+    return true
+  }
+
+  if (!threads?.giving && !threads?.receiving) return null
+
+  return (
+    <div className="gift-messages">
+      {threads.giving && (
+        <MessageThread
+          title={threads.giving.name ? t('messages.questionsFor', { name: threads.giving.name }) : t('messages.askTitle')}
+          hint={t(threads.giving.name ? 'messages.givingRevealedHint' : 'messages.givingHint')}
+          thread={threads.giving}
+          label={t('messages.questionLabel')}
+          onSend={send('receiver')}
+        />
+      )}
+      {threads.receiving && (
+        <MessageThread
+          title={threads.receiving.name ? t('messages.questionsFrom', { name: threads.receiving.name }) : t('messages.fromSantaTitle')}
+          hint={t(threads.receiving.messages.length > 0 ? 'messages.receivingAnsweredHint' : 'messages.receivingHint')}
+          thread={threads.receiving}
+          label={t('messages.answerLabel')}
+          onSend={send('giver')}
+        />
+      )}
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default GiftMessages
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { GIFT_STATUSES, countByStatus, isStraggler } from './giftProgress'
+import { useI18n } from './i18nContext'
+
+// Admin overview of how far everyone is with their gift: totals per stage,
+// who hasn't bought anything yet, and after the reveal how many gifts
+// arrived. Only gives names per giver, never who they buy for; receipts are
+// a count so they can't be matched up with the stragglers.
+function GiftReadiness({ eventId, participants, isRevealed }) {
+  const { t } = useI18n()
+  const [progress, setProgress] = useState([])
+
+  // participants changes on every live update, including progress updates
+  useEffect(() => {
+    const fetchProgress = async () => {
+      const { data, error } = await repository.participants.getGiftProgress(eventId)
+
+      if (error) console.error('Error fetching gift progress:', error)
+      else setProgress(data || [])
+    }
+    fetchProgress()
+  }, [eventId, participants])
+
+  const givers = progress.filter(p => p.has_assignment)
+  const counts = countByStatus(progress)
+  const stragglers = progress.filter(isStraggler)
+  const received = progress.filter(p => p.gift_received).length
+
+  if (givers.length === 0) return null
+
+  return (
+    <div className="gift-readiness" style={{marginTop: '1rem', padding: '1rem', backgroundColor: '#fff', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('readiness.title')}</h4>
+      <p>
+        {['none', ...GIFT_STATUSES]
+          .map(status => t('readiness.count', { status: t(`gift.status.${status}`), count: counts[status] }))
+          .join(' · ')}
+      </p>
+      {stragglers.length > 0 ? (
+        <p className="gift-stragglers">{t('readiness.stillToBuy', { names: stragglers.map(p => p.name).join(', ') })}</p>
+      ) : (
+        <p>{t('readiness.everyoneBought')}</p>
+      )}
+      {isRevealed && <p>{t('readiness.received', { received, total: givers.length })}</p>}
+    </div>
+  )
+}
+
+export default GiftReadiness
@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { GIFT_STATUSES } from './giftProgress'
+import { useI18n } from './i18nContext'
+
+const choiceStyle = (selected) => ({
+  width: 'auto',
+  marginTop: 0,
+  padding: '0.3em 0.8em',
+  backgroundColor: selected ? '#27ae60' : '#bbb'
+})
+
+// The participant's side of gift progress: how far their gift is, and after
+// the reveal, confirming they got one. Only organizers see the totals (see
+// GiftReadiness). Calls onUpdate with the updated membership row.
+function GiftStatus({ eventId, currentUser, isRevealed, onUpdate }) {
+  const { t, te } = useI18n()
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (action, failureKey) => {
+    setError(null)
+    setBusy(true)
+
+    const { data, error } = await action()
+
+    setBusy(false)
+    if (error) setError(t(failureKey, { message: te(error.message) }))
+    else onUpdate(data)
+  }
+
+  const setStatus = (status) =>
+    run(() => repository.participants.setMyGiftStatus(eventId, status), 'gift.saveError')
+
+  const confirmReceived = () =>
+    run(() => repository.participants.confirmGiftReceived(eventId), 'gift.confirmError')
+
+  return (
+    <div className="gift-status" style={{marginTop: '1rem'}}>
+      {currentUser.has_assignment && (
+        <div>
+          <p style={{marginBottom: '0.5rem'}}>{t('gift.myGift')}</p>
+          <div style={{display: 'flex', gap: '0.5rem', justifyContent: 'center', flexWrap: 'wrap'}}>
+            {[null, ...GIFT_STATUSES].map(status => (
+              <button
+                key={status ?? 'none'}
+                onClick={() => setStatus(status)}
+                disabled={busy}
+                aria-pressed={currentUser.gift_status === status}
+                style={choiceStyle(currentUser.gift_status === status)}
+              >
+                {t(`gift.status.${status ?? 'none'}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isRevealed && (
+        currentUser.gift_received ? (
+          <p className="gift-received">{t('gift.received')}</p>
+        ) : (
+          <button onClick={confirmReceived} disabled={busy} style={{backgroundColor: '#27ae60'}}>
+            {t('gift.confirm')}
+          </button>
+        )
+      )}
+
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default GiftStatus
@@ -0,0 +1,51 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import { I18nContext, bindI18n } from './i18nContext'
+import { LOCALES, loadLocale, saveLocale } from './i18n'
+import { repository } from './repository'
+
+// Holds the language for everything inside it. App calls setAccount when
+// someone logs in or out, which switches to the language that person chose
+// last time. That choice is saved on the account, so it follows them to
+// other devices; localStorage only keeps a copy (see loadLocale) to show the
+// right language until the account's one has loaded.
+function LanguageProvider({ children }) {
+  const [locale, setLocale] = useState(() => loadLocale())
+  // A ref, so a switch right after logging in is saved for the new account
+  // even before this has re-rendered
+  const accountId = useRef(null)
+  // Bumped on every switch and login, so a slow answer from the server
+  // doesn't undo a choice made in the meantime
+  const version = useRef(0)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const changeLocale = useCallback((next) => {
+    version.current++
+    saveLocale(next, accountId.current)
+    setLocale(next)
+    // Nothing to tell anyone if this fails: the copy here still has it
+    if (accountId.current) repository.auth.setLocale(next)
+  }, [])
+
+  const setAccount = useCallback(async (id) => {
+    if (id === accountId.current) return
+    accountId.current = id
+    const current = ++version.current
+    setLocale(loadLocale(id))
+    if (!id) return
+
+    const { data } = await repository.auth.getLocale()
+    if (current === version.current && LOCALES.includes(data)) {
+      saveLocale(data, id)
+      setLocale(data)
+    }
+  }, [])
+
+  const value = useMemo(() => ({ ...bindI18n(locale), setLocale: changeLocale, setAccount }), [locale, changeLocale, setAccount])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default LanguageProvider
@@ -0,0 +1,27 @@
+import { useI18n } from './i18nContext'
+import { LOCALES, LANGUAGE_NAMES } from './i18n'
+
+// Each language is written in itself, so it can be found without reading the
+// other one
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n()
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('language.label')} style={{display: 'flex', gap: '0.25rem', justifyContent: 'flex-end'}}>
+      {LOCALES.map(l => (
+        <button
+          key={l}
+          type="button"
+          lang={l}
+          onClick={() => setLocale(l)}
+          aria-pressed={locale === l}
+          style={{width: 'auto', marginTop: 0, padding: '0.2em 0.7em', fontSize: '0.85em', backgroundColor: locale === l ? '#333' : '#bbb'}}
+        >
+          {LANGUAGE_NAMES[l]}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default LanguageSwitcher
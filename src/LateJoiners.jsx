@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react'
+import { repository } from './repository'
+import { spliceIntoChain } from './draw'
+import { takesPart } from './roles'
+import { useI18n } from './i18nContext'
+
+// Admin panel for people who joined after the draw. Adding one splits a
+// single link of the chain (A -> B becomes A -> newcomer -> B) instead of
+// re-drawing, so gifts already bought stay valid and only A is told that
+// their assignment changed. Which link is picked stays hidden here, so
+// organizers who take part are not spoiled.
+function LateJoiners({ eventId, participants, onChange }) {
+  const { t, te } = useI18n()
+  const [chain, setChain] = useState([])
+  const [exclusions, setExclusions] = useState([])
+  const [addingId, setAddingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  // The public participant list changes whenever someone joins
+  useEffect(() => {
+    const fetchChain = async () => {
+      const [chainResult, exclusionsResult] = await Promise.all([
+        repository.draws.getChain(eventId),
+        repository.exclusions.list(eventId)
+      ])
+
+      if (chainResult.error) console.error('Error fetching the chain:', chainResult.error)
+      else setChain(chainResult.data || [])
+      if (exclusionsResult.error) console.error('Error fetching exclusions:', exclusionsResult.error)
+      else setExclusions(exclusionsResult.data || [])
+    }
+    fetchChain()
+  }, [eventId, participants])
+
+  const receivers = new Set(chain.map(p => p.drawn_participant_id))
+  const newcomers = chain.filter(p => takesPart(p) && !p.drawn_participant_id && !receivers.has(p.id))
+
+  if (newcomers.length === 0) return null
+
+  const addToDraw = async (newcomer) => {
+    setError(null)
+
+    const assignments = new Map(chain.filter(p => p.drawn_participant_id).map(p => [p.id, p.drawn_participant_id]))
+    const { giverId, error: spliceError } = spliceIntoChain(assignments, newcomer, { exclusions })
+    if (spliceError) {
+      setError(te(spliceError))
+      return
+    }
+
+    setAddingId(newcomer.id)
+    const { error } = await repository.draws.splice(eventId, newcomer.id, giverId)
+    setAddingId(null)
+
+    if (error) {
+      setError(t('lateJoiners.error', { message: te(error.message) }))
+    } else {
+      await onChange()
+    }
+  }
+
+  return (
+    <div className="late-joiners" style={{marginTop: '0.5rem', padding: '1rem', backgroundColor: '#fff', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('lateJoiners.title')}</h4>
+      <p style={{fontSize: '0.85em', color: '#666'}}>
+        {t('lateJoiners.hint')}
+      </p>
+      <ul>
+        {newcomers.map(p => (
+          <li key={p.id} style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', marginBottom: '0.5rem'}}>
+            <span>{p.name}</span>
+            <button
+              type="button"
+              disabled={addingId === p.id}
+              onClick={() => addToDraw(p)}
+              style={{width: 'auto', marginTop: 0, padding: '0.3em 0.8em', backgroundColor: '#d35400'}}
+            >
+              {addingId === p.id ? t('lateJoiners.adding') : t('lateJoiners.add')}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default LateJoiners
@@ -0,0 +1,16 @@
+import { navigate } from './router'
+
+// A link to another screen of the app, without reloading the page. Ctrl- or
+// middle-clicks are left to the browser, so they still open a new tab.
+function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    onClick?.(e)
+    navigate(to)
+  }
+
+  return <a href={to} onClick={handleClick} {...props}>{children}</a>
+}
+
+export default Link
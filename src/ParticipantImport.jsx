@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { parseImport, reviewImport, generatePassword, toCsv, downloadFile } from './importExport'
+import { useI18n } from './i18nContext'
+
+const EXAMPLE = 'id,name,wishes\nsomchai,Somchai K.,Coffee beans;A good book\nmali,Mali,'
+
+// Admin panel for adding a whole team at once instead of everyone going
+// through the Join form. Paste or upload a CSV or JSON file, check the
+// preview, then import: people without an account get one with a temporary
+// password, which is shown once here (and can be downloaded) to hand out.
+// Usernames that are already taken aren't added; if they're people with an
+// account, they join themselves with the invite code.
+function ParticipantImport({ eventId, participants, budget, joinCode, onChange }) {
+  const { t, te } = useI18n()
+  const [text, setText] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [credentials, setCredentials] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    setText(await file.text())
+    setPreview(null)
+  }
+
+  const handleCheck = () => {
+    setError(null)
+    setCredentials(null)
+    const { rows, error } = parseImport(text)
+    if (error) {
+      setError(te(error))
+      setPreview(null)
+    } else {
+      setPreview(reviewImport(rows, participants, budget))
+    }
+  }
+
+  const ready = preview?.filter(row => !row.problem) || []
+
+  const handleImport = async () => {
+    setError(null)
+    setBusy(true)
+
+    const rows = ready.map(({ id, name, wishes }) => ({ id, name, wishes, password: generatePassword() }))
+    const { data: created, error } = await repository.participants.import(eventId, rows)
+
+    setBusy(false)
+    if (error) {
+      setError(t('import.error', { message: te(error.message) }))
+      return
+    }
+    setCredentials({
+      accounts: rows.filter(row => created.includes(row.id)),
+      taken: rows.length - created.length
+    })
+    setPreview(null)
+    setText('')
+    await onChange()
+  }
+
+  const handleDownload = () =>
+    downloadFile(
+      'temporary-passwords.csv',
+      toCsv([['id', 'name', 'password'], ...credentials.accounts.map(a => [a.id, a.name, a.password])]),
+      'text/csv'
+    )
+
+  return (
+    <div className="participant-import" style={{marginBottom: '1rem', padding: '1rem', backgroundColor: '#eef6ee', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('import.title')}</h4>
+      <p style={{fontSize: '0.85em', color: '#666'}}>
+        {t('import.hint')}
+      </p>
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} aria-label={t('import.file')} />
+      <textarea
+        value={text}
+        onChange={e => { setText(e.target.value); setPreview(null) }}
+        rows={4}
+        placeholder={EXAMPLE}
+        aria-label={t('import.text')}
+        style={{width: '100%', boxSizing: 'border-box', fontFamily: 'monospace'}}
+      />
+      <button type="button" onClick={handleCheck} disabled={!text.trim()} style={{backgroundColor: '#666'}}>{t('import.check')}</button>
+
+      {preview && (
+        <>
+          <table className="import-preview" style={{width: '100%', marginTop: '1rem', fontSize: '0.9em'}}>
+            <thead>
+              <tr><th>{t('import.username')}</th><th>{t('import.name')}</th><th>{t('import.wishes')}</th><th></th></tr>
+            </thead>
+            <tbody>
+              {preview.map((row, i) => (
+                <tr key={i} className={row.problem ? 'error' : undefined}>
+                  <td>{row.id || '—'}</td>
+                  <td>{row.name}</td>
+                  <td>{row.wishes.length}</td>
+                  <td>{row.problem ? te(row.problem) : '✓'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {ready.length < preview.length && (
+            <p style={{fontSize: '0.85em', color: '#666'}}>{t('import.skipped')}</p>
+          )}
+          <button type="button" onClick={handleImport} disabled={busy || ready.length === 0}>
+            {busy ? t('import.importing') : t('import.import', { count: ready.length })}
+          </button>
+        </>
+      )}
+
+      {credentials && (
+        <div className="import-credentials" style={{marginTop: '1rem'}}>
+          {credentials.accounts.length > 0 && (
+            <>
+              <p><strong>{t('import.passwords')}</strong>{t('import.passwordsHint')}</p>
+              <table style={{width: '100%', fontSize: '0.9em'}}>
+                <tbody>
+                  {credentials.accounts.map(a => (
+                    <tr key={a.id}><td>{a.id}</td><td>{a.name}</td><td><code>{a.password}</code></td></tr>
+                  ))}
+                </tbody>
+              </table>
+              <button type="button" onClick={handleDownload} style={{backgroundColor: '#666'}}>{t('import.download')}</button>
+            </>
+          )}
+          {credentials.taken > 0 && (
+            <p style={{fontSize: '0.85em', color: '#666'}}>
+              {t('import.taken', { count: credentials.taken, code: joinCode })}
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default ParticipantImport
@@ -0,0 +1,99 @@
+import { useEffect, useRef } from 'react'
+import RouletteName from './RouletteName'
+import { useI18n } from './i18nContext'
+
+// Keys for going forward and back. Presentation clickers send PageDown and
+// PageUp (some send the arrow keys), so both work.
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter']
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace']
+
+// The chain reveal for the party projector: fullscreen, one big
+// giver → receiver card at a time. Uses the same steps as the list on the
+// Gift Exchange Chain page (AdminPage keeps them, and saves them), so the
+// two can be switched between at any point. Fullscreen only shows this
+// element, so the confetti has to be in here too.
+function PresenterView({ chain, step, names, effects, spinIndex, confetti, onGoTo, onClose }) {
+  const { t } = useI18n()
+  const ref = useRef(null)
+  const index = Math.floor(step)
+  const link = index >= 0 ? chain[index] : null
+  const isReceiverRevealed = step >= index + 0.5
+
+  useEffect(() => {
+    ref.current?.requestFullscreen?.()?.catch(() => {})
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen?.()
+    }
+  }, [])
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      // The jump list uses the arrow keys itself, and Space and Enter already
+      // press a focused button
+      if (e.target.tagName === 'SELECT') return
+      if (e.target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter')) return
+      if (NEXT_KEYS.includes(e.key)) {
+        e.preventDefault()
+        onGoTo(step + 0.5)
+      } else if (PREVIOUS_KEYS.includes(e.key)) {
+        e.preventDefault()
+        onGoTo(step - 0.5)
+      } else if (e.key === 'Home') {
+        onGoTo(-1)
+      } else if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [step, onGoTo, onClose])
+
+  return (
+    <div className="presenter" ref={ref} role="dialog" aria-label={t('presenter.label')}>
+      {!link ? (
+        <div className="presenter-card" key="start">{t('presenter.title')}</div>
+      ) : (
+        // Keyed by link so each new card fades in
+        <div className="presenter-card" key={index}>
+          <span className="presenter-giver">{link.giver}</span>
+          <span>➔</span>
+          {link.broken ? (
+            <span className="presenter-hidden">{t('chain.nobody')}</span>
+          ) : isReceiverRevealed ? (
+            <span className="presenter-receiver">
+              <RouletteName name={link.receiver} names={names} spin={index === spinIndex} effects={effects} />
+            </span>
+          ) : (
+            <span className="presenter-hidden">???</span>
+          )}
+        </div>
+      )}
+
+      <p style={{color: '#aaa'}}>
+        {link ? t('presenter.position', { n: index + 1, total: chain.length }) : t('presenter.pressToStart')}
+        {step >= chain.length - 0.5 && t('presenter.allRevealed')}
+      </p>
+
+      {confetti}
+
+      <div className="presenter-controls">
+        <button onClick={() => onGoTo(step - 0.5)} disabled={step <= -1} aria-label={t('presenter.previous')}>←</button>
+        <select
+          value={index >= 0 ? index : ''}
+          onChange={e => onGoTo(Number(e.target.value))}
+          aria-label={t('presenter.jumpTo')}
+          style={{width: 'auto'}}
+        >
+          <option value="" disabled>{t('presenter.jumpToPlaceholder')}</option>
+          {chain.map((l, i) => (
+            <option key={i} value={i}>{i + 1}. {l.giver}</option>
+          ))}
+        </select>
+        <button onClick={() => onGoTo(step + 0.5)} disabled={step >= chain.length - 0.5} aria-label={t('presenter.next')}>→</button>
+        <button onClick={onClose} style={{backgroundColor: '#666'}}>{t('presenter.exit')}</button>
+      </div>
+    </div>
+  )
+}
+
+export default PresenterView
@@ -0,0 +1,52 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { chainCsv, wishListsCsv, exportJson, downloadFile } from './importExport'
+import { useI18n } from './i18nContext'
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// Downloads this year's exchange for the archive: the chain in reveal order,
+// everyone's wish list, or both in one JSON file. `chain` is the ordered
+// chain from AdminPage; wishes and gift progress are fetched when a file is
+// asked for, so they are current.
+function ResultsExport({ eventId, chain }) {
+  const { t, te } = useI18n()
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const download = (build, filename, type) => async () => {
+    setError(null)
+    setBusy(true)
+
+    const { data, error } = await repository.participants.exportAll(eventId)
+
+    setBusy(false)
+    if (error) {
+      setError(t('export.error', { message: te(error.message) }))
+    } else {
+      downloadFile(filename, build(data), type)
+    }
+  }
+
+  const buttonStyle = {width: 'auto', marginTop: 0, backgroundColor: '#666'}
+
+  return (
+    <div className="results-export" style={{marginTop: '2rem', textAlign: 'left'}}>
+      <h4>{t('export.title')}</h4>
+      <div style={{display: 'flex', gap: '0.5rem', flexWrap: 'wrap'}}>
+        <button type="button" disabled={busy} onClick={download(people => chainCsv(chain, people), `gift-chain-${today()}.csv`, 'text/csv')} style={buttonStyle}>
+          {t('export.chain')}
+        </button>
+        <button type="button" disabled={busy} onClick={download(wishListsCsv, `wish-lists-${today()}.csv`, 'text/csv')} style={buttonStyle}>
+          {t('export.wishLists')}
+        </button>
+        <button type="button" disabled={busy} onClick={download(people => exportJson(chain, people), `gift-exchange-${today()}.json`, 'application/json')} style={buttonStyle}>
+          {t('export.everything')}
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default ResultsExport
@@ -0,0 +1,43 @@
+import { useState, useEffect, useRef } from 'react'
+import { useI18n } from './i18nContext'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// "2 days 03:04:05", or just "03:04:05" on the day
+const formatRemaining = (ms, t) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000))
+  const days = Math.floor(seconds / 86400)
+  const clock = `${pad(Math.floor(seconds / 3600) % 24)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+  if (days === 0) return clock
+  return t('countdown.days', { count: days, clock })
+}
+
+// Ticks down to the scheduled reveal and calls onDue once when it's time
+// (right away if the time already passed). The reveal itself is done and
+// checked by the backend; this only saves waiting for it.
+function RevealCountdown({ revealAt, onDue }) {
+  const { t } = useI18n()
+  const [now, setNow] = useState(() => Date.now())
+  const calledFor = useRef(null)
+  const remaining = new Date(revealAt).getTime() - now
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  useEffect(() => {
+    if (remaining <= 0 && calledFor.current !== revealAt) {
+      calledFor.current = revealAt
+      onDue()
+    }
+  }, [remaining, revealAt, onDue])
+
+  return (
+    <p className="reveal-countdown" style={{fontSize: '1.4em', fontWeight: 'bold'}} role="timer">
+      {remaining > 0 ? formatRemaining(remaining, t) : t('countdown.revealing')}
+    </p>
+  )
+}
+
+export default RevealCountdown
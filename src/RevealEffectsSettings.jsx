@@ -0,0 +1,44 @@
+import { prefersReducedMotion } from './revealEffects'
+import { useI18n } from './i18nContext'
+
+const checkboxLabel = {display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: 'normal', margin: 0}
+
+// Settings for the reveal effects, saved in this browser (see
+// revealEffects.js)
+function RevealEffectsSettings({ effects, onChange }) {
+  const { t } = useI18n()
+  const set = (fields) => onChange({ ...effects, ...fields })
+
+  return (
+    <details className="reveal-effects" style={{marginBottom: '1rem', textAlign: 'left'}}>
+      <summary>{t('effects.title')}</summary>
+      <div style={{display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'center', marginTop: '0.5rem'}}>
+        <label style={checkboxLabel}>
+          <input type="checkbox" checked={effects.spin} onChange={e => set({ spin: e.target.checked })} style={{width: 'auto'}} />
+          {t('effects.spin')}
+        </label>
+        <label style={checkboxLabel}>
+          {t('effects.speed')}
+          <select value={effects.speed} onChange={e => set({ speed: e.target.value })} disabled={!effects.spin} style={{width: 'auto', padding: '0.3rem'}}>
+            <option value="slow">{t('effects.slow')}</option>
+            <option value="normal">{t('effects.normal')}</option>
+            <option value="fast">{t('effects.fast')}</option>
+          </select>
+        </label>
+        <label style={checkboxLabel}>
+          <input type="checkbox" checked={effects.sound} onChange={e => set({ sound: e.target.checked })} style={{width: 'auto'}} />
+          {t('effects.sound')}
+        </label>
+        <label style={checkboxLabel}>
+          <input type="checkbox" checked={effects.confetti} onChange={e => set({ confetti: e.target.checked })} style={{width: 'auto'}} />
+          {t('effects.confetti')}
+        </label>
+      </div>
+      {prefersReducedMotion() && (
+        <p style={{fontSize: '0.85em', color: '#666'}}>{t('effects.reducedMotion')}</p>
+      )}
+    </details>
+  )
+}
+
+export default RevealEffectsSettings
@@ -0,0 +1,63 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import RevealCountdown from './RevealCountdown'
+import { useI18n } from './i18nContext'
+
+// The value a datetime-local input wants, in local time
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+// Admin form for revealing the names automatically at a set time. The
+// "Reveal All Names" button still works at any time and ends the schedule.
+function RevealSchedule({ eventId, revealAt, onDue, onChange }) {
+  const { t, te, formatDateTime } = useI18n()
+  const [value, setValue] = useState(() => (revealAt ? toInputValue(new Date(revealAt)) : ''))
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const save = async (newRevealAt) => {
+    setError(null)
+    setBusy(true)
+
+    const { error } = await repository.reveal.schedule(eventId, newRevealAt)
+
+    setBusy(false)
+    if (error) {
+      setError(t('schedule.error', { message: te(error.message) }))
+    } else {
+      await onChange()
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (value) save(new Date(value).toISOString())
+  }
+
+  return (
+    <div className="reveal-schedule" style={{marginTop: '1rem'}}>
+      {revealAt ? (
+        <>
+          <p>{t('schedule.scheduledOn', { date: <strong>{formatDateTime(revealAt)}</strong> })}</p>
+          <RevealCountdown revealAt={revealAt} onDue={onDue} />
+          <button onClick={() => save(null)} disabled={busy} style={{backgroundColor: '#999'}}>
+            {t('schedule.cancel')}
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <label style={{display: 'block', fontWeight: 'normal'}}>
+            {t('schedule.revealAt')}
+            <input type="datetime-local" value={value} onChange={e => setValue(e.target.value)} aria-label={t('schedule.dateLabel')} />
+          </label>
+          <button type="submit" disabled={busy || !value} style={{backgroundColor: '#e67e22'}}>{t('schedule.schedule')}</button>
+        </form>
+      )}
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default RevealSchedule
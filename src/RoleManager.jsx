@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { repository } from './repository'
+import { isAdmin, takesPart } from './roles'
+import { useI18n } from './i18nContext'
+
+// Admin panel for organizers: promote co-organizers and choose whether each
+// organizer also takes part in the draw. The server re-checks that the caller
+// is an admin and refuses to remove the last one.
+function RoleManager({ eventId, participants, currentUserId, onChange }) {
+  const { t, te } = useI18n()
+  const [error, setError] = useState(null)
+  const [savingId, setSavingId] = useState(null)
+
+  const saveRole = async (participant, role, participates) => {
+    setError(null)
+    setSavingId(participant.id)
+
+    const { error } = await repository.participants.setRole(eventId, participant.id, role, participates)
+
+    if (error) {
+      setError(t('roles.error', { message: te(error.message) }))
+    } else {
+      await onChange()
+    }
+    setSavingId(null)
+  }
+
+  return (
+    <div className="role-manager" style={{marginBottom: '1rem', padding: '1rem', backgroundColor: '#fff3e0', borderRadius: '8px', textAlign: 'left'}}>
+      <h4 style={{marginTop: 0}}>{t('roles.title')}</h4>
+      <ul>
+        {participants.map(p => (
+          <li key={p.id} style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', marginBottom: '0.5rem'}}>
+            <span>
+              {p.name}{p.id === currentUserId && t('roles.you')}
+              {isAdmin(p) && (
+                <label style={{display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: 'normal', fontSize: '0.85em', margin: 0}}>
+                  <input
+                    type="checkbox"
+                    checked={takesPart(p)}
+                    disabled={savingId === p.id}
+                    onChange={e => saveRole(p, 'admin', e.target.checked)}
+                    style={{width: 'auto'}}
+                  />
+                  {t('roles.alsoTakesPart')}
+                </label>
+              )}
+            </span>
+            <button
+              type="button"
+              disabled={savingId === p.id}
+              onClick={() => isAdmin(p)
+                ? saveRole(p, 'participant', true)
+                : saveRole(p, 'admin', takesPart(p))}
+              style={{width: 'auto', marginTop: 0, padding: '0.3em 0.8em', backgroundColor: isAdmin(p) ? '#999' : '#333'}}
+            >
+              {t(isAdmin(p) ? 'roles.remove' : 'roles.make')}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="error">{error}</p>}
+    </div>
+  )
+}
+
+export default RoleManager
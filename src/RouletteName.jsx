@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react'
+import { SPIN_DURATIONS, prefersReducedMotion, spinTimes, playTone } from './revealEffects'
+
+// A receiver's name for the reveal. With `spin`, it first cycles through the
+// other names in `names` and slows down until it lands on `name`; otherwise,
+// and always with reduced motion on, it is just shown.
+function RouletteName({ name, names, spin, effects }) {
+  // Settled when the name first shows, so a live update halfway through
+  // neither restarts nor changes the spin
+  const [plan] = useState(() => spin && effects.spin && names.length > 1 && !prefersReducedMotion() && {
+    others: names.filter(n => n !== name),
+    duration: SPIN_DURATIONS[effects.speed] ?? SPIN_DURATIONS.normal,
+    sound: effects.sound
+  })
+  const [shown, setShown] = useState(null)
+  const [landed, setLanded] = useState(!plan)
+
+  useEffect(() => {
+    if (!plan) return
+
+    const { others, duration, sound } = plan
+    const times = spinTimes(duration)
+    const timers = times.map((time, i) => setTimeout(() => {
+      const last = i === times.length - 1
+      setShown(last ? null : others[Math.floor(Math.random() * others.length)])
+      if (last) setLanded(true)
+      if (sound) playTone(last ? 1320 : 880, last ? 0.25 : 0.03)
+    }, time))
+    return () => timers.forEach(clearTimeout)
+  }, [plan])
+
+  return (
+    <span className={landed ? 'roulette-name' : 'roulette-name roulette-spinning'} aria-live="polite" aria-busy={!landed}>
+      {landed ? name : shown ?? '…'}
+    </span>
+  )
+}
+
+export default RouletteName
@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { MAX_WISHES, emptyWish, normalizeWishes, validateWishes, cleanWishes, isOverBudget, formatBudget } from './wishes'
+import { useI18n } from './i18nContext'
+
+const smallButton = {width: 'auto', marginTop: 0, padding: '0.2em 0.6em', backgroundColor: '#999'}
+
+// Edits a wish list of any length. The order is the priority, so wishes can
+// be moved up and down; each one can have a link, a rough price, or be a
+// "surprise me" wish. Prices above the event's budget are flagged as they are
+// typed and can't be saved. Calls onSave with the cleaned-up list.
+function WishEditor({ wishes, budget, onSave, onCancel, loading }) {
+  const { t, te, locale } = useI18n()
+  const [items, setItems] = useState(() => {
+    const existing = normalizeWishes(wishes)
+    return existing.length > 0 ? existing : [emptyWish()]
+  })
+  const [error, setError] = useState(null)
+
+  const update = (index, fields) =>
+    setItems(items.map((item, i) => (i === index ? { ...item, ...fields } : item)))
+
+  const move = (index, offset) => {
+    const moved = [...items]
+    const [item] = moved.splice(index, 1)
+    moved.splice(index + offset, 0, item)
+    setItems(moved)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const problem = validateWishes(items, budget)
+    if (problem) {
+      setError(te(problem))
+      return
+    }
+    setError(null)
+    onSave(cleanWishes(items))
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="wish-editor">
+      <p style={{fontSize: '0.85em', color: '#666'}}>{t('wishEditor.hint')}</p>
+      {formatBudget(budget, locale) && <p className="budget">{t('app.giftBudget', { budget: <strong>{formatBudget(budget, locale)}</strong> })}</p>}
+      <ol style={{paddingLeft: '1.2rem', textAlign: 'left'}}>
+        {items.map((item, i) => (
+          <li key={i} style={{marginBottom: '1rem'}}>
+            <div className="form-group">
+              <input
+                type="text"
+                value={item.title}
+                onChange={e => update(i, { title: e.target.value })}
+                placeholder={t(item.surprise ? 'wishEditor.surprisePlaceholder' : 'wishEditor.wishPlaceholder')}
+                aria-label={t('wishEditor.wish', { n: i + 1 })}
+              />
+              <input
+                type="url"
+                value={item.link}
+                onChange={e => update(i, { link: e.target.value })}
+                placeholder={t('wishEditor.linkPlaceholder')}
+                aria-label={t('wishEditor.link', { n: i + 1 })}
+              />
+              <input
+                type="number"
+                min="0"
+                value={item.price ?? ''}
+                onChange={e => update(i, { price: e.target.value === '' ? null : Number(e.target.value) })}
+                placeholder={t('wishEditor.pricePlaceholder')}
+                aria-label={t('wishEditor.price', { n: i + 1 })}
+              />
+              {isOverBudget(item, budget) && (
+                <p className="error" style={{margin: 0, fontSize: '0.85em'}}>{t('wishEditor.overBudget', { budget: formatBudget(budget, locale) })}</p>
+              )}
+            </div>
+            <div style={{display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap'}}>
+              <label style={{display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: 'normal', margin: 0}}>
+                <input
+                  type="checkbox"
+                  checked={item.surprise}
+                  onChange={e => update(i, { surprise: e.target.checked })}
+                  style={{width: 'auto'}}
+                />
+                {t('wishEditor.surprise')}
+              </label>
+              <button type="button" onClick={() => move(i, -1)} disabled={i === 0} aria-label={t('wishEditor.moveUp', { n: i + 1 })} style={smallButton}>↑</button>
+              <button type="button" onClick={() => move(i, 1)} disabled={i === items.length - 1} aria-label={t('wishEditor.moveDown', { n: i + 1 })} style={smallButton}>↓</button>
+              <button type="button" onClick={() => setItems(items.filter((_, j) => j !== i))} aria-label={t('wishEditor.remove', { n: i + 1 })} style={smallButton}>✕</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {items.length < MAX_WISHES && (
+        <button type="button" onClick={() => setItems([...items, emptyWish()])} style={{backgroundColor: '#666'}}>
+          {t('wishEditor.add')}
+        </button>
+      )}
+
+      {error && <p className="error">{error}</p>}
+
+      <div style={{display: 'flex', gap: '1rem'}}>
+        <button type="submit" disabled={loading}>{t('wishEditor.save')}</button>
+        <button type="button" onClick={onCancel} style={{backgroundColor: '#999'}}>{t('wishEditor.cancel')}</button>
+      </div>
+    </form>
+  )
+}
+
+export default WishEditor
@@ -0,0 +1,33 @@
+import { normalizeWishes, isSafeLink, formatPrice } from './wishes'
+import { useI18n } from './i18nContext'
+
+// A wish list as the giver (or its owner) sees it: most wanted first, with
+// the link, the rough price and "surprise me" wishes marked.
+function WishList({ wishes }) {
+  const { t, locale } = useI18n()
+  const items = normalizeWishes(wishes)
+
+  if (items.length === 0) {
+    return <p className="wish-list-empty"><em>{t('wishes.empty')}</em></p>
+  }
+
+  return (
+    <ol className="wish-list">
+      {items.map((wish, i) => (
+        <li key={i}>
+          {wish.surprise && <strong className="wish-surprise">{t('wishes.surpriseMe')}{wish.title && ': '}</strong>}
+          {wish.title}
+          {wish.price != null && <span className="wish-price" style={{color: '#666'}}> · {t('wishes.about', { price: formatPrice(wish.price, locale) })}</span>}
+          {wish.link && isSafeLink(wish.link) && (
+            <>
+              {' · '}
+              <a href={wish.link} target="_blank" rel="noopener noreferrer">{t('wishes.link')}</a>
+            </>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default WishList
@@ -0,0 +1,128 @@
+// Login and registration through Supabase Auth.
+//
+// Participants still log in with a username, so each username maps to a
+// synthetic email address in Supabase Auth; the auth user carries the
+// participant id in its metadata and a database trigger links it to the
+// participant row (see supabase/migrations/*_auth.sql).
+//
+// Accounts created before the switch have no auth user yet. Their old
+// password was hashed into `pending_password_hash` by the migration, and the
+// first successful login claims the account: the server checks the password,
+// hands out a short-lived claim token, and signing up with that token links
+// the new auth user to the existing participant. People keep their username,
+// password, wishes and draw, so nobody is locked out on party day.
+//
+// supabase-js keeps the session (a short-lived access token plus a refresh
+// token) in localStorage and refreshes it before it expires, so a page
+// reload only has to pick it up again with restoreSession().
+import { supabase } from './supabaseClient'
+
+export const USERNAME_EMAIL_DOMAIN = 'participants.lp5-ny.app'
+
+// Usernames are case-insensitive. Anything outside [a-z0-9-] (Thai names,
+// spaces, dots) is spelled out as _<hex code point>_ so the local part is
+// always a valid, unambiguous email address.
+export const usernameToEmail = (username) => {
+  const local = Array.from(username.trim().toLowerCase(), ch =>
+    /[a-z0-9-]/.test(ch) ? ch : `_${ch.codePointAt(0).toString(16)}_`
+  ).join('')
+  return `${local}@${USERNAME_EMAIL_DOMAIN}`
+}
+
+const isInvalidCredentials = (error) =>
+  error.code === 'invalid_credentials' || error.message === 'Invalid login credentials'
+
+const isAlreadyRegistered = (error) =>
+  error.code === 'user_already_exists' || error.message === 'User already registered'
+
+// The logged-in user's own participant row in each event they belong to
+// (the my_memberships view only ever returns the caller's rows). New
+// accounts have none until they join or create an event.
+export const fetchMemberships = async () => {
+  const { data, error } = await supabase
+    .from('my_memberships')
+    .select('*')
+
+  if (error) return { data: null, error }
+  return { data: data || [], error: null }
+}
+
+const claimAccount = async (username, password) => {
+  const { data: claim, error: claimError } = await supabase.rpc('begin_account_claim', {
+    p_id: username.trim(),
+    p_password: password
+  })
+  if (claimError) return { data: null, error: claimError }
+
+  const { error } = await supabase.auth.signUp({
+    email: usernameToEmail(claim.participant_id),
+    password,
+    options: { data: { participant_id: claim.participant_id, claim_token: claim.claim_token } }
+  })
+  if (error) return { data: null, error }
+  return fetchMemberships()
+}
+
+export const signIn = async (username, password) => {
+  const { error } = await supabase.auth.signInWithPassword({
+    email: usernameToEmail(username),
+    password
+  })
+
+  if (!error) return fetchMemberships()
+  if (!isInvalidCredentials(error)) return { data: null, error }
+
+  // Either a wrong password or an account that has not been moved to
+  // Supabase Auth yet; the claim RPC tells the two apart.
+  return claimAccount(username, password)
+}
+
+export const register = async (username, name, password) => {
+  // signUp can't tell an unclaimed pre-Auth account from a free username
+  const { data: taken, error: takenError } = await supabase.rpc('is_username_taken', { p_id: username.trim() })
+  if (takenError) return { data: null, error: takenError }
+  if (taken) return { data: null, error: { message: 'Username already taken' } }
+
+  const { error } = await supabase.auth.signUp({
+    email: usernameToEmail(username),
+    password,
+    options: { data: { participant_id: username.trim(), name } }
+  })
+
+  if (error) {
+    if (isAlreadyRegistered(error)) return { data: null, error: { message: 'Username already taken' } }
+    return { data: null, error }
+  }
+  return fetchMemberships()
+}
+
+// The session saved by an earlier visit, if it is still valid
+export const restoreSession = async () => {
+  const { data, error } = await supabase.auth.getSession()
+  if (error) return { data: null, error }
+  if (!data.session) return { data: null, error: null }
+  return fetchMemberships()
+}
+
+// Set while we sign out ourselves, so onSessionEnded only reports sessions
+// that ended some other way
+let signingOut = false
+
+// 'everywhere' also revokes the refresh tokens of every other device
+export const signOut = async ({ everywhere = false } = {}) => {
+  signingOut = true
+  try {
+    return await supabase.auth.signOut({ scope: everywhere ? 'global' : 'local' })
+  } finally {
+    signingOut = false
+  }
+}
+
+// Calls back when the session ends without us signing out here: it could
+// not be refreshed anymore, or another tab signed out
+export const onSessionEnded = (callback) => {
+  const { data } = supabase.auth.onAuthStateChange((event) => {
+    if (event === 'SIGNED_OUT' && !signingOut) callback()
+  })
+  return () => data.subscription.unsubscribe()
+}
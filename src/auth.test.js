@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { usernameToEmail, signIn, register, restoreSession, signOut, onSessionEnded } from './auth'
+import { supabase } from './supabaseClient'
+
+vi.mock('./supabaseClient', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    auth: {
+      signInWithPassword: vi.fn(),
+      signUp: vi.fn(),
+      getSession: vi.fn(),
+      signOut: vi.fn(),
+      onAuthStateChange: vi.fn(),
+    },
+  },
+}))
+
+const memberships = [{ event_id: 'ev1', id: 'carol', name: 'Carol' }]
+const invalidCredentials = { code: 'invalid_credentials', message: 'Invalid login credentials' }
+
+describe('auth', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    supabase.from.mockReturnValue({ select: () => Promise.resolve({ data: memberships, error: null }) })
+    supabase.auth.signInWithPassword.mockResolvedValue({ data: { user: { id: 'auth-user' } }, error: null })
+    supabase.auth.signUp.mockResolvedValue({ data: { user: { id: 'auth-user' } }, error: null })
+    supabase.rpc.mockResolvedValue({ data: false, error: null })
+  })
+
+  it('maps usernames to synthetic email addresses', () => {
+    expect(usernameToEmail(' Alice ')).toBe('alice@participants.lp5-ny.app')
+    expect(usernameToEmail('a.b')).toBe('a_2e_b@participants.lp5-ny.app')
+    expect(usernameToEmail('ก')).toBe('_e01_@participants.lp5-ny.app')
+  })
+
+  it('returns the memberships after signing in', async () => {
+    const { data, error } = await signIn('carol', 'password')
+
+    expect(error).toBeNull()
+    expect(data).toEqual(memberships)
+    expect(supabase.from).toHaveBeenCalledWith('my_memberships')
+  })
+
+  it('claims an account from before Supabase Auth on first login', async () => {
+    supabase.auth.signInWithPassword.mockResolvedValue({ data: null, error: invalidCredentials })
+    supabase.rpc.mockResolvedValue({ data: { participant_id: 'Carol', claim_token: 'token123' }, error: null })
+
+    const { data } = await signIn('carol', 'old-password')
+
+    expect(data).toEqual(memberships)
+    expect(supabase.rpc).toHaveBeenCalledWith('begin_account_claim', { p_id: 'carol', p_password: 'old-password' })
+    expect(supabase.auth.signUp).toHaveBeenCalledWith({
+      email: 'carol@participants.lp5-ny.app',
+      password: 'old-password',
+      options: { data: { participant_id: 'Carol', claim_token: 'token123' } }
+    })
+  })
+
+  it('passes on the server error for a wrong password', async () => {
+    supabase.auth.signInWithPassword.mockResolvedValue({ data: null, error: invalidCredentials })
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Invalid password' } })
+
+    const { error } = await signIn('bob', 'wrong')
+
+    expect(error.message).toBe('Invalid password')
+    expect(supabase.auth.signUp).not.toHaveBeenCalled()
+  })
+
+  it('registers with the username in the user metadata', async () => {
+    await register('alice', 'Alice', 'password')
+
+    expect(supabase.auth.signUp).toHaveBeenCalledWith({
+      email: 'alice@participants.lp5-ny.app',
+      password: 'password',
+      options: { data: { participant_id: 'alice', name: 'Alice' } }
+    })
+  })
+
+  it('reports a taken username', async () => {
+    supabase.auth.signUp.mockResolvedValue({ data: null, error: { code: 'user_already_exists', message: 'User already registered' } })
+
+    const { error } = await register('alice', 'Alice', 'password')
+
+    expect(error.message).toBe('Username already taken')
+  })
+
+  it('reports a username taken by an account from before Supabase Auth', async () => {
+    supabase.rpc.mockResolvedValue({ data: true, error: null })
+
+    const { error } = await register(' Carol ', 'Carol', 'password')
+
+    expect(error.message).toBe('Username already taken')
+    expect(supabase.rpc).toHaveBeenCalledWith('is_username_taken', { p_id: 'Carol' })
+    expect(supabase.auth.signUp).not.toHaveBeenCalled()
+  })
+
+  it('restores the memberships of a saved session', async () => {
+    supabase.auth.getSession.mockResolvedValue({ data: { session: null }, error: null })
+    expect(await restoreSession()).toEqual({ data: null, error: null })
+
+    supabase.auth.getSession.mockResolvedValue({ data: { session: { access_token: 't' } }, error: null })
+    expect((await restoreSession()).data).toEqual(memberships)
+  })
+
+  it('only reports sessions that ended without signing out here', async () => {
+    let listener
+    const unsubscribe = vi.fn()
+    supabase.auth.onAuthStateChange.mockImplementation((callback) => {
+      listener = callback
+      return { data: { subscription: { unsubscribe } } }
+    })
+    supabase.auth.signOut.mockImplementation(async () => {
+      listener('SIGNED_OUT', null)
+      return { error: null }
+    })
+
+    const ended = vi.fn()
+    const stop = onSessionEnded(ended)
+
+    await signOut({ everywhere: true })
+    expect(supabase.auth.signOut).toHaveBeenCalledWith({ scope: 'global' })
+    expect(ended).not.toHaveBeenCalled()
+
+    listener('SIGNED_OUT', null)
+    expect(ended).toHaveBeenCalledTimes(1)
+
+    stop()
+    expect(unsubscribe).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,314 @@
+// Draw logic for the gift exchange.
+//
+// A valid draw is a permutation of the eligible participants where nobody
+// gets themselves and no giver gets someone they are excluded from. That is a
+// perfect matching between givers and receivers, so instead of reshuffling
+// until we get lucky we search for one directly and can tell for sure when
+// none exists.
+
+// Seeded randomness. Every draw takes a `random` function; passing one built
+// from a stored seed makes the result reproducible, so the admin can re-run a
+// past draw and show that it comes out the same.
+
+// cyrb128 string hash, used to turn a seed string into PRNG state.
+const hashSeed = (seed) => {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i)
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067)
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233)
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213)
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179)
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067)
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233)
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213)
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179)
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0]
+}
+
+// sfc32 generator: returns floats in [0, 1) like Math.random.
+export const createSeededRandom = (seed) => {
+  let [a, b, c, d] = hashSeed(String(seed))
+  return () => {
+    a |= 0; b |= 0; c |= 0; d |= 0
+    const t = (((a + b) | 0) + d) | 0
+    d = (d + 1) | 0
+    a = b ^ (b >>> 9)
+    b = (c + (c << 3)) | 0
+    c = (c << 21) | (c >>> 11)
+    c = (c + t) | 0
+    return (t >>> 0) / 4294967296
+  }
+}
+
+// 128 bits from the browser's CSPRNG, hex encoded.
+export const generateSeed = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Turn exclusion rows ({ participant_id, excluded_id, mutual }) into a lookup
+// of forbidden "giver->receiver" links.
+export const buildExclusionSet = (exclusions = []) => {
+  const excluded = new Set()
+  for (const rule of exclusions) {
+    excluded.add(`${rule.participant_id}->${rule.excluded_id}`)
+    if (rule.mutual) {
+      excluded.add(`${rule.excluded_id}->${rule.participant_id}`)
+    }
+  }
+  return excluded
+}
+
+export const isAllowed = (giverId, receiverId, excluded) =>
+  giverId !== receiverId && !excluded.has(`${giverId}->${receiverId}`)
+
+const shuffle = (items, random) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+const listNames = (people) => people.map(p => p.name || p.id).join(', ')
+
+// Returns { assignments, error } in the same spirit as the Supabase client:
+// `assignments` is a Map of giver id -> receiver id, `error` a message that
+// can be shown to the admin as-is.
+export const drawAssignments = (participants, { exclusions = [], random = Math.random } = {}) => {
+  if (participants.length < 2) {
+    return { assignments: null, error: 'Need at least 2 eligible participants to draw' }
+  }
+
+  const excluded = buildExclusionSet(exclusions)
+  const byId = new Map(participants.map(p => [p.id, p]))
+
+  // Candidate receivers per giver, in random order so the search below
+  // produces a different valid draw each time.
+  const candidates = new Map(participants.map(giver => [
+    giver.id,
+    shuffle(participants.filter(r => isAllowed(giver.id, r.id, excluded)).map(r => r.id), random)
+  ]))
+
+  const stuckGiver = participants.find(p => candidates.get(p.id).length === 0)
+  if (stuckGiver) {
+    return { assignments: null, error: `No valid draw: ${stuckGiver.name} is excluded from everyone else` }
+  }
+  const unreachable = participants.find(r => !participants.some(g => candidates.get(g.id).includes(r.id)))
+  if (unreachable) {
+    return { assignments: null, error: `No valid draw: nobody is allowed to draw ${unreachable.name}` }
+  }
+
+  // Kuhn's augmenting path matching.
+  const giverOf = new Map() // receiver id -> giver id
+  let visited
+
+  const tryAssign = (giverId) => {
+    for (const receiverId of candidates.get(giverId)) {
+      if (visited.has(receiverId)) continue
+      visited.add(receiverId)
+      if (!giverOf.has(receiverId) || tryAssign(giverOf.get(receiverId))) {
+        giverOf.set(receiverId, giverId)
+        return true
+      }
+    }
+    return false
+  }
+
+  for (const giver of shuffle(participants, random)) {
+    visited = new Set()
+    if (!tryAssign(giver.id)) {
+      // The givers we could reach all compete for fewer receivers than
+      // there are of them (Hall's theorem), so name them.
+      const group = [giver, ...[...visited].map(id => byId.get(giverOf.get(id)))]
+      return {
+        assignments: null,
+        error: `No valid draw: ${listNames(group)} can only draw from ${visited.size} ` +
+          `${visited.size === 1 ? 'person' : 'people'} between them. Remove some exclusions and try again.`
+      }
+    }
+  }
+
+  const assignments = new Map([...giverOf].map(([receiverId, giverId]) => [giverId, receiverId]))
+
+  // The matching search favours whatever it finds first; a round of random
+  // swaps that keep every rule intact spreads the result out.
+  const ids = participants.map(p => p.id)
+  for (let i = 0; i < ids.length * 10; i++) {
+    const a = ids[Math.floor(random() * ids.length)]
+    const b = ids[Math.floor(random() * ids.length)]
+    if (a === b) continue
+    const receiverA = assignments.get(a)
+    const receiverB = assignments.get(b)
+    if (isAllowed(a, receiverB, excluded) && isAllowed(b, receiverA, excluded)) {
+      assignments.set(a, receiverB)
+      assignments.set(b, receiverA)
+    }
+  }
+
+  return { assignments, error: null }
+}
+
+// Single-loop mode: one cycle through everybody (A -> B -> C -> ... -> A), so
+// the on-stage reveal never has to jump between groups. Finding such a loop
+// under exclusions is a Hamiltonian cycle search; we walk it depth-first,
+// always trying the person with the fewest onward options first, and give up
+// after a fixed amount of work rather than freezing the browser.
+const SINGLE_LOOP_STEP_LIMIT = 200000
+
+export const drawSingleLoop = (participants, { exclusions = [], random = Math.random } = {}) => {
+  // Any single loop is also a valid ordinary draw, so reuse its checks to
+  // explain impossible rule sets.
+  const { error } = drawAssignments(participants, { exclusions, random })
+  if (error) return { assignments: null, error }
+
+  const excluded = buildExclusionSet(exclusions)
+  const ids = shuffle(participants.map(p => p.id), random)
+  const next = new Map(ids.map(id => [id, ids.filter(other => isAllowed(id, other, excluded))]))
+
+  const start = ids[0]
+  const path = [start]
+  const onPath = new Set(path)
+  let steps = 0
+
+  const extend = (current) => {
+    if (++steps > SINGLE_LOOP_STEP_LIMIT) return false
+    if (path.length === ids.length) return isAllowed(current, start, excluded)
+
+    const options = next.get(current)
+      .filter(id => !onPath.has(id))
+      .map(id => ({ id, onward: next.get(id).filter(o => !onPath.has(o)).length }))
+      .sort((a, b) => a.onward - b.onward)
+
+    for (const { id } of options) {
+      path.push(id)
+      onPath.add(id)
+      if (extend(id)) return true
+      path.pop()
+      onPath.delete(id)
+    }
+    return false
+  }
+
+  if (!extend(start)) {
+    return {
+      assignments: null,
+      error: steps > SINGLE_LOOP_STEP_LIMIT
+        ? 'Could not find a single loop with the current exclusions. Try again, or turn off single-loop mode.'
+        : 'No single loop is possible with the current exclusions. Remove some exclusions or turn off single-loop mode.'
+    }
+  }
+
+  const assignments = new Map(path.map((id, i) => [id, path[(i + 1) % path.length]]))
+  return { assignments, error: null }
+}
+
+// Orders participants by id, the same way everywhere (draws, the chain)
+export const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+
+// Split a giver -> receiver map into its separate loops, each listed in
+// giving order starting from `order`'s first member of that loop.
+export const findCycles = (assignments, order = [...assignments.keys()]) => {
+  const cycles = []
+  const visited = new Set()
+  for (const start of order) {
+    if (visited.has(start) || !assignments.has(start)) continue
+    const cycle = []
+    let current = start
+    while (current !== undefined && !visited.has(current) && assignments.has(current)) {
+      visited.add(current)
+      cycle.push(current)
+      current = assignments.get(current)
+    }
+    cycles.push(cycle)
+  }
+  return cycles
+}
+
+// Add someone to an existing draw without touching anyone else's receiver
+// but one: a link A -> B becomes A -> newcomer -> B, so only A's assignment
+// changes. Picks at random among the links the exclusions allow. Returns
+// { giverId, receiverId, error }; the newcomer gives to receiverId.
+export const spliceIntoChain = (assignments, newcomer, { exclusions = [], random = Math.random } = {}) => {
+  const excluded = buildExclusionSet(exclusions)
+  const links = [...assignments].filter(([giverId, receiverId]) =>
+    isAllowed(giverId, newcomer.id, excluded) && isAllowed(newcomer.id, receiverId, excluded))
+
+  if (links.length === 0) {
+    return {
+      giverId: null,
+      receiverId: null,
+      error: assignments.size === 0
+        ? 'There is no draw to add to yet.'
+        : `No link in the chain can take ${newcomer.name || newcomer.id} without breaking an exclusion. Remove some exclusions or re-draw.`
+    }
+  }
+
+  const [giverId, receiverId] = links[Math.floor(random() * links.length)]
+  return { giverId, receiverId, error: null }
+}
+
+// Fill the holes in a draw with as few changes as possible. `assignments`
+// maps everyone who should stay in the chain to their receiver, or to null if
+// they have nobody to buy for. Each such giver first takes someone nobody
+// buys for (one change); if the exclusions rule that out, they take over
+// another giver's receiver and that giver takes the person nobody buys for
+// instead (two changes). Returns { assignments, changed, error }, where
+// `changed` lists the givers whose receiver changed: the people to tell.
+export const repairChain = (assignments, { exclusions = [], random = Math.random } = {}) => {
+  const excluded = buildExclusionSet(exclusions)
+  const repaired = new Map(assignments)
+  const received = new Set(repaired.values())
+  const unreceived = [...repaired.keys()].filter(id => !received.has(id))
+  const holes = shuffle([...repaired.keys()].filter(id => repaired.get(id) == null), random)
+  const failed = {
+    assignments: null,
+    changed: [],
+    error: 'The chain cannot be repaired without breaking an exclusion. Remove some exclusions or re-draw.'
+  }
+
+  for (const giverId of holes) {
+    const direct = shuffle(unreceived, random).find(id => isAllowed(giverId, id, excluded))
+    if (direct) {
+      repaired.set(giverId, direct)
+      unreceived.splice(unreceived.indexOf(direct), 1)
+      continue
+    }
+
+    const swap = shuffle([...repaired], random)
+      .filter(([, receiverId]) => receiverId != null && isAllowed(giverId, receiverId, excluded))
+      .map(([otherId, receiverId]) => [otherId, receiverId, unreceived.find(id => isAllowed(otherId, id, excluded))])
+      .find(([, , newReceiverId]) => newReceiverId !== undefined)
+    if (!swap) return failed
+
+    const [otherId, receiverId, newReceiverId] = swap
+    repaired.set(giverId, receiverId)
+    repaired.set(otherId, newReceiverId)
+    unreceived.splice(unreceived.indexOf(newReceiverId), 1)
+  }
+
+  const changed = [...repaired.keys()].filter(id => repaired.get(id) !== assignments.get(id))
+  return { assignments: repaired, changed, error: null }
+}
+
+// Take someone out of a draw: their giver is left with a hole and their
+// receiver with nobody buying for them, which repairChain() then fills.
+export const withdrawFromChain = (assignments, withdrawnId, options) => {
+  const remaining = new Map()
+  for (const [giverId, receiverId] of assignments) {
+    if (giverId !== withdrawnId) remaining.set(giverId, receiverId === withdrawnId ? null : receiverId)
+  }
+  return repairChain(remaining, options)
+}
+
+// Run a draw from a seed. Participants are sorted by id first so the result
+// only depends on who is in the draw, not on the order the database returned
+// them in.
+export const runDraw = ({ participants, exclusions = [], singleLoop = false, seed }) => {
+  const sorted = [...participants].sort(byId)
+  const draw = singleLoop ? drawSingleLoop : drawAssignments
+  return draw(sorted, { exclusions, random: createSeededRandom(seed) })
+}
@@ -0,0 +1,227 @@
+import { describe, it, expect } from 'vitest'
+import { drawAssignments, drawSingleLoop, findCycles, spliceIntoChain, repairChain, withdrawFromChain, buildExclusionSet, isAllowed, runDraw, createSeededRandom, generateSeed } from './draw'
+
+const people = (...ids) => ids.map(id => ({ id, name: id.toUpperCase() }))
+
+const expectValidDraw = (participants, assignments, exclusions = []) => {
+  const excluded = buildExclusionSet(exclusions)
+  expect(assignments.size).toBe(participants.length)
+  expect(new Set(assignments.values()).size).toBe(participants.length)
+  for (const [giver, receiver] of assignments) {
+    expect(isAllowed(giver, receiver, excluded)).toBe(true)
+  }
+}
+
+describe('drawAssignments', () => {
+  it('never assigns anyone to themselves', () => {
+    const participants = people('a', 'b', 'c', 'd', 'e')
+    for (let i = 0; i < 50; i++) {
+      const { assignments, error } = drawAssignments(participants)
+      expect(error).toBeNull()
+      expectValidDraw(participants, assignments)
+    }
+  })
+
+  it('honors mutual and one-way exclusions', () => {
+    const participants = people('a', 'b', 'c', 'd')
+    const exclusions = [
+      { participant_id: 'a', excluded_id: 'b', mutual: true },
+      { participant_id: 'c', excluded_id: 'd', mutual: false },
+    ]
+    for (let i = 0; i < 50; i++) {
+      const { assignments, error } = drawAssignments(participants, { exclusions })
+      expect(error).toBeNull()
+      expectValidDraw(participants, assignments, exclusions)
+    }
+  })
+
+  it('finds the only remaining valid draw instead of giving up', () => {
+    // Every link except a->b->c->d->a is excluded.
+    const participants = people('a', 'b', 'c', 'd')
+    const allowed = new Set(['a->b', 'b->c', 'c->d', 'd->a'])
+    const exclusions = []
+    for (const g of participants) {
+      for (const r of participants) {
+        if (g.id !== r.id && !allowed.has(`${g.id}->${r.id}`)) {
+          exclusions.push({ participant_id: g.id, excluded_id: r.id, mutual: false })
+        }
+      }
+    }
+
+    const { assignments, error } = drawAssignments(participants, { exclusions })
+    expect(error).toBeNull()
+    expect(Object.fromEntries(assignments)).toEqual({ a: 'b', b: 'c', c: 'd', d: 'a' })
+  })
+
+  it('reports a participant who is excluded from everyone', () => {
+    const participants = people('a', 'b', 'c')
+    const exclusions = [
+      { participant_id: 'a', excluded_id: 'b', mutual: false },
+      { participant_id: 'a', excluded_id: 'c', mutual: false },
+    ]
+    const { assignments, error } = drawAssignments(participants, { exclusions })
+    expect(assignments).toBeNull()
+    expect(error).toBe('No valid draw: A is excluded from everyone else')
+  })
+
+  it('names the over-constrained group when no assignment exists', () => {
+    // a and b may only draw c between them.
+    const participants = people('a', 'b', 'c', 'd')
+    const exclusions = [
+      { participant_id: 'a', excluded_id: 'b', mutual: true },
+      { participant_id: 'a', excluded_id: 'd', mutual: false },
+      { participant_id: 'b', excluded_id: 'd', mutual: false },
+    ]
+    const { assignments, error } = drawAssignments(participants, { exclusions })
+    expect(assignments).toBeNull()
+    expect(error).toMatch(/No valid draw: .*can only draw from 1 person/)
+    expect(error).toContain('A')
+    expect(error).toContain('B')
+  })
+
+  it('needs at least two participants', () => {
+    const { error } = drawAssignments(people('a'))
+    expect(error).toBe('Need at least 2 eligible participants to draw')
+  })
+})
+
+describe('drawSingleLoop', () => {
+  it('produces one loop through everybody', () => {
+    const participants = people('a', 'b', 'c', 'd', 'e', 'f')
+    const exclusions = [{ participant_id: 'a', excluded_id: 'b', mutual: true }]
+    for (let i = 0; i < 50; i++) {
+      const { assignments, error } = drawSingleLoop(participants, { exclusions })
+      expect(error).toBeNull()
+      expectValidDraw(participants, assignments, exclusions)
+      expect(findCycles(assignments)).toHaveLength(1)
+    }
+  })
+
+  it('reports when no single loop is possible', () => {
+    // a<->b and c<->d are the only allowed links: two loops, never one.
+    const participants = people('a', 'b', 'c', 'd')
+    const exclusions = [
+      { participant_id: 'a', excluded_id: 'c', mutual: true },
+      { participant_id: 'a', excluded_id: 'd', mutual: true },
+      { participant_id: 'b', excluded_id: 'c', mutual: true },
+      { participant_id: 'b', excluded_id: 'd', mutual: true },
+    ]
+    const { assignments, error } = drawSingleLoop(participants, { exclusions })
+    expect(assignments).toBeNull()
+    expect(error).toMatch(/No single loop is possible/)
+  })
+})
+
+describe('findCycles', () => {
+  it('splits a draw into its loops in giving order', () => {
+    const assignments = new Map([['a', 'b'], ['b', 'a'], ['c', 'd'], ['d', 'e'], ['e', 'c']])
+    expect(findCycles(assignments)).toEqual([['a', 'b'], ['c', 'd', 'e']])
+  })
+})
+
+describe('spliceIntoChain', () => {
+  const chain = new Map([['a', 'b'], ['b', 'c'], ['c', 'a']])
+
+  it('turns one link A -> B into A -> newcomer -> B', () => {
+    const { giverId, receiverId, error } = spliceIntoChain(chain, { id: 'n' })
+
+    expect(error).toBeNull()
+    expect(chain.get(giverId)).toBe(receiverId)
+  })
+
+  it('only picks links the exclusions allow', () => {
+    // a -> n and n -> a are out, and so is n -> c: no link is left
+    const exclusions = [
+      { participant_id: 'n', excluded_id: 'a', mutual: true },
+      { participant_id: 'n', excluded_id: 'c', mutual: false },
+    ]
+    expect(spliceIntoChain(chain, { id: 'n', name: 'New' }, { exclusions }).error)
+      .toBe('No link in the chain can take New without breaking an exclusion. Remove some exclusions or re-draw.')
+
+    const { giverId, receiverId } = spliceIntoChain(chain, { id: 'n' }, { exclusions: exclusions.slice(0, 1) })
+    expect([giverId, receiverId]).toEqual(['b', 'c'])
+  })
+})
+
+describe('withdrawFromChain', () => {
+  it('links the giver to the receiver of whoever left', () => {
+    const chain = new Map([['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'a']])
+    const { assignments, changed, error } = withdrawFromChain(chain, 'c')
+
+    expect(error).toBeNull()
+    expect(changed).toEqual(['b'])
+    expect([...assignments]).toEqual([['a', 'b'], ['b', 'd'], ['d', 'a']])
+  })
+
+  it('swaps with another link when the direct one is not possible', () => {
+    // b -> c -> b: without c, b would have to give to themselves
+    const chain = new Map([['a', 'd'], ['d', 'a'], ['b', 'c'], ['c', 'b']])
+    const { assignments, changed, error } = withdrawFromChain(chain, 'c')
+
+    expect(error).toBeNull()
+    expect(changed).toHaveLength(2)
+    expect(changed).toContain('b')
+    expectValidDraw(people('a', 'b', 'd'), assignments)
+  })
+
+  it('reports when the exclusions leave no repair', () => {
+    const chain = new Map([['a', 'b'], ['b', 'c'], ['c', 'a']])
+    const exclusions = [{ participant_id: 'a', excluded_id: 'c', mutual: true }]
+
+    expect(withdrawFromChain(chain, 'b', { exclusions }).error)
+      .toBe('The chain cannot be repaired without breaking an exclusion. Remove some exclusions or re-draw.')
+  })
+})
+
+describe('repairChain', () => {
+  it('fills holes left by someone removed some other way', () => {
+    const { assignments, changed } = repairChain(new Map([['a', 'b'], ['b', null], ['c', 'a']]))
+
+    expect(changed).toEqual(['b'])
+    expect(assignments.get('b')).toBe('c')
+  })
+})
+
+describe('runDraw', () => {
+  it('gives the same result for the same seed, whatever the input order', () => {
+    const participants = people('a', 'b', 'c', 'd', 'e', 'f', 'g')
+    const first = runDraw({ participants, seed: 'party-2026' })
+    const again = runDraw({ participants: [...participants].reverse(), seed: 'party-2026' })
+    expect(Object.fromEntries(again.assignments)).toEqual(Object.fromEntries(first.assignments))
+  })
+
+  it('gives different results for different seeds', () => {
+    const participants = people('a', 'b', 'c', 'd', 'e', 'f', 'g', 'h')
+    const results = new Set(
+      ['s1', 's2', 's3', 's4', 's5'].map(seed =>
+        JSON.stringify([...runDraw({ participants, seed }).assignments]))
+    )
+    expect(results.size).toBeGreaterThan(1)
+  })
+
+  it('is reproducible in single-loop mode', () => {
+    const participants = people('a', 'b', 'c', 'd', 'e')
+    const first = runDraw({ participants, singleLoop: true, seed: 'loop' })
+    const again = runDraw({ participants, singleLoop: true, seed: 'loop' })
+    expect(findCycles(first.assignments)).toHaveLength(1)
+    expect([...again.assignments]).toEqual([...first.assignments])
+  })
+})
+
+describe('createSeededRandom', () => {
+  it('produces a repeatable sequence in [0, 1)', () => {
+    const a = createSeededRandom('seed')
+    const b = createSeededRandom('seed')
+    for (let i = 0; i < 100; i++) {
+      const value = a()
+      expect(value).toBe(b())
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    }
+  })
+
+  it('generates 128-bit hex seeds', () => {
+    expect(generateSeed()).toMatch(/^[0-9a-f]{32}$/)
+    expect(generateSeed()).not.toBe(generateSeed())
+  })
+})
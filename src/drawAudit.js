@@ -0,0 +1,100 @@
+// Audit records for draws.
+//
+// Every draw stores its seed together with the inputs it was run on. Before
+// the reveal only the commitment hash is shown to participants; it binds the
+// seed, the participant list and the rules, so once the seed is published
+// anyone can recompute the commitment and re-run the draw to check that the
+// admin did not pick a different result after the fact.
+import { runDraw } from './draw'
+
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+const sortedIds = (participants) => participants.map(p => p.id).sort()
+
+// Plain code-unit comparison; localeCompare would make hashes depend on the
+// browser's language.
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+// Exclusions as plain, ordered data so their hash does not depend on row ids
+// or the order they were fetched in.
+export const normalizeExclusions = (exclusions = []) =>
+  exclusions
+    .map(x => ({ participant_id: x.participant_id, excluded_id: x.excluded_id, mutual: !!x.mutual }))
+    .sort((a, b) => compare(a.participant_id, b.participant_id) || compare(a.excluded_id, b.excluded_id))
+
+export const hashParticipants = (participants) =>
+  sha256Hex(JSON.stringify(sortedIds(participants)))
+
+export const computeCommitment = async ({ seed, participantsHash, exclusions, singleLoop }) => {
+  const exclusionsHash = await sha256Hex(JSON.stringify(normalizeExclusions(exclusions)))
+  return sha256Hex([seed, participantsHash, exclusionsHash, singleLoop ? 'single-loop' : 'any'].join(':'))
+}
+
+// The row stored in `draws` alongside the assignments.
+export const createDrawRecord = async ({ participants, exclusions = [], singleLoop = false, seed }) => {
+  const participantsHash = await hashParticipants(participants)
+  return {
+    seed,
+    participant_ids: sortedIds(participants),
+    participants_hash: participantsHash,
+    exclusions: normalizeExclusions(exclusions),
+    single_loop: singleLoop,
+    commitment: await computeCommitment({ seed, participantsHash, exclusions, singleLoop })
+  }
+}
+
+// Re-run a stored draw and compare it with the assignments currently saved.
+// Changes made afterwards (record.amendments: late joiners spliced in,
+// withdrawals and repairs) are applied on top, in order. Returns { ok, problems } where `problems` lists what did not
+// match.
+export const verifyDraw = async (record, participants) => {
+  const problems = []
+  const people = record.participant_ids.map(id => ({ id, name: id }))
+
+  const participantsHash = await hashParticipants(people)
+  if (participantsHash !== record.participants_hash) {
+    problems.push('Participant list does not match its recorded hash')
+  }
+
+  const commitment = await computeCommitment({
+    seed: record.seed,
+    participantsHash,
+    exclusions: record.exclusions,
+    singleLoop: record.single_loop
+  })
+  if (commitment !== record.commitment) {
+    problems.push('Commitment does not match the seed and inputs')
+  }
+
+  const { assignments, error } = runDraw({
+    participants: people,
+    exclusions: record.exclusions,
+    singleLoop: record.single_loop,
+    seed: record.seed
+  })
+  if (error) {
+    problems.push('Re-running the draw failed: ' + error)
+  } else {
+    for (const amendment of record.amendments || []) {
+      if (amendment.repairs) {
+        assignments.delete(amendment.withdrawn_id)
+        for (const { giver_id, receiver_id } of amendment.repairs) assignments.set(giver_id, receiver_id)
+      } else {
+        assignments.set(amendment.giver_id, amendment.participant_id)
+        assignments.set(amendment.participant_id, amendment.receiver_id)
+      }
+    }
+
+    const saved = new Map(participants.map(p => [p.id, p.drawn_participant_id]))
+    for (const [giverId, receiverId] of assignments) {
+      if (saved.get(giverId) !== receiverId) {
+        problems.push(`${giverId} is saved with a different receiver than the seed produces`)
+      }
+    }
+  }
+
+  return { ok: problems.length === 0, problems }
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { runDraw } from './draw'
+import { createDrawRecord, verifyDraw, sha256Hex } from './drawAudit'
+
+const participants = ['ann', 'ben', 'cat', 'dan'].map(id => ({ id, name: id }))
+const exclusions = [{ id: 7, participant_id: 'ann', excluded_id: 'ben', mutual: true }]
+
+const savedRows = (assignments) =>
+  participants.map(p => ({ ...p, drawn_participant_id: assignments.get(p.id) }))
+
+describe('drawAudit', () => {
+  it('hashes with SHA-256', async () => {
+    expect(await sha256Hex('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+
+  it('records the seed, inputs and a commitment', async () => {
+    const record = await createDrawRecord({ participants, exclusions, seed: 'abc' })
+    expect(record.seed).toBe('abc')
+    expect(record.participant_ids).toEqual(['ann', 'ben', 'cat', 'dan'])
+    expect(record.exclusions).toEqual([{ participant_id: 'ann', excluded_id: 'ben', mutual: true }])
+    expect(record.participants_hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(record.commitment).toMatch(/^[0-9a-f]{64}$/)
+
+    const otherSeed = await createDrawRecord({ participants, exclusions, seed: 'abd' })
+    expect(otherSeed.commitment).not.toBe(record.commitment)
+  })
+
+  it('verifies a saved draw against its seed', async () => {
+    const input = { participants, exclusions, singleLoop: true, seed: 'verify-me' }
+    const { assignments } = runDraw(input)
+    const record = await createDrawRecord(input)
+
+    expect(await verifyDraw(record, savedRows(assignments))).toEqual({ ok: true, problems: [] })
+  })
+
+  it('flags assignments that were changed after the draw', async () => {
+    const input = { participants, exclusions, seed: 'tamper' }
+    const { assignments } = runDraw(input)
+    const record = await createDrawRecord(input)
+
+    const [giverA, giverB] = [...assignments.keys()]
+    const tampered = new Map(assignments)
+    tampered.set(giverA, assignments.get(giverB))
+    tampered.set(giverB, assignments.get(giverA))
+
+    const result = await verifyDraw(record, savedRows(tampered))
+    expect(result.ok).toBe(false)
+    expect(result.problems).toHaveLength(2)
+  })
+
+  it('applies late joiners spliced in after the draw', async () => {
+    const input = { participants, exclusions, seed: 'late' }
+    const { assignments } = runDraw(input)
+    const record = await createDrawRecord(input)
+
+    const receiver = assignments.get('cat')
+    const spliced = new Map(assignments).set('cat', 'eve').set('eve', receiver)
+    const rows = [...savedRows(spliced), { id: 'eve', name: 'eve', drawn_participant_id: receiver }]
+    const amendments = [{ participant_id: 'eve', giver_id: 'cat', receiver_id: receiver }]
+
+    expect((await verifyDraw(record, rows)).ok).toBe(false)
+    expect(await verifyDraw({ ...record, amendments }, rows)).toEqual({ ok: true, problems: [] })
+  })
+
+  it('applies withdrawals and their repairs', async () => {
+    const input = { participants, exclusions, seed: 'leaving' }
+    const { assignments } = runDraw(input)
+    const record = await createDrawRecord(input)
+
+    const giver = [...assignments.keys()].find(id => assignments.get(id) === 'dan')
+    const repairs = [{ giver_id: giver, receiver_id: assignments.get('dan') }]
+    const rows = savedRows(new Map(assignments).set(giver, assignments.get('dan'))).filter(p => p.id !== 'dan')
+
+    expect(await verifyDraw({ ...record, amendments: [{ withdrawn_id: 'dan', repairs }] }, rows))
+      .toEqual({ ok: true, problems: [] })
+  })
+
+  it('flags a record whose commitment does not match', async () => {
+    const input = { participants, exclusions, seed: 'original' }
+    const { assignments } = runDraw(input)
+    const record = await createDrawRecord(input)
+
+    const result = await verifyDraw({ ...record, single_loop: true }, savedRows(assignments))
+    expect(result.ok).toBe(false)
+    expect(result.problems).toContain('Commitment does not match the seed and inputs')
+  })
+})
@@ -0,0 +1,19 @@
+// Gift progress. A giver's gift_status is null until they start, then one
+// of GIFT_STATUSES, in this order. The database checks the same values (see
+// the gift progress migration). Their labels are gift.status.* in the
+// translations.
+
+export const GIFT_STATUSES = ['planned', 'purchased', 'wrapped']
+
+// Not bought yet: nothing done, or only an idea
+export const isStraggler = (person) =>
+  person.has_assignment && (person.gift_status == null || person.gift_status === 'planned')
+
+// How many givers are at each stage, with `none` for not started
+export const countByStatus = (people) => {
+  const counts = { none: 0, planned: 0, purchased: 0, wrapped: 0 }
+  for (const person of people) {
+    if (person.has_assignment) counts[person.gift_status ?? 'none']++
+  }
+  return counts
+}
@@ -0,0 +1,130 @@
+// Translations. Every piece of UI text comes from the catalogs in
+// src/locales, looked up by key ('login.title') with {placeholders} filled
+// in; a key with a count has _one/_other variants where the language needs
+// them (Thai never does). Keys missing from a catalog fall back to English.
+//
+// Error messages from the backend (the SQL functions, and the memory backend
+// that mirrors them) and from the pure modules (draw.js, wishes.js,
+// importExport.js) stay in English, since those are what the two backends
+// agree on. translateError() turns them into the user's language at display
+// time, using the `errors` section of the catalog, whose keys are the English
+// messages with {placeholders} for the parts that vary. Messages it does not
+// know, e.g. from Supabase Auth, are shown as they are.
+//
+// The chosen language is saved on the account (get_my_locale() and
+// set_my_locale(), see LanguageProvider), so it follows people to other
+// devices. localStorage only caches it, per account, to start in the right
+// language before the account has loaded; before logging in the last one
+// used on this device applies.
+import en from './locales/en'
+import th from './locales/th'
+
+export const LOCALES = ['en', 'th']
+
+export const DEFAULT_LOCALE = 'en'
+
+// The name of each language in that language, for the switcher
+export const LANGUAGE_NAMES = { en: 'English', th: 'ไทย' }
+
+const CATALOGS = { en, th }
+
+// Formatting locales. th-TH gives Buddhist-era years (2569) and Thai month
+// names, as Thai readers expect.
+const INTL_LOCALES = { en: 'en-US', th: 'th-TH' }
+
+export const LOCALE_KEY = 'lp5-ny.locale'
+
+const isLocale = (value) => LOCALES.includes(value)
+
+// A browser set to Thai starts in Thai, anything else in English
+export const detectLocale = () =>
+  (globalThis.navigator?.language || '').toLowerCase().startsWith('th') ? 'th' : DEFAULT_LOCALE
+
+// The copy on this device of the language saved on the account (see
+// LanguageProvider), plus the last one used here for before logging in
+export const loadLocale = (accountId = null) => {
+  const saved = (accountId && localStorage.getItem(`${LOCALE_KEY}.${accountId}`)) || localStorage.getItem(LOCALE_KEY)
+  return isLocale(saved) ? saved : detectLocale()
+}
+
+export const saveLocale = (locale, accountId = null) => {
+  localStorage.setItem(LOCALE_KEY, locale)
+  if (accountId) localStorage.setItem(`${LOCALE_KEY}.${accountId}`, locale)
+}
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog)
+
+// Fills in {placeholders}. Returns a string, or an array of strings and the
+// values when some of them aren't strings (e.g. a <strong> element), for
+// I18nContext to render.
+export const interpolate = (template, params = {}) => {
+  const parts = template.split(/\{(\w+)\}/)
+  const values = parts.map((part, i) => (i % 2 === 0 ? part : params[part] ?? `{${part}}`))
+  return values.every(v => typeof v === 'string' || typeof v === 'number') ? values.join('') : values.filter(v => v !== '')
+}
+
+export const translate = (locale, key, params = {}) => {
+  const intlLocale = INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE]
+  const form = params.count != null ? new Intl.PluralRules(intlLocale).select(params.count) : null
+  // The plural forms and the plain key from one catalog, so a Thai key
+  // without forms wins over English's _other
+  const find = (catalog) =>
+    (form ? lookup(catalog, `${key}_${form}`) ?? lookup(catalog, `${key}_other`) : undefined) ?? lookup(catalog, key)
+
+  const template = find(CATALOGS[locale] || {}) ?? find(CATALOGS[DEFAULT_LOCALE])
+  return typeof template === 'string' ? interpolate(template, params) : key
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+
+// The errors section as [pattern, placeholder names, translation], built once
+// per catalog
+const errorPatterns = new Map()
+
+const patternsFor = (locale) => {
+  if (!errorPatterns.has(locale)) {
+    errorPatterns.set(locale, Object.entries(CATALOGS[locale]?.errors || {}).map(([english, translated]) => {
+      const names = [...english.matchAll(/\{(\w+)\}/g)].map(m => m[1])
+      const source = english.split(/\{\w+\}/).map(escapeRegExp).join('(.+?)')
+      return [new RegExp(`^${source}$`, 's'), names, translated]
+    }))
+  }
+  return errorPatterns.get(locale)
+}
+
+export const translateError = (locale, message) => {
+  if (typeof message !== 'string') return message
+  for (const [pattern, names, translated] of patternsFor(locale)) {
+    const match = message.match(pattern)
+    if (match) {
+      const params = Object.fromEntries(names.map((name, i) => [name, translateError(locale, match[i + 1])]))
+      return interpolate(translated, params)
+    }
+  }
+  return message
+}
+
+// narrowSymbol so English shows "฿1,500" too, not "THB 1,500"
+export const formatCurrency = (amount, currency, locale) =>
+  new Intl.NumberFormat(INTL_LOCALES[locale], {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'narrowSymbol',
+    maximumFractionDigits: 0
+  }).format(amount)
+
+// "Dec 31, 2026, 7:00 PM" or "31 ธ.ค. 2569 19:00"; empty for a missing date
+export const formatDateTime = (value, locale) => {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale], { dateStyle: 'medium', timeStyle: 'short' }).format(date)
+}
+
+// Everything the components need, bound to one language
+export const createI18n = (locale) => ({
+  locale,
+  t: (key, params) => translate(locale, key, params),
+  te: (message) => translateError(locale, message),
+  formatDateTime: (value) => formatDateTime(value, locale)
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { LOCALE_KEY, translate, translateError, formatDateTime, loadLocale, saveLocale } from './i18n'
+import { formatBudget } from './wishes'
+import { drawAssignments } from './draw'
+import en from './locales/en'
+import th from './locales/th'
+
+// Every message the SQL functions raise, with % filled in
+const migrations = import.meta.glob('../supabase/migrations/*.sql', { query: '?raw', import: 'default', eager: true })
+const sqlMessages = [...new Set(Object.values(migrations).flatMap(sql =>
+  [...sql.matchAll(/raise exception '([^']+)'/g)].map(m => m[1].replace(/%/g, 'x'))))]
+
+// 'wishEditor.wish' -> '{n}', with the plural forms folded into one key
+const flatten = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) =>
+  typeof value === 'string'
+    ? [[`${prefix}${key}`.replace(/_(one|other)$/, ''), value]]
+    : key === 'errors' ? [] : flatten(value, `${prefix}${key}.`))
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort()
+
+describe('i18n', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.unstubAllGlobals()
+  })
+
+  it('has every text in both languages, with the same placeholders', () => {
+    const english = Object.fromEntries(flatten(en))
+    const thai = Object.fromEntries(flatten(th))
+    expect(Object.keys(thai).sort()).toEqual(Object.keys(english).sort())
+    for (const [key, text] of Object.entries(english)) {
+      expect([key, placeholders(thai[key])]).toEqual([key, placeholders(text)])
+    }
+    for (const [message, text] of Object.entries(th.errors)) {
+      expect([message, placeholders(text)]).toEqual([message, placeholders(message)])
+    }
+  })
+
+  it('fills in placeholders and picks plural forms', () => {
+    expect(translate('en', 'app.welcomeName', { name: 'Ann' })).toBe('Welcome, Ann!')
+    expect(translate('th', 'app.welcomeName', { name: 'Ann' })).toBe('ยินดีต้อนรับ Ann!')
+    expect(translate('en', 'import.import', { count: 1 })).toBe('Import 1 Participant')
+    expect(translate('en', 'import.import', { count: 3 })).toBe('Import 3 Participants')
+    expect(translate('th', 'import.import', { count: 3 })).toBe('นำเข้าผู้เข้าร่วม 3 คน')
+    expect(translate('en', 'no.such.key')).toBe('no.such.key')
+
+    // Elements are passed through for React to render
+    const strong = { type: 'strong' }
+    expect(translate('en', 'app.giftBudget', { budget: strong })).toEqual(['Gift budget: ', strong])
+  })
+
+  it('translates every message the backend can send', () => {
+    expect(sqlMessages.length).toBeGreaterThan(40)
+    const untranslated = sqlMessages.filter(message => translateError('th', message) === message)
+    expect(untranslated).toEqual([])
+
+    expect(translateError('th', 'Participant "ann" no longer exists')).toBe('ผู้เข้าร่วม "ann" ไม่อยู่แล้ว')
+    expect(translateError('th', 'Only 1 of 2 repairs could be saved')).toBe('บันทึกการซ่อมได้เพียง 1 จาก 2 รายการ')
+    expect(translateError('en', 'User not found')).toBe('User not found')
+    // Supabase Auth and the like are shown as they are
+    expect(translateError('th', 'Email rate limit exceeded')).toBe('Email rate limit exceeded')
+  })
+
+  it('translates the messages of the draw, nested ones too', () => {
+    const participants = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }]
+    const exclusions = [
+      { participant_id: 'a', excluded_id: 'b', mutual: false },
+      { participant_id: 'a', excluded_id: 'c', mutual: false },
+    ]
+    const { error } = drawAssignments(participants, { exclusions })
+    expect(translateError('th', error)).toBe('จับฉลากไม่ได้: A ถูกยกเว้นจากทุกคน')
+
+    expect(translateError('th', 'Re-running the draw failed: Need at least 2 eligible participants to draw'))
+      .toBe('จับใหม่จาก seed ไม่สำเร็จ: ต้องมีผู้ร่วมจับฉลากอย่างน้อย 2 คน')
+  })
+
+  it('formats budgets and dates the way each language expects', () => {
+    const budget = { budget_min: null, budget_max: 1000 }
+    expect(formatBudget(budget, 'en')).toBe('up to ฿1,000')
+    expect(formatBudget(budget, 'th')).toBe('ไม่เกิน ฿1,000')
+    expect(formatBudget({ budget_min: 500, budget_max: 1000 }, 'th')).toBe('฿500–฿1,000')
+
+    // Buddhist era in Thai
+    expect(formatDateTime('2026-12-31T05:00:00Z', 'en')).toMatch(/2026/)
+    expect(formatDateTime('2026-12-31T05:00:00Z', 'th')).toMatch(/2569/)
+    expect(formatDateTime(undefined, 'th')).toBe('')
+  })
+
+  it('remembers the language per account, then per device', () => {
+    vi.stubGlobal('navigator', { language: 'th-TH' })
+    expect(loadLocale()).toBe('th')
+
+    saveLocale('en', 'ann')
+    expect(loadLocale('ann')).toBe('en')
+    saveLocale('th', 'ben')
+    expect(loadLocale('ann')).toBe('en')
+    expect(loadLocale('ben')).toBe('th')
+    // Someone without a choice of their own gets the one used last
+    expect(loadLocale('cat')).toBe('th')
+    expect(localStorage.getItem(LOCALE_KEY)).toBe('th')
+
+    localStorage.setItem(LOCALE_KEY, 'fr')
+    vi.stubGlobal('navigator', { language: 'de-DE' })
+    expect(loadLocale()).toBe('en')
+  })
+})
@@ -0,0 +1,20 @@
+import { createContext, createElement, Fragment, useContext } from 'react'
+import { createI18n, DEFAULT_LOCALE } from './i18n'
+
+// Texts with elements in them come back from translate() as arrays, which
+// React wants keys on
+const withKeys = (text) =>
+  Array.isArray(text) ? text.map((part, i) => createElement(Fragment, { key: i }, part)) : text
+
+// createI18n() for components. LanguageProvider adds setLocale (switch and
+// remember) and setAccount (whose saved language applies).
+export const bindI18n = (locale) => {
+  const i18n = createI18n(locale)
+  return { ...i18n, t: (key, params) => withKeys(i18n.t(key, params)) }
+}
+
+// Without a LanguageProvider, e.g. a component rendered on its own in a test,
+// everything is in English
+export const I18nContext = createContext({ ...bindI18n(DEFAULT_LOCALE), setLocale: () => {}, setAccount: () => {} })
+
+export const useI18n = () => useContext(I18nContext)
@@ -0,0 +1,218 @@
+// Bulk import of participants and the year-end export of the chain and wish
+// lists. Both read and write CSV (for spreadsheets) and JSON; an exported
+// JSON file can be imported again into next year's event.
+//
+// An import row is { id, name, wishes }. In CSV the first row names the
+// columns: "id" (or "username"), "name" (or "display name") and "wishes",
+// with the wishes separated by semicolons. In JSON it is a list of objects
+// with the same fields, or { participants: [...] } like the export, and
+// wishes may be plain strings or wish objects (see wishes.js).
+import { cleanWishes, validateWishes } from './wishes'
+
+const WISH_SEPARATOR = ';'
+
+// RFC 4180: fields in double quotes may hold commas, quotes ("") and line
+// breaks. Returns the rows as arrays of strings, blank lines left out.
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter(r => r.some(f => f.trim()))
+}
+
+// Quotes only the fields that need it. CRLF line ends, which is what
+// spreadsheets expect.
+//
+// Names, wish titles and links are typed by participants, and a spreadsheet
+// runs a cell starting with = + - @ (or a tab or CR) as a formula, e.g.
+// =HYPERLINK(...). A leading ' makes it plain text, and is not shown.
+// parseCsvImport() takes it off again, so an export imports as it was.
+export const toCsv = (rows) =>
+  rows.map(row => row.map(value => {
+    const text = value == null ? '' : String(value)
+    const safe = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe
+  }).join(',')).join('\r\n') + '\r\n'
+
+const COLUMN_NAMES = {
+  id: ['id', 'username'],
+  name: ['name', 'display name', 'display_name'],
+  wishes: ['wishes'],
+}
+
+const toWishes = (value) => {
+  if (Array.isArray(value)) {
+    return cleanWishes(value.map(w => (w && typeof w === 'object' ? { ...w, title: String(w.title ?? '') } : String(w ?? ''))))
+  }
+  if (typeof value === 'string') return cleanWishes(value.split(WISH_SEPARATOR))
+  return []
+}
+
+const toRow = (id, name, wishes) => {
+  const username = String(id ?? '').trim()
+  return { id: username, name: String(name ?? '').trim() || username, wishes: toWishes(wishes) }
+}
+
+const parseJsonImport = (text) => {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch {
+    return { rows: null, error: 'This is not valid JSON' }
+  }
+
+  const list = Array.isArray(json) ? json : json?.participants
+  if (!Array.isArray(list)) return { rows: null, error: 'Expected a list of participants' }
+  return {
+    rows: list.map(item => toRow(item?.id ?? item?.username, item?.name ?? item?.display_name, item?.wishes)),
+    error: null
+  }
+}
+
+// Undoes the ' that toCsv() puts in front of formula-like cells
+const unescapeCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value)
+
+const parseCsvImport = (text) => {
+  const [header, ...lines] = parseCsv(text).map(line => line.map(unescapeCell))
+  const columns = (header || []).map(h => h.trim().toLowerCase())
+  const column = (field) => columns.findIndex(c => COLUMN_NAMES[field].includes(c))
+
+  const idColumn = column('id')
+  if (idColumn === -1) return { rows: null, error: 'The first row needs an "id" (or "username") column' }
+  const nameColumn = column('name')
+  const wishesColumn = column('wishes')
+
+  return {
+    rows: lines.map(line => toRow(line[idColumn], line[nameColumn], line[wishesColumn])),
+    error: null
+  }
+}
+
+// Reads a pasted or uploaded file, CSV or JSON (told apart by the first
+// character). Returns { rows, error }.
+export const parseImport = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim()
+  if (!content) return { rows: null, error: 'Nothing to import' }
+  return /^[[{]/.test(content) ? parseJsonImport(content) : parseCsvImport(content)
+}
+
+// The preview: every row with what is wrong with it, or null. Rows with a
+// problem are left out of the import. `participants` are the event's current
+// members; usernames are case-insensitive, like logins.
+export const reviewImport = (rows, participants = [], budget = null) => {
+  const members = new Set(participants.map(p => p.id.toLowerCase()))
+  const seen = new Set()
+
+  return rows.map(row => {
+    const key = row.id.toLowerCase()
+    let problem = null
+    if (!row.id) problem = 'Username missing'
+    else if (seen.has(key)) problem = 'Listed twice'
+    else if (members.has(key)) problem = 'Already in this event'
+    else problem = validateWishes(row.wishes, budget)
+
+    seen.add(key)
+    return { ...row, problem }
+  })
+}
+
+// No 0/o or 1/l/i, so passwords can be read out or copied off a printout
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'
+
+// A temporary password like "k7mq-2xdp-9hwa" for someone who is imported
+// without an account
+export const generatePassword = () => {
+  const chars = Array.from(crypto.getRandomValues(new Uint32Array(12)), n => PASSWORD_ALPHABET[n % PASSWORD_ALPHABET.length])
+  return [0, 4, 8].map(i => chars.slice(i, i + 4).join('')).join('-')
+}
+
+// `chain` is the ordered chain from the Gift Exchange Chain page and
+// `people` what participants.exportAll() returns
+export const chainCsv = (chain, people) => {
+  const byId = new Map(people.map(p => [p.id, p]))
+  return toCsv([
+    ['position', 'loop', 'giver_id', 'giver', 'receiver_id', 'receiver', 'gift_status', 'gift_received'],
+    ...chain.map((link, i) => [
+      i + 1,
+      link.cycle + 1,
+      link.giverId,
+      link.giver,
+      link.receiverId,
+      link.receiver,
+      byId.get(link.giverId)?.gift_status,
+      byId.get(link.receiverId)?.gift_received ? 'yes' : 'no'
+    ])
+  ])
+}
+
+// One row per wish, in priority order; people without wishes get one empty row
+export const wishListsCsv = (people) =>
+  toCsv([
+    ['id', 'name', 'priority', 'wish', 'link', 'price', 'surprise'],
+    ...people.flatMap(p => {
+      const wishes = cleanWishes(p.wishes)
+      if (wishes.length === 0) return [[p.id, p.name]]
+      return wishes.map((w, i) => [p.id, p.name, i + 1, w.title, w.link, w.price, w.surprise ? 'yes' : ''])
+    })
+  ])
+
+// Everything in one file, in a shape parseImport() reads back
+export const exportJson = (chain, people) =>
+  JSON.stringify({
+    exported_at: new Date().toISOString(),
+    chain: chain.map(link => ({
+      giver_id: link.giverId,
+      giver: link.giver,
+      receiver_id: link.receiverId,
+      receiver: link.receiver,
+      loop: link.cycle + 1
+    })),
+    participants: people.map(p => ({
+      id: p.id,
+      name: p.name,
+      wishes: cleanWishes(p.wishes),
+      gift_status: p.gift_status,
+      gift_received: p.gift_received
+    }))
+  }, null, 2)
+
+// Hands a file to the browser to save
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import { parseCsv, toCsv, parseImport, reviewImport, generatePassword, chainCsv, wishListsCsv, exportJson } from './importExport'
+
+describe('importExport', () => {
+  it('reads quoted CSV fields and writes them back the same', () => {
+    const rows = [['id', 'name'], ['ann', 'Ann "the boss", Jr.'], ['ben', 'two\nlines']]
+    expect(parseCsv(toCsv(rows))).toEqual(rows)
+    expect(parseCsv('a,b\r\n\r\n1,2\n')).toEqual([['a', 'b'], ['1', '2']])
+  })
+
+  it('keeps spreadsheets from running what participants typed as formulas', () => {
+    const rows = [['=HYPERLINK("http://evil.example","Click")', '@SUM(A1:A2)', '+1', '-1', '\tx', '\rx', 'Tea', 300, -5]]
+    expect(parseCsv(toCsv(rows))).toEqual([[
+      '\'=HYPERLINK("http://evil.example","Click")', '\'@SUM(A1:A2)', '\'+1', '\'-1', '\'\tx', '\'\rx', 'Tea', '300', '-5'
+    ]])
+  })
+
+  it('imports an exported CSV as it was, without the formula guard', () => {
+    const people = [['id', 'name', 'wishes'], ['-dash', '@mali', '=Coffee;+Tea'], ['ann', "'quoted'", '']]
+
+    expect(parseImport(toCsv(people)).rows).toEqual([
+      { id: '-dash', name: '@mali', wishes: [{ title: '=Coffee' }, { title: '+Tea' }] },
+      { id: 'ann', name: "'quoted'", wishes: [] },
+    ])
+  })
+
+  it('imports CSV with wishes separated by semicolons', () => {
+    const { rows, error } = parseImport('﻿Username,Display Name,Wishes\nsomchai,Somchai K.,Coffee; A book \nmali,,\n')
+
+    expect(error).toBeNull()
+    expect(rows).toEqual([
+      { id: 'somchai', name: 'Somchai K.', wishes: [{ title: 'Coffee' }, { title: 'A book' }] },
+      { id: 'mali', name: 'mali', wishes: [] },
+    ])
+  })
+
+  it('imports JSON, including an earlier export', () => {
+    const list = parseImport('[{"id": "ann", "name": "Ann", "wishes": ["Tea", {"title": "Mug", "price": 200}]}]')
+    expect(list.rows).toEqual([{ id: 'ann', name: 'Ann', wishes: [{ title: 'Tea' }, { title: 'Mug', price: 200 }] }])
+
+    const exported = exportJson([], [{ id: 'ben', name: 'Ben', wishes: ['Socks'] }])
+    expect(parseImport(exported).rows).toEqual([{ id: 'ben', name: 'Ben', wishes: [{ title: 'Socks' }] }])
+  })
+
+  it('explains files it cannot read', () => {
+    expect(parseImport('  ').error).toBe('Nothing to import')
+    expect(parseImport('[{"id": ').error).toBe('This is not valid JSON')
+    expect(parseImport('{"people": []}').error).toBe('Expected a list of participants')
+    expect(parseImport('name,wishes\nAnn,Tea').error).toBe('The first row needs an "id" (or "username") column')
+  })
+
+  it('flags rows that would not import', () => {
+    const rows = [
+      { id: 'ann', name: 'Ann', wishes: [] },
+      { id: '', name: 'Nobody', wishes: [] },
+      { id: 'ANN', name: 'Ann again', wishes: [] },
+      { id: 'ben', name: 'Ben', wishes: [] },
+      { id: 'cat', name: 'Cat', wishes: [{ title: 'Car', price: 900000 }] },
+    ]
+
+    const problems = reviewImport(rows, [{ id: 'Ben' }], { budget_max: 1000 }).map(r => r.problem)
+    expect(problems).toEqual([null, 'Username missing', 'Listed twice', 'Already in this event', '"Car" is over the budget'])
+  })
+
+  it('generates readable temporary passwords', () => {
+    const password = generatePassword()
+    expect(password).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}-[a-z2-9]{4}$/)
+    expect(password).not.toMatch(/[01ilo]/)
+    expect(generatePassword()).not.toBe(password)
+  })
+
+  it('exports the chain in order and one row per wish', () => {
+    const chain = [
+      { giver: 'Ann', giverId: 'a', receiver: 'Ben', receiverId: 'b', cycle: 0 },
+      { giver: 'Ben', giverId: 'b', receiver: 'Ann', receiverId: 'a', cycle: 0 },
+    ]
+    const people = [
+      { id: 'a', name: 'Ann', wishes: ['Tea', { title: 'Mug', link: 'https://example.com/mug', price: 200 }], gift_status: 'wrapped', gift_received: true },
+      { id: 'b', name: 'Ben', wishes: [], gift_status: null, gift_received: false },
+    ]
+
+    expect(parseCsv(chainCsv(chain, people))).toEqual([
+      ['position', 'loop', 'giver_id', 'giver', 'receiver_id', 'receiver', 'gift_status', 'gift_received'],
+      ['1', '1', 'a', 'Ann', 'b', 'Ben', 'wrapped', 'no'],
+      ['2', '1', 'b', 'Ben', 'a', 'Ann', '', 'yes'],
+    ])
+    expect(parseCsv(wishListsCsv(people))).toEqual([
+      ['id', 'name', 'priority', 'wish', 'link', 'price', 'surprise'],
+      ['a', 'Ann', '1', 'Tea', '', '', ''],
+      ['a', 'Ann', '2', 'Mug', 'https://example.com/mug', '200', ''],
+      ['b', 'Ben'],
+    ])
+  })
+})
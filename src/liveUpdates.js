@@ -0,0 +1,37 @@
+// Transports for live updates. Each has subscribe(eventId, onChange), which
+// calls onChange whenever something in the event may have changed and
+// returns a function that stops listening. Nothing is sent along: callers
+// refetch what they show, so every change still goes through the same
+// permission checks as the first load.
+
+// Asks again every few seconds while the tab is visible, and right away when
+// it becomes visible again. Works everywhere, no server setup needed.
+export const createPollingTransport = ({ intervalMs = 5000 } = {}) => ({
+  subscribe: (eventId, onChange) => {
+    const poll = () => {
+      if (document.visibilityState === 'visible') onChange()
+    }
+    const timer = setInterval(poll, intervalMs)
+    document.addEventListener('visibilitychange', poll)
+
+    return () => {
+      clearInterval(timer)
+      document.removeEventListener('visibilitychange', poll)
+    }
+  }
+})
+
+// Supabase Realtime broadcast: database triggers send an empty 'changed'
+// message to the private topic event:<id> whenever the event's participants
+// or draws change (see the live updates migration), and only members of the
+// event may listen.
+export const createRealtimeTransport = (client) => ({
+  subscribe: (eventId, onChange) => {
+    const channel = client
+      .channel(`event:${eventId}`, { config: { private: true } })
+      .on('broadcast', { event: 'changed' }, () => onChange())
+      .subscribe()
+
+    return () => client.removeChannel(channel)
+  }
+})
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createPollingTransport, createRealtimeTransport } from './liveUpdates'
+
+describe('liveUpdates', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('polls while subscribed and stops afterwards', () => {
+    vi.useFakeTimers()
+    const onChange = vi.fn()
+
+    const unsubscribe = createPollingTransport({ intervalMs: 1000 }).subscribe('ev1', onChange)
+    vi.advanceTimersByTime(3000)
+    expect(onChange).toHaveBeenCalledTimes(3)
+
+    unsubscribe()
+    vi.advanceTimersByTime(3000)
+    expect(onChange).toHaveBeenCalledTimes(3)
+  })
+
+  it('listens to the event topic over Realtime', () => {
+    const handlers = {}
+    const channel = {
+      on: vi.fn((type, filter, handler) => {
+        handlers[filter.event] = handler
+        return channel
+      }),
+      subscribe: vi.fn(() => channel),
+    }
+    const client = { channel: vi.fn(() => channel), removeChannel: vi.fn() }
+    const onChange = vi.fn()
+
+    const unsubscribe = createRealtimeTransport(client).subscribe('ev1', onChange)
+    expect(client.channel).toHaveBeenCalledWith('event:ev1', { config: { private: true } })
+
+    handlers.changed({ payload: { table: 'participants' } })
+    expect(onChange).toHaveBeenCalledTimes(1)
+
+    unsubscribe()
+    expect(client.removeChannel).toHaveBeenCalledWith(channel)
+  })
+})
@@ -0,0 +1,362 @@
+// English texts. th.js has the same keys; see i18n.js for how they are used.
+export default {
+  language: {
+    label: 'Language'
+  },
+
+  app: {
+    defaultTitle: "LP5 New Year's Party",
+    tagline: 'The fun is about to begin',
+    loading: 'Loading...',
+    offlineMode: 'Offline mode: everything is saved in this browser only.',
+    giftBudget: 'Gift budget: {budget}',
+    sessionEnded: 'Your session has ended. Please log in again.',
+    welcome: 'Welcome!',
+    welcomeName: 'Welcome, {name}!',
+    noEvents: 'You are not part of any event yet. Join one with an invite code, or start your own.',
+    logout: 'Logout',
+    logoutEverywhere: 'Log out everywhere'
+  },
+
+  login: {
+    title: 'Login',
+    joinTitle: 'Join the Lottery',
+    user: 'User',
+    userPlaceholder: 'Enter user',
+    displayName: 'Display Name',
+    namePlaceholder: 'Enter your name',
+    password: 'Password',
+    passwordPlaceholder: 'Enter password',
+    inviteCode: 'Invite Code',
+    inviteCodePlaceholder: 'Optional, from your invite link',
+    submit: 'Login',
+    submitJoin: 'Join',
+    processing: 'Processing...',
+    noAccount: "Don't have an account? ",
+    alreadyJoined: 'Already joined? ',
+    joinNow: 'Join now',
+    loginHere: 'Login here',
+    missingCredentials: 'Please enter username and password',
+    missingFields: 'Please fill in all fields'
+  },
+
+  events: {
+    event: 'Event',
+    inviteLine: 'Invite code: {code} · {link}',
+    joinOrStart: 'Join or start another event',
+    inviteCode: 'Invite code',
+    inviteCodePlaceholder: 'e.g. ABCD2345',
+    join: 'Join Event',
+    newEventName: 'New event name',
+    newEventPlaceholder: 'e.g. Family exchange',
+    takePart: 'I take part in the draw too',
+    create: 'Create Event',
+    enterCode: 'Enter an invite code',
+    enterName: 'Enter a name for the event',
+    joinError: 'Error joining event: {message}',
+    createError: 'Error creating event: {message}'
+  },
+
+  wishes: {
+    title: 'My Wish List',
+    edit: 'Edit Wishes',
+    empty: '(No wishes yet)',
+    surpriseMe: '🎁 Surprise me',
+    about: 'about {price}',
+    link: 'Link',
+    updateError: 'Error updating wishes: {message}'
+  },
+
+  wishEditor: {
+    hint: 'Most wanted first. Links and prices are optional.',
+    wish: 'Wish {n}',
+    wishPlaceholder: 'What would you like?',
+    surprisePlaceholder: 'Optional hint, e.g. something for the kitchen',
+    link: 'Link for wish {n}',
+    linkPlaceholder: 'Link (optional)',
+    price: 'Price for wish {n}',
+    pricePlaceholder: 'Approximate price (optional)',
+    overBudget: 'Over the budget of {budget}',
+    surprise: 'Surprise me / no preference',
+    moveUp: 'Move wish {n} up',
+    moveDown: 'Move wish {n} down',
+    remove: 'Remove wish {n}',
+    add: 'Add Wish',
+    save: 'Save Wishes',
+    cancel: 'Cancel'
+  },
+
+  budget: {
+    range: '{min}–{max}',
+    upTo: 'up to {max}',
+    atLeast: 'at least {min}',
+    title: 'Gift Budget ({currency})',
+    currently: 'Currently {budget}.',
+    none: 'No budget set yet.',
+    lowest: 'Lowest budget',
+    lowestPlaceholder: 'From',
+    highest: 'Highest budget',
+    highestPlaceholder: 'Up to',
+    save: 'Save Budget',
+    saveError: 'Error saving the budget: {message}'
+  },
+
+  lottery: {
+    waiting: 'Waiting for everyone to join...',
+    participantCount: 'Current participants: {count}',
+    organizer: ' (organizer)',
+    organizerNotDrawing: ' (organizer, not drawing)',
+    singleLoop: 'Single loop (everyone in one A → B → … → A chain)',
+    drawing: 'Drawing...',
+    startDraw: 'Start Lottery Draw',
+    waitingForAdmin: 'Waiting for admin to start the draw...',
+    onlyAdmin: 'Only admin can start the draw',
+    notEnough: "Need at least 2 eligible participants (excluding organizers who don't take part) to draw",
+    exclusionsError: 'Error loading exclusions: {message}',
+    notSaved: 'The draw was not saved: {message}.',
+    previousKept: 'The previous draw is still in place.',
+    registrationOpen: 'No assignments were changed and registration is still open.',
+    drawn: 'The lottery has been drawn!',
+    adminControl: 'Admin Control:',
+    someRevealed: 'Some names have been revealed. The rest are still hidden.',
+    namesHidden: 'Names are currently hidden.',
+    stepByStepHint: 'To reveal them one at a time on stage, use the step-by-step reveal under "View Gift Exchange Chain".',
+    revealAll: 'Reveal All Names to Participants',
+    revealError: 'Error revealing names: {message}',
+    viewChain: 'View Gift Exchange Chain',
+    assignmentChanged: 'Your assignment has changed.',
+    assignmentChangedBody: 'Someone joined or left after the draw, and you now buy for someone else. The person you had before is taken care of.',
+    gotIt: 'Got it',
+    seeAssignment: 'See who you need to buy for',
+    buyFor: 'You need to buy a gift for someone who wants:',
+    nameRevealed: 'The name is revealed!',
+    itsName: "It's {name}!",
+    nameHidden: 'Name is hidden!',
+    revealsOn: 'Names will be revealed on {date}.',
+    waitForReveal: 'Wait for the admin to reveal the names on the lottery day.'
+  },
+
+  roles: {
+    title: 'Organizers',
+    you: ' (you)',
+    alsoTakesPart: 'Also takes part in the draw',
+    remove: 'Remove organizer',
+    make: 'Make organizer',
+    error: 'Error updating role: {message}'
+  },
+
+  exclusions: {
+    title: 'Draw Exclusions',
+    none: 'No exclusions yet. Anyone can draw anyone.',
+    removeLabel: 'Remove exclusion {giver} and {excluded}',
+    remove: 'Remove',
+    person: 'Person',
+    mustNotDraw: 'Must not draw',
+    choose: 'Choose...',
+    bothWays: 'Both ways (e.g. couples)',
+    add: 'Add Exclusion',
+    pickBoth: 'Pick both people',
+    pickDifferent: 'Pick two different people',
+    exists: 'That rule already exists',
+    saveError: 'Error saving exclusion: {message}',
+    removeError: 'Error removing exclusion: {message}'
+  },
+
+  reset: {
+    confirmReset: 'Reset the draw?',
+    resetBody: "Everyone's assignment will be cleared.",
+    resetBodyRevealed: "Everyone's assignment will be cleared, including the names that were already revealed.",
+    undoHint: 'You can undo this afterwards with "Restore Previous Draw".',
+    clear: 'Clear Draw and Reopen Registration',
+    redraw: 'Re-draw Now',
+    cancel: 'Cancel',
+    confirmRestore: 'Restore the draw from {date}?',
+    restoreBody: 'Everyone gets back the assignment they had then.',
+    restoreKeepsCurrent: 'The current draw is kept, so you can switch back to it the same way.',
+    restoreLateJoiners: 'Anyone who joined after it has no one to buy for until you draw again.',
+    restore: 'Restore Previous Draw',
+    resetButton: 'Reset Draw...',
+    restoreButton: 'Restore Previous Draw...',
+    resetError: 'Error resetting the draw: {message}',
+    restoreError: 'Error restoring the draw: {message}'
+  },
+
+  lateJoiners: {
+    title: 'Joined after the draw',
+    hint: "Nobody buys for them yet. Adding someone changes one other person's assignment, and only that person is told.",
+    adding: 'Adding...',
+    add: 'Add to Draw',
+    error: 'Error adding to the draw: {message}'
+  },
+
+  repair: {
+    title: 'Withdrawals',
+    confirmRemove: 'Remove {name} from the event?',
+    confirmRepair: 'Repair the chain?',
+    willChange: '{names} will get a new person to buy for. Nobody else is affected.',
+    nobodyAffected: 'Nobody else is affected.',
+    removeAndRepair: 'Remove and Repair',
+    repairChain: 'Repair Chain',
+    cancel: 'Cancel',
+    withdrawLabel: 'Participant to withdraw',
+    chooseWithdraw: 'Choose who drops out...',
+    withdraw: 'Withdraw...',
+    repair: 'Repair Chain...',
+    removed: '{name} was removed.',
+    repaired: 'The chain was repaired.',
+    tell: 'Please tell {names} that their assignment changed (they also see a notice in the app).',
+    nobodyToTell: 'Nobody else needs to be told.',
+    error: 'Error changing the draw: {message}'
+  },
+
+  audit: {
+    title: 'Draw Audit',
+    drawn: 'Drawn: {date} · {loops} · {count} participants',
+    singleLoop: 'Single loop',
+    anyLoops: 'Any loops',
+    seed: 'Seed: {seed}',
+    participantsHash: 'Participant list hash: {hash}',
+    commitment: 'Commitment: {commitment}',
+    changed: 'Changed after the draw: {changes}',
+    left: '{name} left ({links})',
+    repaired: 'repaired ({links})',
+    verifying: 'Verifying...',
+    verify: 'Re-run and Verify Draw',
+    verified: '✔ Verified: re-running the seed gives the saved result.',
+    failed: 'Verification failed:'
+  },
+
+  commitment: {
+    commitment: 'Draw commitment: {commitment}',
+    seed: 'Seed: {seed}'
+  },
+
+  countdown: {
+    days_one: '{count} day {clock}',
+    days_other: '{count} days {clock}',
+    revealing: 'Revealing...'
+  },
+
+  schedule: {
+    scheduledOn: 'Names will be revealed automatically on {date}.',
+    cancel: 'Cancel Schedule',
+    revealAt: 'Or reveal automatically at:',
+    dateLabel: 'Reveal date and time',
+    schedule: 'Schedule Reveal',
+    error: 'Error scheduling the reveal: {message}'
+  },
+
+  gift: {
+    status: {
+      none: 'Not started',
+      planned: 'Planned',
+      purchased: 'Purchased',
+      wrapped: 'Wrapped'
+    },
+    myGift: 'My gift:',
+    received: '🎉 You confirmed you got your gift.',
+    confirm: 'I Got My Gift',
+    saveError: 'Error saving gift progress: {message}',
+    confirmError: 'Error confirming your gift: {message}'
+  },
+
+  readiness: {
+    title: 'Gift Readiness',
+    count: '{status}: {count}',
+    stillToBuy: 'Still to buy: {names}',
+    everyoneBought: 'Everyone has bought their gift.',
+    received: 'Gifts received: {received} of {total}'
+  },
+
+  messages: {
+    questionsFor: 'Questions for {name}',
+    askTitle: 'Ask the person you buy for',
+    givingRevealedHint: 'They can see it was you now that the names are revealed.',
+    givingHint: "Not sure what a wish means? Ask here. They won't know it's you until the names are revealed.",
+    questionLabel: 'Question for the person you buy for',
+    questionsFrom: 'Questions from {name}',
+    fromSantaTitle: 'Questions from your Secret Santa',
+    receivingAnsweredHint: 'Your answers only go to them.',
+    receivingHint: 'Whoever buys for you can ask about your wishes here.',
+    answerLabel: 'Answer to your Secret Santa',
+    send: 'Send',
+    sendError: 'Error sending message: {message}'
+  },
+
+  chain: {
+    title: 'Gift Exchange Chain',
+    back: 'Back to Main',
+    none: 'No draw results available yet.',
+    broken: 'The chain is broken:',
+    unreceived: 'Nobody buys for {name}',
+    dangling: '{name} has nobody to buy for',
+    useRepair: 'Use "Repair Chain" below to fix it.',
+    loops: 'This draw has {count} separate loops. The reveal will jump to a new group where marked.',
+    start: 'Start Reveal',
+    revealReceiver: 'Reveal Receiver',
+    nextGiver: 'Next Giver',
+    presenterMode: 'Presenter Mode',
+    loopBoundary: '↺ Loop {closed} closed · Loop {next} starts',
+    changed: ' (changed after the draw)',
+    nobody: '⚠ nobody',
+    allRevealed: 'All pairs revealed! 🎉',
+    revealError: "Error revealing {name}'s name: {message}"
+  },
+
+  presenter: {
+    label: 'Presenter mode',
+    title: '🎁 Gift Exchange',
+    position: '{n} of {total}',
+    pressToStart: 'Press → or the clicker to start',
+    allRevealed: ' · All pairs revealed! 🎉',
+    previous: 'Previous',
+    jumpTo: 'Jump to',
+    jumpToPlaceholder: 'Jump to...',
+    next: 'Next',
+    exit: 'Exit'
+  },
+
+  effects: {
+    title: 'Reveal effects',
+    spin: 'Spin the names',
+    speed: 'Speed',
+    slow: 'Slow',
+    normal: 'Normal',
+    fast: 'Fast',
+    sound: 'Sound',
+    confetti: 'Confetti at the end',
+    reducedMotion: 'This device asks for reduced motion, so names appear without spinning and there is no confetti.'
+  },
+
+  import: {
+    title: 'Import Participants',
+    hint: 'CSV with the columns id, name and wishes (separated by ;), or JSON. An exported JSON file from an earlier year works too.',
+    file: 'Participant file',
+    text: 'Participants to import',
+    check: 'Check',
+    username: 'Username',
+    name: 'Name',
+    wishes: 'Wishes',
+    skipped: 'Rows with a problem are skipped.',
+    importing: 'Importing...',
+    import_one: 'Import {count} Participant',
+    import_other: 'Import {count} Participants',
+    passwords: 'Temporary passwords',
+    passwordsHint: ' — shown only now, so save or hand them out privately:',
+    download: 'Download Passwords (CSV)',
+    taken_one: '{count} username was already taken and not imported. If that is someone with an account, send them the invite code {code} to join themselves.',
+    taken_other: '{count} usernames were already taken and not imported. If they are people with an account, send them the invite code {code} to join themselves.',
+    error: 'Error importing participants: {message}'
+  },
+
+  export: {
+    title: 'Export',
+    chain: 'Chain (CSV)',
+    wishLists: 'Wish Lists (CSV)',
+    everything: 'Everything (JSON)',
+    error: 'Error exporting: {message}'
+  },
+
+  // English messages are shown as they are
+  errors: {}
+}
@@ -0,0 +1,467 @@
+// Thai texts, with the same keys as en.js. Thai has no plural forms, so the
+// _one/_other keys are only in en.js.
+export default {
+  language: {
+    label: 'ภาษา'
+  },
+
+  app: {
+    defaultTitle: 'ปาร์ตี้ปีใหม่ LP5',
+    tagline: 'ความสนุกกำลังจะเกิดขึ้น',
+    loading: 'กำลังโหลด...',
+    offlineMode: 'โหมดออฟไลน์: ข้อมูลทั้งหมดบันทึกไว้ในเบราว์เซอร์นี้เท่านั้น',
+    giftBudget: 'งบของขวัญ: {budget}',
+    sessionEnded: 'เซสชันของคุณหมดอายุแล้ว กรุณาเข้าสู่ระบบอีกครั้ง',
+    welcome: 'ยินดีต้อนรับ!',
+    welcomeName: 'ยินดีต้อนรับ {name}!',
+    noEvents: 'คุณยังไม่ได้อยู่ในกิจกรรมใดเลย เข้าร่วมด้วยรหัสเชิญ หรือสร้างกิจกรรมของคุณเอง',
+    logout: 'ออกจากระบบ',
+    logoutEverywhere: 'ออกจากระบบทุกอุปกรณ์'
+  },
+
+  login: {
+    title: 'เข้าสู่ระบบ',
+    joinTitle: 'เข้าร่วมจับฉลาก',
+    user: 'ชื่อผู้ใช้',
+    userPlaceholder: 'กรอกชื่อผู้ใช้',
+    displayName: 'ชื่อที่แสดง',
+    namePlaceholder: 'กรอกชื่อของคุณ',
+    password: 'รหัสผ่าน',
+    passwordPlaceholder: 'กรอกรหัสผ่าน',
+    inviteCode: 'รหัสเชิญ',
+    inviteCodePlaceholder: 'ไม่บังคับ จากลิงก์เชิญของคุณ',
+    submit: 'เข้าสู่ระบบ',
+    submitJoin: 'เข้าร่วม',
+    processing: 'กำลังดำเนินการ...',
+    noAccount: 'ยังไม่มีบัญชี? ',
+    alreadyJoined: 'เข้าร่วมแล้ว? ',
+    joinNow: 'เข้าร่วมเลย',
+    loginHere: 'เข้าสู่ระบบที่นี่',
+    missingCredentials: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน',
+    missingFields: 'กรุณากรอกข้อมูลให้ครบทุกช่อง'
+  },
+
+  events: {
+    event: 'กิจกรรม',
+    inviteLine: 'รหัสเชิญ: {code} · {link}',
+    joinOrStart: 'เข้าร่วมหรือสร้างกิจกรรมอื่น',
+    inviteCode: 'รหัสเชิญ',
+    inviteCodePlaceholder: 'เช่น ABCD2345',
+    join: 'เข้าร่วมกิจกรรม',
+    newEventName: 'ชื่อกิจกรรมใหม่',
+    newEventPlaceholder: 'เช่น แลกของขวัญในครอบครัว',
+    takePart: 'ฉันร่วมจับฉลากด้วย',
+    create: 'สร้างกิจกรรม',
+    enterCode: 'กรุณากรอกรหัสเชิญ',
+    enterName: 'กรุณาตั้งชื่อกิจกรรม',
+    joinError: 'เข้าร่วมกิจกรรมไม่สำเร็จ: {message}',
+    createError: 'สร้างกิจกรรมไม่สำเร็จ: {message}'
+  },
+
+  wishes: {
+    title: 'รายการของที่อยากได้',
+    edit: 'แก้ไขรายการ',
+    empty: '(ยังไม่มีรายการ)',
+    surpriseMe: '🎁 เซอร์ไพรส์ฉัน',
+    about: 'ประมาณ {price}',
+    link: 'ลิงก์',
+    updateError: 'บันทึกรายการไม่สำเร็จ: {message}'
+  },
+
+  wishEditor: {
+    hint: 'ของที่อยากได้ที่สุดไว้บนสุด ลิงก์และราคาไม่บังคับ',
+    wish: 'รายการที่ {n}',
+    wishPlaceholder: 'อยากได้อะไร?',
+    surprisePlaceholder: 'คำใบ้ (ไม่บังคับ) เช่น ของใช้ในครัว',
+    link: 'ลิงก์ของรายการที่ {n}',
+    linkPlaceholder: 'ลิงก์ (ไม่บังคับ)',
+    price: 'ราคาของรายการที่ {n}',
+    pricePlaceholder: 'ราคาโดยประมาณ (ไม่บังคับ)',
+    overBudget: 'เกินงบ {budget}',
+    surprise: 'เซอร์ไพรส์ฉัน / อะไรก็ได้',
+    moveUp: 'เลื่อนรายการที่ {n} ขึ้น',
+    moveDown: 'เลื่อนรายการที่ {n} ลง',
+    remove: 'ลบรายการที่ {n}',
+    add: 'เพิ่มรายการ',
+    save: 'บันทึกรายการ',
+    cancel: 'ยกเลิก'
+  },
+
+  budget: {
+    range: '{min}–{max}',
+    upTo: 'ไม่เกิน {max}',
+    atLeast: 'อย่างน้อย {min}',
+    title: 'งบของขวัญ ({currency})',
+    currently: 'ตอนนี้ {budget}',
+    none: 'ยังไม่ได้กำหนดงบ',
+    lowest: 'งบต่ำสุด',
+    lowestPlaceholder: 'ตั้งแต่',
+    highest: 'งบสูงสุด',
+    highestPlaceholder: 'ไม่เกิน',
+    save: 'บันทึกงบ',
+    saveError: 'บันทึกงบไม่สำเร็จ: {message}'
+  },
+
+  lottery: {
+    waiting: 'กำลังรอทุกคนเข้าร่วม...',
+    participantCount: 'ผู้เข้าร่วมตอนนี้: {count} คน',
+    organizer: ' (ผู้จัด)',
+    organizerNotDrawing: ' (ผู้จัด ไม่ร่วมจับฉลาก)',
+    singleLoop: 'วงเดียว (ทุกคนต่อกันเป็นวงเดียว A → B → … → A)',
+    drawing: 'กำลังจับฉลาก...',
+    startDraw: 'เริ่มจับฉลาก',
+    waitingForAdmin: 'กำลังรอผู้จัดเริ่มจับฉลาก...',
+    onlyAdmin: 'เฉพาะผู้จัดเท่านั้นที่เริ่มจับฉลากได้',
+    notEnough: 'ต้องมีผู้ร่วมจับฉลากอย่างน้อย 2 คน (ไม่นับผู้จัดที่ไม่ร่วมจับฉลาก)',
+    exclusionsError: 'โหลดข้อยกเว้นไม่สำเร็จ: {message}',
+    notSaved: 'ผลการจับฉลากไม่ได้ถูกบันทึก: {message}',
+    previousKept: 'ผลการจับฉลากครั้งก่อนยังคงอยู่',
+    registrationOpen: 'ไม่มีการเปลี่ยนแปลงใด ๆ และยังเปิดรับผู้เข้าร่วมอยู่',
+    drawn: 'จับฉลากเรียบร้อยแล้ว!',
+    adminControl: 'สำหรับผู้จัด:',
+    someRevealed: 'เปิดเผยชื่อไปแล้วบางส่วน ที่เหลือยังซ่อนอยู่',
+    namesHidden: 'ตอนนี้ชื่อยังถูกซ่อนอยู่',
+    stepByStepHint: 'หากต้องการเปิดทีละคนบนเวที ให้ใช้การเปิดเผยทีละขั้นใน "ดูสายการแลกของขวัญ"',
+    revealAll: 'เปิดเผยชื่อให้ทุกคน',
+    revealError: 'เปิดเผยชื่อไม่สำเร็จ: {message}',
+    viewChain: 'ดูสายการแลกของขวัญ',
+    assignmentChanged: 'คนที่คุณต้องซื้อของขวัญให้เปลี่ยนไปแล้ว',
+    assignmentChangedBody: 'มีคนเข้าร่วมหรือออกหลังจับฉลาก ตอนนี้คุณต้องซื้อให้คนอื่นแทน ส่วนคนเดิมมีคนดูแลแล้ว',
+    gotIt: 'รับทราบ',
+    seeAssignment: 'ดูว่าคุณต้องซื้อของขวัญให้ใคร',
+    buyFor: 'คุณต้องซื้อของขวัญให้คนที่อยากได้:',
+    nameRevealed: 'เปิดเผยชื่อแล้ว!',
+    itsName: 'คือ {name}!',
+    nameHidden: 'ชื่อยังถูกซ่อนอยู่!',
+    revealsOn: 'จะเปิดเผยชื่อในวันที่ {date}',
+    waitForReveal: 'รอผู้จัดเปิดเผยชื่อในวันจับฉลาก'
+  },
+
+  roles: {
+    title: 'ผู้จัด',
+    you: ' (คุณ)',
+    alsoTakesPart: 'ร่วมจับฉลากด้วย',
+    remove: 'เลิกเป็นผู้จัด',
+    make: 'ตั้งเป็นผู้จัด',
+    error: 'เปลี่ยนบทบาทไม่สำเร็จ: {message}'
+  },
+
+  exclusions: {
+    title: 'ข้อยกเว้นในการจับฉลาก',
+    none: 'ยังไม่มีข้อยกเว้น ทุกคนจับได้ทุกคน',
+    removeLabel: 'ลบข้อยกเว้นระหว่าง {giver} และ {excluded}',
+    remove: 'ลบ',
+    person: 'คนนี้',
+    mustNotDraw: 'ต้องไม่จับได้',
+    choose: 'เลือก...',
+    bothWays: 'ทั้งสองทาง (เช่น คู่รัก)',
+    add: 'เพิ่มข้อยกเว้น',
+    pickBoth: 'กรุณาเลือกทั้งสองคน',
+    pickDifferent: 'กรุณาเลือกสองคนที่ต่างกัน',
+    exists: 'มีข้อยกเว้นนี้อยู่แล้ว',
+    saveError: 'บันทึกข้อยกเว้นไม่สำเร็จ: {message}',
+    removeError: 'ลบข้อยกเว้นไม่สำเร็จ: {message}'
+  },
+
+  reset: {
+    confirmReset: 'รีเซ็ตการจับฉลาก?',
+    resetBody: 'ผลการจับฉลากของทุกคนจะถูกล้าง',
+    resetBodyRevealed: 'ผลการจับฉลากของทุกคนจะถูกล้าง รวมถึงชื่อที่เปิดเผยไปแล้ว',
+    undoHint: 'คุณย้อนกลับได้ภายหลังด้วย "กู้คืนผลครั้งก่อน"',
+    clear: 'ล้างผลและเปิดรับผู้เข้าร่วมอีกครั้ง',
+    redraw: 'จับฉลากใหม่เลย',
+    cancel: 'ยกเลิก',
+    confirmRestore: 'กู้คืนผลการจับฉลากเมื่อ {date}?',
+    restoreBody: 'ทุกคนจะได้คนที่ต้องซื้อของขวัญให้เหมือนตอนนั้น',
+    restoreKeepsCurrent: 'ผลปัจจุบันจะถูกเก็บไว้ จึงสลับกลับได้ด้วยวิธีเดียวกัน',
+    restoreLateJoiners: 'คนที่เข้าร่วมหลังจากนั้นจะยังไม่มีคนให้ซื้อของขวัญจนกว่าจะจับฉลากใหม่',
+    restore: 'กู้คืนผลครั้งก่อน',
+    resetButton: 'รีเซ็ตการจับฉลาก...',
+    restoreButton: 'กู้คืนผลครั้งก่อน...',
+    resetError: 'รีเซ็ตการจับฉลากไม่สำเร็จ: {message}',
+    restoreError: 'กู้คืนผลการจับฉลากไม่สำเร็จ: {message}'
+  },
+
+  lateJoiners: {
+    title: 'เข้าร่วมหลังจับฉลาก',
+    hint: 'ยังไม่มีใครซื้อของขวัญให้คนเหล่านี้ การเพิ่มหนึ่งคนจะเปลี่ยนคู่ของอีกคนเดียว และจะแจ้งเฉพาะคนนั้น',
+    adding: 'กำลังเพิ่ม...',
+    add: 'เพิ่มเข้าการจับฉลาก',
+    error: 'เพิ่มเข้าการจับฉลากไม่สำเร็จ: {message}'
+  },
+
+  repair: {
+    title: 'การถอนตัว',
+    confirmRemove: 'นำ {name} ออกจากกิจกรรม?',
+    confirmRepair: 'ซ่อมสายการแลกของขวัญ?',
+    willChange: '{names} จะได้คนใหม่ที่ต้องซื้อของขวัญให้ คนอื่นไม่ได้รับผลกระทบ',
+    nobodyAffected: 'ไม่มีใครได้รับผลกระทบ',
+    removeAndRepair: 'นำออกและซ่อมสาย',
+    repairChain: 'ซ่อมสาย',
+    cancel: 'ยกเลิก',
+    withdrawLabel: 'ผู้เข้าร่วมที่จะถอนตัว',
+    chooseWithdraw: 'เลือกคนที่ถอนตัว...',
+    withdraw: 'ถอนตัว...',
+    repair: 'ซ่อมสาย...',
+    removed: 'นำ {name} ออกแล้ว',
+    repaired: 'ซ่อมสายเรียบร้อยแล้ว',
+    tell: 'กรุณาแจ้ง {names} ว่าคนที่ต้องซื้อของขวัญให้เปลี่ยนไปแล้ว (พวกเขาจะเห็นข้อความแจ้งในแอปด้วย)',
+    nobodyToTell: 'ไม่ต้องแจ้งใครเพิ่ม',
+    error: 'เปลี่ยนผลการจับฉลากไม่สำเร็จ: {message}'
+  },
+
+  audit: {
+    title: 'ตรวจสอบการจับฉลาก',
+    drawn: 'จับฉลากเมื่อ: {date} · {loops} · ผู้เข้าร่วม {count} คน',
+    singleLoop: 'วงเดียว',
+    anyLoops: 'กี่วงก็ได้',
+    seed: 'Seed: {seed}',
+    participantsHash: 'แฮชรายชื่อผู้เข้าร่วม: {hash}',
+    commitment: 'Commitment: {commitment}',
+    changed: 'เปลี่ยนหลังจับฉลาก: {changes}',
+    left: '{name} ออก ({links})',
+    repaired: 'ซ่อมแล้ว ({links})',
+    verifying: 'กำลังตรวจสอบ...',
+    verify: 'จับใหม่จาก seed และตรวจสอบ',
+    verified: '✔ ตรวจสอบแล้ว: จับใหม่จาก seed ได้ผลตรงกับที่บันทึกไว้',
+    failed: 'ตรวจสอบไม่ผ่าน:'
+  },
+
+  commitment: {
+    commitment: 'Commitment ของการจับฉลาก: {commitment}',
+    seed: 'Seed: {seed}'
+  },
+
+  countdown: {
+    days: '{count} วัน {clock}',
+    revealing: 'กำลังเปิดเผย...'
+  },
+
+  schedule: {
+    scheduledOn: 'จะเปิดเผยชื่ออัตโนมัติในวันที่ {date}',
+    cancel: 'ยกเลิกกำหนดการ',
+    revealAt: 'หรือเปิดเผยอัตโนมัติเมื่อ:',
+    dateLabel: 'วันและเวลาที่จะเปิดเผย',
+    schedule: 'ตั้งเวลาเปิดเผย',
+    error: 'ตั้งเวลาเปิดเผยไม่สำเร็จ: {message}'
+  },
+
+  gift: {
+    status: {
+      none: 'ยังไม่เริ่ม',
+      planned: 'วางแผนแล้ว',
+      purchased: 'ซื้อแล้ว',
+      wrapped: 'ห่อแล้ว'
+    },
+    myGift: 'ของขวัญของฉัน:',
+    received: '🎉 คุณยืนยันแล้วว่าได้รับของขวัญ',
+    confirm: 'ฉันได้รับของขวัญแล้ว',
+    saveError: 'บันทึกความคืบหน้าไม่สำเร็จ: {message}',
+    confirmError: 'ยืนยันการรับของขวัญไม่สำเร็จ: {message}'
+  },
+
+  readiness: {
+    title: 'ความพร้อมของของขวัญ',
+    count: '{status}: {count}',
+    stillToBuy: 'ยังไม่ได้ซื้อ: {names}',
+    everyoneBought: 'ทุกคนซื้อของขวัญแล้ว',
+    received: 'ได้รับของขวัญแล้ว: {received} จาก {total}'
+  },
+
+  messages: {
+    questionsFor: 'คำถามถึง {name}',
+    askTitle: 'ถามคนที่คุณซื้อของขวัญให้',
+    givingRevealedHint: 'ตอนนี้เปิดเผยชื่อแล้ว เขาจึงเห็นว่าเป็นคุณ',
+    givingHint: 'ไม่แน่ใจว่ารายการหมายถึงอะไร? ถามที่นี่ได้ เขาจะไม่รู้ว่าเป็นคุณจนกว่าจะเปิดเผยชื่อ',
+    questionLabel: 'คำถามถึงคนที่คุณซื้อของขวัญให้',
+    questionsFrom: 'คำถามจาก {name}',
+    fromSantaTitle: 'คำถามจาก Secret Santa ของคุณ',
+    receivingAnsweredHint: 'คำตอบของคุณส่งถึงเขาคนเดียว',
+    receivingHint: 'คนที่ซื้อของขวัญให้คุณถามเกี่ยวกับรายการของคุณได้ที่นี่',
+    answerLabel: 'คำตอบถึง Secret Santa ของคุณ',
+    send: 'ส่ง',
+    sendError: 'ส่งข้อความไม่สำเร็จ: {message}'
+  },
+
+  chain: {
+    title: 'สายการแลกของขวัญ',
+    back: 'กลับหน้าหลัก',
+    none: 'ยังไม่มีผลการจับฉลาก',
+    broken: 'สายการแลกของขวัญขาด:',
+    unreceived: 'ไม่มีใครซื้อของขวัญให้ {name}',
+    dangling: '{name} ไม่มีคนให้ซื้อของขวัญ',
+    useRepair: 'ใช้ "ซ่อมสาย" ด้านล่างเพื่อแก้ไข',
+    loops: 'การจับฉลากนี้มี {count} วงแยกกัน การเปิดเผยจะข้ามไปกลุ่มใหม่ตรงที่มีเครื่องหมาย',
+    start: 'เริ่มเปิดเผย',
+    revealReceiver: 'เปิดเผยผู้รับ',
+    nextGiver: 'ผู้ให้คนถัดไป',
+    presenterMode: 'โหมดนำเสนอ',
+    loopBoundary: '↺ วงที่ {closed} ครบแล้ว · เริ่มวงที่ {next}',
+    changed: ' (เปลี่ยนหลังจับฉลาก)',
+    nobody: '⚠ ไม่มีใคร',
+    allRevealed: 'เปิดเผยครบทุกคู่แล้ว! 🎉',
+    revealError: 'เปิดเผยชื่อของ {name} ไม่สำเร็จ: {message}'
+  },
+
+  presenter: {
+    label: 'โหมดนำเสนอ',
+    title: '🎁 แลกของขวัญ',
+    position: '{n} จาก {total}',
+    pressToStart: 'กด → หรือรีโมตเพื่อเริ่ม',
+    allRevealed: ' · เปิดเผยครบทุกคู่แล้ว! 🎉',
+    previous: 'ก่อนหน้า',
+    jumpTo: 'ข้ามไปที่',
+    jumpToPlaceholder: 'ข้ามไปที่...',
+    next: 'ถัดไป',
+    exit: 'ออก'
+  },
+
+  effects: {
+    title: 'เอฟเฟกต์การเปิดเผย',
+    spin: 'หมุนรายชื่อ',
+    speed: 'ความเร็ว',
+    slow: 'ช้า',
+    normal: 'ปกติ',
+    fast: 'เร็ว',
+    sound: 'เสียง',
+    confetti: 'โปรยกระดาษตอนจบ',
+    reducedMotion: 'อุปกรณ์นี้ตั้งค่าลดการเคลื่อนไหวไว้ ชื่อจึงแสดงโดยไม่หมุนและไม่มีการโปรยกระดาษ'
+  },
+
+  import: {
+    title: 'นำเข้าผู้เข้าร่วม',
+    hint: 'CSV ที่มีคอลัมน์ id, name และ wishes (คั่นด้วย ;) หรือ JSON ใช้ไฟล์ JSON ที่ส่งออกจากปีก่อนได้ด้วย',
+    file: 'ไฟล์ผู้เข้าร่วม',
+    text: 'ผู้เข้าร่วมที่จะนำเข้า',
+    check: 'ตรวจสอบ',
+    username: 'ชื่อผู้ใช้',
+    name: 'ชื่อ',
+    wishes: 'รายการ',
+    skipped: 'แถวที่มีปัญหาจะถูกข้าม',
+    importing: 'กำลังนำเข้า...',
+    import: 'นำเข้าผู้เข้าร่วม {count} คน',
+    passwords: 'รหัสผ่านชั่วคราว',
+    passwordsHint: ' — แสดงเฉพาะตอนนี้ กรุณาบันทึกไว้หรือแจกให้แต่ละคนเป็นการส่วนตัว:',
+    download: 'ดาวน์โหลดรหัสผ่าน (CSV)',
+    taken_one: '{count} ชื่อผู้ใช้มีคนใช้แล้ว จึงไม่ได้นำเข้า หากเป็นคนที่มีบัญชีอยู่แล้ว ให้ส่งรหัสเชิญ {code} เพื่อให้เข้าร่วมเอง',
+    taken_other: '{count} ชื่อผู้ใช้มีคนใช้แล้ว จึงไม่ได้นำเข้า หากเป็นคนที่มีบัญชีอยู่แล้ว ให้ส่งรหัสเชิญ {code} เพื่อให้เข้าร่วมเอง',
+    error: 'นำเข้าผู้เข้าร่วมไม่สำเร็จ: {message}'
+  },
+
+  export: {
+    title: 'ส่งออก',
+    chain: 'สายการแลก (CSV)',
+    wishLists: 'รายการของที่อยากได้ (CSV)',
+    everything: 'ทั้งหมด (JSON)',
+    error: 'ส่งออกไม่สำเร็จ: {message}'
+  },
+
+  // Messages from the backends and the pure modules, see translateError() in
+  // i18n.js. The {placeholders} are filled in from the English message.
+  errors: {
+    // Accounts and events
+    'User not found': 'ไม่พบผู้ใช้นี้',
+    'Invalid password': 'รหัสผ่านไม่ถูกต้อง',
+    'This account has no password. Ask an admin to reset it': 'บัญชีนี้ยังไม่มีรหัสผ่าน กรุณาให้ผู้ดูแลตั้งรหัสผ่านใหม่',
+    'Username already taken': 'ชื่อผู้ใช้นี้ถูกใช้แล้ว',
+    'Account claim is invalid or has expired': 'คำขอยืนยันบัญชีไม่ถูกต้องหรือหมดอายุแล้ว',
+    'Not logged in': 'ยังไม่ได้เข้าสู่ระบบ',
+    'Unknown language': 'ไม่รู้จักภาษานี้',
+    'Event name is required': 'ต้องระบุชื่อกิจกรรม',
+    'No event with that invite code': 'ไม่มีกิจกรรมที่ใช้รหัสเชิญนี้',
+    'You are not part of this event': 'คุณไม่ได้อยู่ในกิจกรรมนี้',
+    'There must be at least one admin': 'ต้องมีผู้จัดอย่างน้อยหนึ่งคน',
+
+    // Admin only
+    'Only admins can change roles': 'เฉพาะผู้จัดเท่านั้นที่เปลี่ยนบทบาทได้',
+    'Only admins can change the budget': 'เฉพาะผู้จัดเท่านั้นที่เปลี่ยนงบได้',
+    'Only admins can change the draw': 'เฉพาะผู้จัดเท่านั้นที่เปลี่ยนผลการจับฉลากได้',
+    'Only admins can export the event': 'เฉพาะผู้จัดเท่านั้นที่ส่งออกกิจกรรมได้',
+    'Only admins can import participants': 'เฉพาะผู้จัดเท่านั้นที่นำเข้าผู้เข้าร่วมได้',
+    'Only admins can reset the draw': 'เฉพาะผู้จัดเท่านั้นที่รีเซ็ตการจับฉลากได้',
+    'Only admins can restore a draw': 'เฉพาะผู้จัดเท่านั้นที่กู้คืนผลการจับฉลากได้',
+    'Only admins can reveal names': 'เฉพาะผู้จัดเท่านั้นที่เปิดเผยชื่อได้',
+    'Only admins can schedule the reveal': 'เฉพาะผู้จัดเท่านั้นที่ตั้งเวลาเปิดเผยได้',
+    'Only admins can see gift progress': 'เฉพาะผู้จัดเท่านั้นที่ดูความคืบหน้าของขวัญได้',
+    'Only admins can start the draw': 'เฉพาะผู้จัดเท่านั้นที่เริ่มจับฉลากได้',
+    'Only admins can view the gift exchange chain': 'เฉพาะผู้จัดเท่านั้นที่ดูสายการแลกของขวัญได้',
+
+    // Wishes and budget
+    'Wishes must be a list': 'รายการของที่อยากได้ต้องเป็นลิสต์',
+    'Every wish needs a title': 'ทุกรายการต้องมีชื่อ',
+    'At most 20 wishes, please': 'ใส่ได้ไม่เกิน 20 รายการ',
+    '"{link}" is not a web link (http:// or https://)': '"{link}" ไม่ใช่ลิงก์เว็บ (http:// หรือ https://)',
+    'Prices must be a positive number': 'ราคาต้องเป็นจำนวนบวก',
+    '"{title}" is over the budget': '"{title}" เกินงบ',
+    'The budget must be a positive amount': 'งบต้องเป็นจำนวนบวก',
+    'The lower end of the budget is above the upper end': 'งบต่ำสุดมากกว่างบสูงสุด',
+
+    // The draw
+    'A draw needs at least 2 assignments': 'การจับฉลากต้องมีอย่างน้อย 2 คู่',
+    'A participant was assigned to themselves': 'มีผู้เข้าร่วมจับได้ตัวเอง',
+    'Every participant must give and receive exactly once': 'ผู้เข้าร่วมทุกคนต้องให้และรับของขวัญอย่างละหนึ่งครั้งพอดี',
+    'Someone receives a gift without giving one': 'มีคนได้รับของขวัญโดยไม่ได้ให้',
+    'The draw must include everyone who takes part': 'การจับฉลากต้องรวมทุกคนที่เข้าร่วม',
+    'The draw must include exactly the participants who take part': 'การจับฉลากต้องมีเฉพาะผู้ที่เข้าร่วมจับฉลากพอดี',
+    'Only {done} of {total} assignments could be saved': 'บันทึกได้เพียง {done} จาก {total} คู่',
+    'There is no draw to reset': 'ยังไม่มีการจับฉลากให้รีเซ็ต',
+    'There is no earlier draw to restore': 'ไม่มีผลการจับฉลากครั้งก่อนให้กู้คืน',
+    'Need at least 2 eligible participants to draw': 'ต้องมีผู้ร่วมจับฉลากอย่างน้อย 2 คน',
+    'No valid draw: {name} is excluded from everyone else': 'จับฉลากไม่ได้: {name} ถูกยกเว้นจากทุกคน',
+    'No valid draw: nobody is allowed to draw {name}': 'จับฉลากไม่ได้: ไม่มีใครจับได้ {name} เลย',
+    'No valid draw: {names} can only draw from {count} person between them. Remove some exclusions and try again.':
+      'จับฉลากไม่ได้: {names} จับได้จากคนเพียง {count} คนรวมกัน ลองลบข้อยกเว้นบางข้อแล้วลองใหม่',
+    'No valid draw: {names} can only draw from {count} people between them. Remove some exclusions and try again.':
+      'จับฉลากไม่ได้: {names} จับได้จากคนเพียง {count} คนรวมกัน ลองลบข้อยกเว้นบางข้อแล้วลองใหม่',
+    'Could not find a single loop with the current exclusions. Try again, or turn off single-loop mode.':
+      'หาวงเดียวตามข้อยกเว้นปัจจุบันไม่พบ ลองใหม่ หรือปิดโหมดวงเดียว',
+    'No single loop is possible with the current exclusions. Remove some exclusions or turn off single-loop mode.':
+      'ข้อยกเว้นปัจจุบันทำให้จัดเป็นวงเดียวไม่ได้ ลองลบข้อยกเว้นบางข้อ หรือปิดโหมดวงเดียว',
+
+    // Changes after the draw
+    'There is no draw to add to yet.': 'ยังไม่มีการจับฉลากให้เพิ่มเข้าไป',
+    'No link in the chain can take {name} without breaking an exclusion. Remove some exclusions or re-draw.':
+      'ไม่มีคู่ไหนในสายรับ {name} ได้โดยไม่ขัดกับข้อยกเว้น ลองลบข้อยกเว้นบางข้อหรือจับฉลากใหม่',
+    'The chain cannot be repaired without breaking an exclusion. Remove some exclusions or re-draw.':
+      'ซ่อมสายไม่ได้โดยไม่ขัดกับข้อยกเว้น ลองลบข้อยกเว้นบางข้อหรือจับฉลากใหม่',
+    'That link is not allowed by the exclusions': 'คู่นี้ขัดกับข้อยกเว้น',
+    'Participant "{id}" not found': 'ไม่พบผู้เข้าร่วม "{id}"',
+    'Participant "{id}" no longer exists': 'ผู้เข้าร่วม "{id}" ไม่อยู่แล้ว',
+    'Participant "{id}" has nobody to buy for': 'ผู้เข้าร่วม "{id}" ไม่มีคนให้ซื้อของขวัญ',
+    'Participant "{id}" has no assignment to split': 'ผู้เข้าร่วม "{id}" ไม่มีคู่ให้แทรก',
+    'Participant "{id}" is already in the draw': 'ผู้เข้าร่วม "{id}" อยู่ในการจับฉลากแล้ว',
+    'Participant "{id}" does not take part in this event': 'ผู้เข้าร่วม "{id}" ไม่ได้ร่วมจับฉลากในกิจกรรมนี้',
+    'Only {done} of {total} repairs could be saved': 'บันทึกการซ่อมได้เพียง {done} จาก {total} รายการ',
+
+    // Reveal and gifts
+    'The reveal time has to be in the future': 'เวลาเปิดเผยต้องเป็นเวลาในอนาคต',
+    'Unknown gift status "{status}"': 'ไม่รู้จักสถานะของขวัญ "{status}"',
+    'Gifts can be confirmed after the reveal': 'ยืนยันการรับของขวัญได้หลังเปิดเผยชื่อ',
+
+    // Messages
+    'Write a message first': 'กรุณาเขียนข้อความก่อน',
+    'Messages can be at most 1000 characters': 'ข้อความยาวได้ไม่เกิน 1000 ตัวอักษร',
+    'Messages go to the giver or the receiver': 'ส่งข้อความได้ถึงผู้ให้หรือผู้รับเท่านั้น',
+    'Nobody buys for you yet': 'ยังไม่มีใครซื้อของขวัญให้คุณ',
+    'Nobody buys for you': 'ไม่มีใครซื้อของขวัญให้คุณ',
+    'You have nobody to buy for yet': 'คุณยังไม่มีคนให้ซื้อของขวัญ',
+
+    // Import
+    'Nothing to import': 'ไม่มีข้อมูลให้นำเข้า',
+    'This is not valid JSON': 'ไม่ใช่ JSON ที่ถูกต้อง',
+    'Expected a list of participants': 'ต้องเป็นรายชื่อผู้เข้าร่วม',
+    'The first row needs an "id" (or "username") column': 'แถวแรกต้องมีคอลัมน์ "id" (หรือ "username")',
+    'Every participant needs a username': 'ผู้เข้าร่วมทุกคนต้องมีชื่อผู้ใช้',
+    '"{id}" needs a password': '"{id}" ต้องมีรหัสผ่าน',
+    '"{id}" is already in this event': '"{id}" อยู่ในกิจกรรมนี้แล้ว',
+    'Username missing': 'ไม่มีชื่อผู้ใช้',
+    'Listed twice': 'มีซ้ำสองครั้ง',
+    'Already in this event': 'อยู่ในกิจกรรมนี้แล้ว',
+
+    // Draw audit
+    'Participant list does not match its recorded hash': 'รายชื่อผู้เข้าร่วมไม่ตรงกับแฮชที่บันทึกไว้',
+    'Commitment does not match the seed and inputs': 'Commitment ไม่ตรงกับ seed และข้อมูลที่ใช้',
+    'Re-running the draw failed: {error}': 'จับใหม่จาก seed ไม่สำเร็จ: {error}',
+    '{id} is saved with a different receiver than the seed produces': '{id} ถูกบันทึกไว้กับผู้รับที่ต่างจากผลของ seed'
+  }
+}
@@ -0,0 +1,836 @@
+// An in-memory backend of the repository (see repository.js) for running the
+// app without a Supabase project, and for tests. State lives in one object
+// that is saved to localStorage after every change, so a page reload keeps
+// your events and draws.
+//
+// It follows the rules of the SQL functions in supabase/migrations (who may
+// read or change what, the checks in save_draw, names hidden until the
+// reveal) and returns the same error messages, so the UI behaves the same
+// against either backend. It is for local development only: everything,
+// including the password hashes, sits in the browser.
+//
+// Logins are session tokens that expire after SESSION_TTL_MS, like Supabase
+// Auth sessions. Live updates reach the rest of this tab directly and other
+// tabs through the storage event.
+import { sha256Hex } from './drawAudit'
+import { buildExclusionSet, byId, isAllowed } from './draw'
+import { normalizeWish, validateWishes } from './wishes'
+import { GIFT_STATUSES } from './giftProgress'
+import { LOCALES } from './i18n'
+
+export const MEMORY_STORAGE_KEY = 'lp5-ny.memoryRepository'
+
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+const emptyState = () => ({
+  accounts: [],
+  events: [],
+  participants: [],
+  exclusions: [],
+  draws: [],
+  messages: [], // { id, event_id, draw_id, giver_id, receiver_id, from_giver, body, created_at }
+  sessions: [], // { token, account_id, expires_at }
+  session: null, // token of this browser's session
+  nextId: 1
+})
+
+// Same alphabet as generate_join_code() in the events migration
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+
+const generateJoinCode = () =>
+  Array.from(crypto.getRandomValues(new Uint32Array(8)), n => JOIN_CODE_ALPHABET[n % JOIN_CODE_ALPHABET.length]).join('')
+
+const ok = (data = null) => ({ data: structuredClone(data), error: null })
+const fail = (message) => ({ data: null, error: { message } })
+
+export const createMemoryRepository = ({ storage = globalThis.localStorage, key = MEMORY_STORAGE_KEY } = {}) => {
+  const load = () => {
+    try {
+      const saved = storage?.getItem(key)
+      return saved ? { ...emptyState(), ...JSON.parse(saved) } : emptyState()
+    } catch (error) {
+      console.error('Error loading saved data, starting empty:', error)
+      return emptyState()
+    }
+  }
+
+  let state = load()
+  const listeners = new Set()
+  const sessionListeners = new Set()
+
+  const notify = () => listeners.forEach(listener => listener())
+
+  const save = () => {
+    storage?.setItem(key, JSON.stringify(state))
+    notify()
+  }
+
+  const nextId = () => state.nextId++
+
+  const findAccount = (username) =>
+    state.accounts.find(a => a.id.toLowerCase() === username.trim().toLowerCase())
+
+  const currentSession = () =>
+    state.sessions.find(s => s.token === state.session && new Date(s.expires_at) > new Date())
+
+  const currentAccountId = () => currentSession()?.account_id ?? null
+
+  const currentAccount = () => state.accounts.find(a => a.id === currentAccountId())
+
+  const startSession = (accountId) => {
+    const token = crypto.randomUUID()
+    state.sessions.push({
+      token,
+      account_id: accountId,
+      expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    })
+    state.session = token
+  }
+
+  const findParticipant = (eventId, id) =>
+    state.participants.find(p => p.event_id === eventId && p.id === id)
+
+  const membership = (eventId) => findParticipant(eventId, currentAccountId())
+  const isMember = (eventId) => !!membership(eventId)
+  const isAdmin = (eventId) => membership(eventId)?.role === 'admin'
+
+  const eventParticipants = (eventId) => state.participants.filter(p => p.event_id === eventId)
+
+  // A row of the my_memberships view
+  const toMembership = (p) => {
+    const event = state.events.find(e => e.id === p.event_id)
+    return {
+      event_id: p.event_id,
+      event_name: event.name,
+      join_code: event.join_code,
+      id: p.id,
+      name: p.name,
+      wishes: p.wishes,
+      is_revealed: p.is_revealed,
+      has_assignment: p.drawn_participant_id != null,
+      role: p.role,
+      participates: p.participates,
+      assignment_changed: p.assignment_changed_at != null,
+      budget_min: event.budget_min ?? null,
+      budget_max: event.budget_max ?? null,
+      gift_status: p.gift_status ?? null,
+      gift_received: p.gift_received_at != null
+    }
+  }
+
+  const myMemberships = () => state.participants.filter(p => p.id === currentAccountId()).map(toMembership)
+
+  const addParticipant = (eventId, account, fields) => {
+    state.participants.push({
+      event_id: eventId,
+      id: account.id,
+      name: account.name,
+      wishes: [],
+      role: 'participant',
+      participates: true,
+      drawn_participant_id: null,
+      is_revealed: false,
+      ...fields
+    })
+  }
+
+  const auth = {
+    signIn: async (username, password) => {
+      const account = findAccount(username)
+      if (!account) return fail('User not found')
+      if (!account.password_hash) return fail('This account has no password. Ask an admin to reset it')
+      if (account.password_hash !== await sha256Hex(password)) return fail('Invalid password')
+
+      startSession(account.id)
+      save()
+      return ok(myMemberships())
+    },
+
+    register: async (username, name, password) => {
+      if (findAccount(username)) return fail('Username already taken')
+
+      const account = { id: username.trim(), name, password_hash: await sha256Hex(password) }
+      state.accounts.push(account)
+      startSession(account.id)
+      save()
+      return ok(myMemberships())
+    },
+
+    // 'everywhere' ends every session of the account, not just this one
+    signOut: async ({ everywhere = false } = {}) => {
+      const accountId = currentAccountId()
+      state.sessions = state.sessions.filter(s =>
+        everywhere ? s.account_id !== accountId : s.token !== state.session)
+      state.session = null
+      save()
+      return { error: null }
+    },
+
+    fetchMemberships: async () => ok(myMemberships()),
+
+    // The language saved on the account, or null if they never picked one
+    getLocale: async () => {
+      const account = currentAccount()
+      if (!account) return fail('Not logged in')
+      return ok(account.locale ?? null)
+    },
+
+    setLocale: async (locale) => {
+      if (!LOCALES.includes(locale)) return fail('Unknown language')
+      const account = currentAccount()
+      if (!account) return fail('Not logged in')
+      account.locale = locale
+      save()
+      return ok()
+    },
+
+    restoreSession: async () => {
+      if (currentSession()) return ok(myMemberships())
+      if (state.session) {
+        // Expired or ended elsewhere
+        state.session = null
+        save()
+      }
+      return ok(null)
+    },
+
+    onSessionEnded: (callback) => {
+      sessionListeners.add(callback)
+      return () => sessionListeners.delete(callback)
+    },
+  }
+
+  const eventSummary = (event) =>
+    event ? { id: event.id, name: event.name, budget_min: event.budget_min ?? null, budget_max: event.budget_max ?? null } : null
+
+  const events = {
+    getByCode: async (code) =>
+      ok(eventSummary(state.events.find(e => e.join_code === code.trim().toUpperCase()))),
+
+    getById: async (eventId) => ok(eventSummary(state.events.find(e => e.id === eventId))),
+
+    create: async (name, participates = false) => {
+      const account = currentAccount()
+      if (!account) return fail('Not logged in')
+      if (!name?.trim()) return fail('Event name is required')
+
+      const event = {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        join_code: generateJoinCode(),
+        budget_min: null,
+        budget_max: null,
+        created_at: new Date().toISOString()
+      }
+      state.events.push(event)
+      addParticipant(event.id, account, { role: 'admin', participates })
+      save()
+      return ok(event.id)
+    },
+
+    join: async (code, name = null) => {
+      const account = currentAccount()
+      if (!account) return fail('Not logged in')
+
+      const event = state.events.find(e => e.join_code === code.trim().toUpperCase())
+      if (!event) return fail('No event with that invite code')
+
+      if (!findParticipant(event.id, account.id)) {
+        addParticipant(event.id, account, { name: name?.trim() || account.name })
+        save()
+      }
+      return ok(event.id)
+    },
+
+    // Same checks as set_event_budget(); null leaves that end open
+    setBudget: async (eventId, min, max) => {
+      if (!isAdmin(eventId)) return fail('Only admins can change the budget')
+      if (min < 0 || max < 0) return fail('The budget must be a positive amount')
+      if (min != null && max != null && min > max) return fail('The lower end of the budget is above the upper end')
+
+      const event = state.events.find(e => e.id === eventId)
+      event.budget_min = min
+      event.budget_max = max
+      save()
+      return ok()
+    },
+  }
+
+  const participants = {
+    list: async (eventId) => {
+      if (!isMember(eventId)) return ok([])
+      return ok(eventParticipants(eventId).map(({ id, name, role, participates }) => ({ id, name, role, participates })))
+    },
+
+    // Same checks as update_my_wishes(); old plain-string lists still pass
+    updateMyWishes: async (eventId, wishes) => {
+      if (!Array.isArray(wishes)) return fail('Wishes must be a list')
+      if (wishes.some(w => typeof w !== 'string' && typeof w?.title !== 'string')) return fail('Every wish needs a title')
+      const event = state.events.find(e => e.id === eventId)
+      const problem = validateWishes(wishes.map(normalizeWish), event)
+      if (problem) return fail(problem)
+
+      const own = membership(eventId)
+      if (!own) return fail('You are not part of this event')
+
+      own.wishes = wishes
+      save()
+      return ok(toMembership(own))
+    },
+
+    setRole: async (eventId, id, role, participates) => {
+      if (!isAdmin(eventId)) return fail('Only admins can change roles')
+
+      if (role !== 'admin' && !eventParticipants(eventId).some(p => p.role === 'admin' && p.id !== id)) {
+        return fail('There must be at least one admin')
+      }
+
+      const participant = findParticipant(eventId, id)
+      if (!participant) return fail(`Participant "${id}" not found`)
+
+      participant.role = role
+      participant.participates = participates
+      save()
+      return ok()
+    },
+
+    setMyGiftStatus: async (eventId, status) => {
+      if (status != null && !GIFT_STATUSES.includes(status)) return fail(`Unknown gift status "${status}"`)
+
+      const own = membership(eventId)
+      if (!own?.drawn_participant_id) return fail('You have nobody to buy for yet')
+
+      own.gift_status = status
+      save()
+      return ok(toMembership(own))
+    },
+
+    confirmGiftReceived: async (eventId) => {
+      const own = membership(eventId)
+      if (!own || !eventParticipants(eventId).some(p => p.drawn_participant_id === own.id)) return fail('Nobody buys for you')
+      if (!eventParticipants(eventId).some(p => p.drawn_participant_id === own.id && p.is_revealed)) return fail('Gifts can be confirmed after the reveal')
+
+      own.gift_received_at ??= new Date().toISOString()
+      save()
+      return ok(toMembership(own))
+    },
+
+    // Same as get_gift_progress(): how far everyone is, but not who buys for whom
+    getGiftProgress: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can see gift progress')
+      return ok(eventParticipants(eventId)
+        .filter(p => p.participates)
+        .map(p => ({
+          id: p.id,
+          name: p.name,
+          has_assignment: p.drawn_participant_id != null,
+          gift_status: p.gift_status ?? null,
+          gift_received: p.gift_received_at != null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name)))
+    },
+
+    // Same checks as import_participants(), all before anything is added.
+    // New usernames get an account with the given password; taken ones are
+    // left out, to join with the invite code themselves.
+    import: async (eventId, rows) => {
+      if (!isAdmin(eventId)) return fail('Only admins can import participants')
+      if (!Array.isArray(rows)) return fail('Expected a list of participants')
+
+      const event = state.events.find(e => e.id === eventId)
+      const added = new Set()
+      for (const row of rows) {
+        const id = row.id?.trim()
+        if (!id) return fail('Every participant needs a username')
+        const wishes = row.wishes || []
+        if (wishes.some(w => typeof w !== 'string' && typeof w?.title !== 'string')) return fail('Every wish needs a title')
+        const problem = validateWishes(wishes.map(normalizeWish), event)
+        if (problem) return fail(problem)
+
+        if (added.has(id.toLowerCase())) return fail(`"${id}" is already in this event`)
+        if (findAccount(id)) continue
+        if (!row.password) return fail(`"${id}" needs a password`)
+        added.add(id.toLowerCase())
+      }
+
+      const created = []
+      for (const row of rows) {
+        const id = row.id.trim()
+        if (!added.has(id.toLowerCase())) continue
+        const name = row.name?.trim() || id
+        const account = { id, name, password_hash: await sha256Hex(row.password) }
+        state.accounts.push(account)
+        created.push(id)
+        addParticipant(eventId, account, { name, wishes: row.wishes || [] })
+      }
+      save()
+      return ok(created)
+    },
+
+    exportAll: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can export the event')
+      return ok(eventParticipants(eventId)
+        .map(p => ({
+          id: p.id,
+          name: p.name,
+          wishes: p.wishes,
+          drawn_participant_id: p.drawn_participant_id,
+          gift_status: p.gift_status ?? null,
+          gift_received: p.gift_received_at != null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name)))
+    },
+
+    acknowledgeAssignmentChange: async (eventId) => {
+      const own = membership(eventId)
+      if (own) own.assignment_changed_at = null
+      save()
+      return ok()
+    },
+  }
+
+  const exclusions = {
+    // Row-level security: other people just see no rows
+    list: async (eventId) => {
+      if (!isAdmin(eventId)) return ok([])
+      return ok(state.exclusions.filter(x => x.event_id === eventId))
+    },
+
+    add: async (eventId, { participant_id, excluded_id, mutual }) => {
+      if (!isAdmin(eventId)) return fail('new row violates row-level security policy for table "exclusions"')
+      if (state.exclusions.some(x => x.event_id === eventId && x.participant_id === participant_id && x.excluded_id === excluded_id)) {
+        return fail('duplicate key value violates unique constraint "exclusions_unique"')
+      }
+
+      const row = { id: nextId(), event_id: eventId, participant_id, excluded_id, mutual }
+      state.exclusions.push(row)
+      save()
+      return ok(row)
+    },
+
+    remove: async (id) => {
+      state.exclusions = state.exclusions.filter(x => x.id !== id || !isAdmin(x.event_id))
+      save()
+      return ok()
+    },
+  }
+
+  // Only uncleared draws are current, see the draw history migration
+  const latestDraw = (eventId) =>
+    state.draws.filter(d => d.event_id === eventId && !d.cleared_at).at(-1) || null
+
+  // Cleared draws are moved to the end, so the last one is the latest cleared
+  const previousDraw = (eventId) =>
+    state.draws.filter(d => d.event_id === eventId && d.cleared_assignments).at(-1) || null
+
+  // archive_current_draw(): keep the assignments on the draw they came from
+  const archiveCurrentDraw = (eventId) => {
+    const assignments = eventParticipants(eventId)
+      .filter(p => p.drawn_participant_id != null)
+      .map(p => ({ giver_id: p.id, receiver_id: p.drawn_participant_id, is_revealed: p.is_revealed }))
+    const current = state.draws.filter(d => d.event_id === eventId && !d.cleared_at)
+    state.draws = state.draws.filter(d => !current.includes(d))
+    for (const draw of current) {
+      draw.cleared_at = new Date().toISOString()
+      draw.cleared_assignments = assignments
+      state.draws.push(draw)
+    }
+    for (const p of eventParticipants(eventId)) {
+      p.assignment_changed_at = null
+      p.gift_received_at = null
+    }
+  }
+
+  // Every change of assignment goes through here. A gift is for a particular
+  // person, so the giver's progress starts over, like the
+  // participants_reset_gift_status trigger.
+  const assign = (giver, receiverId) => {
+    if (giver.drawn_participant_id !== receiverId) giver.gift_status = null
+    giver.drawn_participant_id = receiverId
+  }
+
+  const clearAssignments = (eventId) => {
+    for (const p of eventParticipants(eventId)) {
+      assign(p, null)
+      p.is_revealed = false
+    }
+  }
+
+  // repair_draw(): the same checks, on a copy, so nothing changes unless all
+  // of them pass
+  const repairDraw = async (eventId, repairs, withdrawnId) => {
+    if (!isAdmin(eventId)) return fail('Only admins can change the draw')
+
+    let people = eventParticipants(eventId)
+    const assigned = people.filter(p => p.drawn_participant_id != null && p.id !== withdrawnId).map(p => p.id)
+
+    if (withdrawnId != null) {
+      const withdrawn = findParticipant(eventId, withdrawnId)
+      if (!withdrawn) return fail(`Participant "${withdrawnId}" not found`)
+      if (withdrawn.role === 'admin' && !people.some(p => p.role === 'admin' && p.id !== withdrawnId)) {
+        return fail('There must be at least one admin')
+      }
+      people = people.filter(p => p !== withdrawn)
+    }
+
+    const receiverOf = new Map(people.map(p => [p.id, p.drawn_participant_id === withdrawnId ? null : p.drawn_participant_id]))
+    const known = repairs.filter(r => receiverOf.has(r.giver_id))
+    if (known.length !== repairs.length) return fail(`Only ${known.length} of ${repairs.length} repairs could be saved`)
+    for (const r of repairs) receiverOf.set(r.giver_id, r.receiver_id)
+
+    const receivers = [...receiverOf.values()].filter(id => id != null)
+    const missing = assigned.find(id => receiverOf.get(id) == null)
+    if (missing) return fail(`Participant "${missing}" has nobody to buy for`)
+    if ([...receiverOf].some(([id, receiverId]) => id === receiverId)) return fail('A participant was assigned to themselves')
+    if (new Set(receivers).size !== receivers.length) return fail('Every participant must give and receive exactly once')
+    if (receivers.some(id => receiverOf.get(id) == null)) return fail('Someone receives a gift without giving one')
+
+    const excluded = buildExclusionSet(state.exclusions.filter(x => x.event_id === eventId))
+    if (repairs.some(r => !isAllowed(r.giver_id, r.receiver_id, excluded))) return fail('That link is not allowed by the exclusions')
+
+    if (withdrawnId != null) {
+      state.participants = state.participants.filter(p => !(p.event_id === eventId && p.id === withdrawnId))
+      state.exclusions = state.exclusions.filter(x =>
+        !(x.event_id === eventId && (x.participant_id === withdrawnId || x.excluded_id === withdrawnId)))
+      state.messages = state.messages.filter(m =>
+        !(m.event_id === eventId && (m.giver_id === withdrawnId || m.receiver_id === withdrawnId)))
+    }
+    for (const p of eventParticipants(eventId)) {
+      if (p.drawn_participant_id === withdrawnId) assign(p, null)
+    }
+    for (const r of repairs) {
+      const giver = findParticipant(eventId, r.giver_id)
+      assign(giver, r.receiver_id)
+      giver.assignment_changed_at = new Date().toISOString()
+    }
+
+    const draw = latestDraw(eventId)
+    if (draw) draw.amendments = [...(draw.amendments || []), { withdrawn_id: withdrawnId, repairs }]
+    save()
+    return ok()
+  }
+
+  const draws = {
+    getStatus: async (eventId) => {
+      if (!isMember(eventId)) return fail('You are not part of this event')
+
+      const people = eventParticipants(eventId)
+      return ok({
+        drawn: people.some(p => p.drawn_participant_id != null),
+        revealed: people.some(p => p.is_revealed),
+        all_revealed: people.some(p => p.drawn_participant_id != null) &&
+          people.every(p => p.drawn_participant_id == null || p.is_revealed),
+        participant_count: people.length,
+        draw_id: latestDraw(eventId)?.id ?? null,
+        reveal_at: state.events.find(e => e.id === eventId)?.reveal_at ?? null
+      })
+    },
+
+    // Same checks, in the same order, as save_draw(); nothing changes unless
+    // all of them pass
+    save: async (eventId, record, assignments) => {
+      if (!isAdmin(eventId)) return fail('Only admins can start the draw')
+
+      const total = assignments.length
+      const givers = new Set(assignments.map(a => a.giver_id))
+      const receivers = new Set(assignments.map(a => a.receiver_id))
+      const people = eventParticipants(eventId)
+
+      if (total < 2) return fail('A draw needs at least 2 assignments')
+      if (assignments.some(a => a.giver_id === a.receiver_id)) return fail('A participant was assigned to themselves')
+      if (givers.size !== total || receivers.size !== total) return fail('Every participant must give and receive exactly once')
+      if ([...receivers].some(id => !givers.has(id))) return fail('Someone receives a gift without giving one')
+
+      const missing = assignments.find(a => !findParticipant(eventId, a.giver_id))
+      if (missing) return fail(`Participant "${missing.giver_id}" no longer exists`)
+      if (people.some(p => p.participates && !givers.has(p.id))) return fail('The draw must include everyone who takes part')
+
+      const draw = {
+        id: nextId(),
+        event_id: eventId,
+        seed: record.seed,
+        participant_ids: record.participant_ids,
+        participants_hash: record.participants_hash,
+        exclusions: record.exclusions || [],
+        single_loop: !!record.single_loop,
+        commitment: record.commitment,
+        created_at: new Date().toISOString(),
+        cleared_at: null,
+        cleared_assignments: null,
+        amendments: []
+      }
+      archiveCurrentDraw(eventId)
+      state.draws.push(draw)
+
+      // Anyone left out of the new draw loses their old assignment. Cleared
+      // first like in save_draw(), so gift progress starts over even for
+      // someone who draws the same person again.
+      const receiverOf = new Map(assignments.map(a => [a.giver_id, a.receiver_id]))
+      clearAssignments(eventId)
+      for (const p of people) assign(p, receiverOf.get(p.id) ?? null)
+      save()
+      return ok(draw.id)
+    },
+
+    // Members only; the seed stays hidden until the reveal
+    getLatestCommitment: async (eventId) => {
+      const draw = isMember(eventId) && latestDraw(eventId)
+      if (!draw) return ok(null)
+
+      // Not before everyone is revealed: the seed gives away every pair
+      const allRevealed = eventParticipants(eventId).every(p => p.drawn_participant_id == null || p.is_revealed)
+      return ok({ commitment: draw.commitment, seed: allRevealed ? draw.seed : null })
+    },
+
+    getLatest: async (eventId) => ok(isAdmin(eventId) ? latestDraw(eventId) : null),
+
+    getChain: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can view the gift exchange chain')
+      // Sorted by id, like get_draw_chain()
+      return ok(eventParticipants(eventId).map(({ id, name, drawn_participant_id, is_revealed, participates }) =>
+        ({ id, name, drawn_participant_id, is_revealed, participates })).sort(byId))
+    },
+
+    clear: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can reset the draw')
+      if (!eventParticipants(eventId).some(p => p.drawn_participant_id != null)) return fail('There is no draw to reset')
+
+      archiveCurrentDraw(eventId)
+      clearAssignments(eventId)
+      save()
+      return ok()
+    },
+
+    getPrevious: async (eventId) => {
+      const draw = isAdmin(eventId) && previousDraw(eventId)
+      if (!draw) return ok(null)
+      return ok({ id: draw.id, created_at: draw.created_at, cleared_at: draw.cleared_at })
+    },
+
+    restorePrevious: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can restore a draw')
+
+      const draw = previousDraw(eventId)
+      if (!draw) return fail('There is no earlier draw to restore')
+
+      const ids = draw.cleared_assignments.flatMap(a => [a.giver_id, a.receiver_id])
+      const missing = ids.find(id => !findParticipant(eventId, id))
+      if (missing) return fail(`Participant "${missing}" no longer exists`)
+
+      archiveCurrentDraw(eventId)
+      clearAssignments(eventId)
+      for (const a of draw.cleared_assignments) {
+        const giver = findParticipant(eventId, a.giver_id)
+        assign(giver, a.receiver_id)
+        giver.is_revealed = !!a.is_revealed
+      }
+      draw.cleared_at = null
+      draw.cleared_assignments = null
+      save()
+      return ok(draw.id)
+    },
+
+    // Same checks as splice_into_draw()
+    splice: async (eventId, participantId, giverId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can change the draw')
+
+      const newcomer = findParticipant(eventId, participantId)
+      const giver = findParticipant(eventId, giverId)
+      if (!newcomer?.participates) return fail(`Participant "${participantId}" does not take part in this event`)
+      if (newcomer.drawn_participant_id != null || eventParticipants(eventId).some(p => p.drawn_participant_id === participantId)) {
+        return fail(`Participant "${participantId}" is already in the draw`)
+      }
+      if (giver?.drawn_participant_id == null) return fail(`Participant "${giverId}" has no assignment to split`)
+
+      const excluded = buildExclusionSet(state.exclusions.filter(x => x.event_id === eventId))
+      if (!isAllowed(giverId, participantId, excluded) || !isAllowed(participantId, giver.drawn_participant_id, excluded)) {
+        return fail('That link is not allowed by the exclusions')
+      }
+
+      const receiverId = giver.drawn_participant_id
+      assign(newcomer, receiverId)
+      newcomer.is_revealed = giver.is_revealed
+      assign(giver, participantId)
+      giver.assignment_changed_at = new Date().toISOString()
+
+      const draw = latestDraw(eventId)
+      if (draw) draw.amendments = [...(draw.amendments || []), { participant_id: participantId, giver_id: giverId, receiver_id: receiverId }]
+      save()
+      return ok()
+    },
+
+    repair: (eventId, repairs) => repairDraw(eventId, repairs, null),
+
+    withdraw: (eventId, participantId, repairs) => repairDraw(eventId, repairs, participantId),
+  }
+
+  // reveal_event(): the manual and the scheduled reveal both end the schedule
+  const revealEvent = (eventId) => {
+    for (const p of eventParticipants(eventId)) {
+      if (p.drawn_participant_id != null) p.is_revealed = true
+    }
+    state.events.find(e => e.id === eventId).reveal_at = null
+  }
+
+  const reveal = {
+    getMyAssignment: async (eventId) => {
+      const giver = membership(eventId)
+      const receiver = giver && findParticipant(eventId, giver.drawn_participant_id)
+      if (!receiver) return ok(null)
+      return ok({ wishes: receiver.wishes, name: giver.is_revealed ? receiver.name : null })
+    },
+
+    revealAll: async (eventId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can reveal names')
+
+      revealEvent(eventId)
+      save()
+      return ok()
+    },
+
+    revealOne: async (eventId, giverId) => {
+      if (!isAdmin(eventId)) return fail('Only admins can reveal names')
+
+      const giver = findParticipant(eventId, giverId)
+      if (giver?.drawn_participant_id == null) return fail(`Participant "${giverId}" has nobody to buy for`)
+
+      giver.is_revealed = true
+      save()
+      return ok()
+    },
+
+    // null cancels the schedule
+    schedule: async (eventId, revealAt) => {
+      if (!isAdmin(eventId)) return fail('Only admins can schedule the reveal')
+      if (revealAt != null && new Date(revealAt) <= new Date()) return fail('The reveal time has to be in the future')
+
+      state.events.find(e => e.id === eventId).reveal_at = revealAt && new Date(revealAt).toISOString()
+      save()
+      return ok()
+    },
+
+    // There is no cron job here, so this is the only way a scheduled reveal
+    // happens; the app calls it when the countdown runs out and on load
+    revealIfDue: async (eventId) => {
+      if (!isMember(eventId)) return fail('You are not part of this event')
+
+      const event = state.events.find(e => e.id === eventId)
+      if (event.reveal_at && new Date(event.reveal_at) <= new Date()) {
+        revealEvent(eventId)
+        save()
+      }
+      return ok()
+    },
+  }
+
+  // Same rules as get_my_messages() and send_message(): only the two people
+  // of a pair, the giver's name hidden until their pair is revealed, and
+  // threads belong to the current draw
+  const threadOf = (eventId, giver, receiver, fromGiverIsMe) => {
+    const drawId = latestDraw(eventId)?.id ?? null
+    return state.messages
+      .filter(m => m.event_id === eventId && m.giver_id === giver.id && m.receiver_id === receiver.id && m.draw_id === drawId)
+      .map(({ id, body, from_giver, created_at }) => ({ id, body, from_me: from_giver === fromGiverIsMe, created_at }))
+  }
+
+  const messages = {
+    list: async (eventId) => {
+      const me = membership(eventId)
+      if (!me) return ok(null)
+
+      const receiver = findParticipant(eventId, me.drawn_participant_id)
+      const giver = eventParticipants(eventId).find(p => p.drawn_participant_id === me.id)
+      return ok({
+        giving: receiver ? { name: me.is_revealed ? receiver.name : null, messages: threadOf(eventId, me, receiver, true) } : null,
+        receiving: giver ? { name: giver.is_revealed ? giver.name : null, messages: threadOf(eventId, giver, me, false) } : null
+      })
+    },
+
+    send: async (eventId, to, body) => {
+      const me = membership(eventId)
+      if (!me) return fail('You are not part of this event')
+      if (!body?.trim()) return fail('Write a message first')
+      if (body.trim().length > 1000) return fail('Messages can be at most 1000 characters')
+
+      let pair
+      if (to === 'receiver') {
+        if (me.drawn_participant_id == null) return fail('You have nobody to buy for yet')
+        pair = { giver_id: me.id, receiver_id: me.drawn_participant_id, from_giver: true }
+      } else if (to === 'giver') {
+        const giver = eventParticipants(eventId).find(p => p.drawn_participant_id === me.id)
+        if (!giver) return fail('Nobody buys for you yet')
+        pair = { giver_id: giver.id, receiver_id: me.id, from_giver: false }
+      } else {
+        return fail('Messages go to the giver or the receiver')
+      }
+
+      state.messages.push({
+        id: nextId(),
+        event_id: eventId,
+        draw_id: latestDraw(eventId)?.id ?? null,
+        ...pair,
+        body: body.trim(),
+        created_at: new Date().toISOString()
+      })
+      save()
+      return ok()
+    },
+  }
+
+  // Every change may matter to every event, so there is no filtering by event
+  const live = {
+    subscribe: (eventId, onChange) => {
+      listeners.add(onChange)
+      return () => listeners.delete(onChange)
+    }
+  }
+
+  // Another tab saved: pick up its state. Tabs share the login, as they do
+  // with Supabase, so signing out there ends the session here too.
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== key) return
+      const hadSession = !!currentSession()
+      state = load()
+      notify()
+      if (hadSession && !currentSession()) sessionListeners.forEach(listener => listener())
+    })
+  }
+
+  return {
+    backend: 'memory',
+    auth,
+    events,
+    participants,
+    exclusions,
+    draws,
+    reveal,
+    messages,
+    live,
+
+    // Replace everything, e.g. to seed a demo or a test. Accounts may be
+    // given a plain `password`, which is hashed here, participants only need
+    // the fields that differ from a fresh member's, and `session` may name
+    // an account to log in.
+    reset: async (newState = {}) => {
+      state = { ...emptyState(), ...structuredClone(newState) }
+      if (state.session && !newState.sessions) startSession(state.session)
+      state.participants = state.participants.map(p => ({
+        name: p.id,
+        wishes: [],
+        role: 'participant',
+        participates: true,
+        drawn_participant_id: null,
+        is_revealed: false,
+        ...p
+      }))
+      for (const account of state.accounts) {
+        if (account.password !== undefined) {
+          account.password_hash = await sha256Hex(account.password)
+          delete account.password
+        }
+      }
+      save()
+    },
+  }
+}
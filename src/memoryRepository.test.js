@@ -0,0 +1,411 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createMemoryRepository } from './memoryRepository'
+
+const seedState = {
+  events: [{ id: 'ev1', name: 'Party', join_code: 'ABCD2345' }],
+  accounts: [
+    { id: 'admin', name: 'Admin', password: 'secret' },
+    { id: 'alice', name: 'Alice', password: 'secret' },
+  ],
+  participants: [
+    { event_id: 'ev1', id: 'admin', name: 'Admin', role: 'admin', participates: false },
+    { event_id: 'ev1', id: 'alice', name: 'Alice', wishes: ['Tea'] },
+    { event_id: 'ev1', id: 'bob', name: 'Bob', wishes: ['Socks'] },
+  ],
+}
+
+const record = { seed: 's', participant_ids: ['alice', 'bob'], participants_hash: 'h', commitment: 'c' }
+const pairs = [{ giver_id: 'alice', receiver_id: 'bob' }, { giver_id: 'bob', receiver_id: 'alice' }]
+
+describe('memoryRepository', () => {
+  let repository
+
+  beforeEach(async () => {
+    repository = createMemoryRepository({ storage: null })
+    await repository.reset(seedState)
+  })
+
+  it('checks passwords and keeps usernames case-insensitive', async () => {
+    expect((await repository.auth.signIn('ALICE', 'wrong')).error.message).toBe('Invalid password')
+    expect((await repository.auth.signIn('nobody', 'secret')).error.message).toBe('User not found')
+    expect((await repository.auth.register('Alice', 'Alice 2', 'x')).error.message).toBe('Username already taken')
+
+    // Nobody can take over an account that never had a password
+    await repository.reset({ ...seedState, accounts: [...seedState.accounts, { id: 'legacy', name: 'Legacy' }] })
+    expect((await repository.auth.signIn('legacy', 'anything')).error.message).toBe('This account has no password. Ask an admin to reset it')
+
+    const { data } = await repository.auth.signIn('ALICE', 'secret')
+    expect(data).toEqual([expect.objectContaining({ event_id: 'ev1', event_name: 'Party', id: 'alice', has_assignment: false })])
+  })
+
+  it('only lets admins draw, see the chain and reveal', async () => {
+    await repository.auth.signIn('alice', 'secret')
+
+    expect((await repository.draws.save('ev1', record, pairs)).error.message).toBe('Only admins can start the draw')
+    expect((await repository.draws.getChain('ev1')).error.message).toBe('Only admins can view the gift exchange chain')
+    expect((await repository.reveal.revealAll('ev1')).error.message).toBe('Only admins can reveal names')
+    expect((await repository.exclusions.list('ev1')).data).toEqual([])
+    expect((await repository.draws.getLatest('ev1')).data).toBeNull()
+  })
+
+  it('rejects incomplete draws without changing anything', async () => {
+    await repository.auth.signIn('admin', 'secret')
+
+    const selfDraw = [{ giver_id: 'alice', receiver_id: 'alice' }, { giver_id: 'bob', receiver_id: 'bob' }]
+    expect((await repository.draws.save('ev1', record, selfDraw)).error.message).toBe('A participant was assigned to themselves')
+
+    const { error } = await repository.draws.save('ev1', record, [
+      { giver_id: 'alice', receiver_id: 'carol' },
+      { giver_id: 'carol', receiver_id: 'alice' },
+    ])
+    expect(error.message).toBe('Participant "carol" no longer exists')
+
+    expect((await repository.draws.getStatus('ev1')).data.drawn).toBe(false)
+  })
+
+  it('hides the receiver name and the seed until the reveal', async () => {
+    await repository.auth.signIn('admin', 'secret')
+    expect((await repository.draws.save('ev1', record, pairs)).error).toBeNull()
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.reveal.getMyAssignment('ev1')).data).toEqual({ wishes: ['Socks'], name: null })
+    expect((await repository.draws.getLatestCommitment('ev1')).data).toEqual({ commitment: 'c', seed: null })
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.reveal.revealAll('ev1')
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.reveal.getMyAssignment('ev1')).data).toEqual({ wishes: ['Socks'], name: 'Bob' })
+    expect((await repository.draws.getLatestCommitment('ev1')).data).toEqual({ commitment: 'c', seed: 's' })
+  })
+
+  it('keeps messages between giver and receiver, anonymous until the reveal', async () => {
+    await repository.reset({ ...seedState, accounts: [...seedState.accounts, { id: 'bob', name: 'Bob', password: 'secret' }] })
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.messages.send('ev1', 'receiver', '  ')).error.message).toBe('Write a message first')
+    await repository.messages.send('ev1', 'receiver', 'Which mug?')
+
+    await repository.auth.signIn('bob', 'secret')
+    const { data } = await repository.messages.list('ev1')
+    expect(data.receiving).toEqual({ name: null, messages: [expect.objectContaining({ body: 'Which mug?', from_me: false })] })
+    expect(JSON.stringify(data)).not.toContain('alice')
+    await repository.messages.send('ev1', 'giver', 'A big one')
+
+    // The organizer is in neither thread and can't read them
+    await repository.auth.signIn('admin', 'secret')
+    expect((await repository.messages.list('ev1')).data).toEqual({ giving: null, receiving: null })
+    await repository.reveal.revealAll('ev1')
+
+    await repository.auth.signIn('bob', 'secret')
+    expect((await repository.messages.list('ev1')).data.receiving.name).toBe('Alice')
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.messages.list('ev1')).data.giving.messages.map(m => [m.body, m.from_me])).toEqual([
+      ['Which mug?', true],
+      ['A big one', false],
+    ])
+
+    // A new draw starts new threads
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.messages.list('ev1')).data.giving.messages).toEqual([])
+  })
+
+  it('tracks gift progress without telling organizers who buys for whom', async () => {
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.participants.setMyGiftStatus('ev1', 'bought')).error.message).toBe('Unknown gift status "bought"')
+    expect((await repository.participants.setMyGiftStatus('ev1', 'wrapped')).data.gift_status).toBe('wrapped')
+    expect((await repository.participants.confirmGiftReceived('ev1')).error.message).toBe('Gifts can be confirmed after the reveal')
+    expect((await repository.participants.getGiftProgress('ev1')).error.message).toBe('Only admins can see gift progress')
+
+    // Revealing someone else's giver isn't enough
+    await repository.auth.signIn('admin', 'secret')
+    await repository.reveal.revealOne('ev1', 'alice')
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.participants.confirmGiftReceived('ev1')).error.message).toBe('Gifts can be confirmed after the reveal')
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.reveal.revealAll('ev1')
+    expect((await repository.participants.getGiftProgress('ev1')).data).toEqual([
+      { id: 'alice', name: 'Alice', has_assignment: true, gift_status: 'wrapped', gift_received: false },
+      { id: 'bob', name: 'Bob', has_assignment: true, gift_status: null, gift_received: false },
+    ])
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.participants.confirmGiftReceived('ev1')).data.gift_received).toBe(true)
+
+    // A new draw means a new person to buy for
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+    expect((await repository.participants.getGiftProgress('ev1')).data[0]).toMatchObject({ gift_status: null, gift_received: false })
+  })
+
+  it('reveals the names at the scheduled time, and not before', async () => {
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+    expect((await repository.reveal.schedule('ev1', '2000-01-01T00:00:00Z')).error.message).toBe('The reveal time has to be in the future')
+
+    const revealAt = new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.reveal.schedule('ev1', revealAt)).error.message).toBe('Only admins can schedule the reveal')
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.reveal.schedule('ev1', revealAt)
+    expect((await repository.draws.getStatus('ev1')).data).toMatchObject({ revealed: false, reveal_at: revealAt })
+
+    await repository.auth.signIn('alice', 'secret')
+    await repository.reveal.revealIfDue('ev1')
+    expect((await repository.reveal.getMyAssignment('ev1')).data.name).toBeNull()
+
+    vi.useFakeTimers({ toFake: ['Date'] })
+    try {
+      vi.setSystemTime(new Date(revealAt).getTime() + 1000)
+      await repository.reveal.revealIfDue('ev1')
+    } finally {
+      vi.useRealTimers()
+    }
+    expect((await repository.reveal.getMyAssignment('ev1')).data.name).toBe('Bob')
+    expect((await repository.draws.getStatus('ev1')).data).toMatchObject({ revealed: true, reveal_at: null })
+  })
+
+  it('keeps at least one admin per event', async () => {
+    await repository.auth.signIn('admin', 'secret')
+
+    const { error } = await repository.participants.setRole('ev1', 'admin', 'participant', true)
+    expect(error.message).toBe('There must be at least one admin')
+  })
+
+  it('keeps cleared and replaced draws so they can be restored', async () => {
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.draws.clear('ev1')).error.message).toBe('Only admins can reset the draw')
+
+    await repository.auth.signIn('admin', 'secret')
+    expect((await repository.draws.clear('ev1')).error.message).toBe('There is no draw to reset')
+    expect((await repository.draws.restorePrevious('ev1')).error.message).toBe('There is no earlier draw to restore')
+
+    const { data: firstId } = await repository.draws.save('ev1', record, pairs)
+    await repository.reveal.revealAll('ev1')
+    await repository.draws.clear('ev1')
+
+    expect((await repository.draws.getStatus('ev1')).data).toMatchObject({ drawn: false, revealed: false, draw_id: null })
+    expect((await repository.draws.getPrevious('ev1')).data.id).toBe(firstId)
+
+    // Drawing again after the reset, then going back to the first draw
+    const { data: secondId } = await repository.draws.save('ev1', { ...record, commitment: 'c2' }, pairs)
+    expect((await repository.draws.getLatestCommitment('ev1')).data.commitment).toBe('c2')
+
+    expect((await repository.draws.restorePrevious('ev1')).data).toBe(firstId)
+    expect((await repository.draws.getStatus('ev1')).data).toMatchObject({ drawn: true, revealed: true, draw_id: firstId })
+    expect((await repository.draws.getLatestCommitment('ev1')).data.commitment).toBe('c')
+    expect((await repository.draws.getPrevious('ev1')).data.id).toBe(secondId)
+  })
+
+  it('splices late joiners into the chain and tells only the affected giver', async () => {
+    await repository.auth.signIn('admin', 'secret')
+    await repository.draws.save('ev1', record, pairs)
+    await repository.auth.register('dan', 'Dan', 'pw')
+    await repository.events.join('ABCD2345')
+
+    expect((await repository.draws.splice('ev1', 'dan', 'alice')).error.message).toBe('Only admins can change the draw')
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.exclusions.add('ev1', { participant_id: 'dan', excluded_id: 'alice', mutual: false })
+    expect((await repository.draws.splice('ev1', 'dan', 'bob')).error.message).toBe('That link is not allowed by the exclusions')
+    expect((await repository.draws.splice('ev1', 'dan', 'admin')).error.message).toBe('Participant "admin" has no assignment to split')
+
+    // alice -> bob becomes alice -> dan -> bob
+    expect((await repository.draws.splice('ev1', 'dan', 'alice')).error).toBeNull()
+    expect((await repository.draws.splice('ev1', 'dan', 'alice')).error.message).toBe('Participant "dan" is already in the draw')
+
+    const { data: chain } = await repository.draws.getChain('ev1')
+    expect(Object.fromEntries(chain.map(p => [p.id, p.drawn_participant_id])))
+      .toEqual({ admin: null, alice: 'dan', bob: 'alice', dan: 'bob' })
+    expect((await repository.draws.getLatest('ev1')).data.amendments)
+      .toEqual([{ participant_id: 'dan', giver_id: 'alice', receiver_id: 'bob' }])
+    expect((await repository.auth.fetchMemberships()).data[0].assignment_changed).toBe(false)
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.auth.fetchMemberships()).data[0].assignment_changed).toBe(true)
+    await repository.participants.acknowledgeAssignmentChange('ev1')
+    expect((await repository.auth.fetchMemberships()).data[0].assignment_changed).toBe(false)
+  })
+
+  it('withdraws participants only with a repair that keeps the draw valid', async () => {
+    await repository.auth.register('dan', 'Dan', 'pw')
+    await repository.events.join('ABCD2345')
+    await repository.auth.signIn('admin', 'secret')
+    // alice -> bob -> dan -> alice
+    await repository.draws.save('ev1', record, [
+      { giver_id: 'alice', receiver_id: 'bob' },
+      { giver_id: 'bob', receiver_id: 'dan' },
+      { giver_id: 'dan', receiver_id: 'alice' },
+    ])
+
+    expect((await repository.draws.withdraw('ev1', 'admin', [])).error.message).toBe('There must be at least one admin')
+    expect((await repository.draws.withdraw('ev1', 'dan', [])).error.message).toBe('Participant "bob" has nobody to buy for')
+    expect((await repository.draws.withdraw('ev1', 'dan', [{ giver_id: 'bob', receiver_id: 'bob' }])).error.message)
+      .toBe('A participant was assigned to themselves')
+
+    await repository.exclusions.add('ev1', { participant_id: 'bob', excluded_id: 'alice', mutual: false })
+    expect((await repository.draws.withdraw('ev1', 'dan', [{ giver_id: 'bob', receiver_id: 'alice' }])).error.message)
+      .toBe('That link is not allowed by the exclusions')
+    expect((await repository.draws.getChain('ev1')).data).toHaveLength(4)
+
+    await repository.exclusions.remove((await repository.exclusions.list('ev1')).data[0].id)
+    expect((await repository.draws.withdraw('ev1', 'dan', [{ giver_id: 'bob', receiver_id: 'alice' }])).error).toBeNull()
+
+    const { data: chain } = await repository.draws.getChain('ev1')
+    expect(chain.map(p => [p.id, p.drawn_participant_id])).toEqual([['admin', null], ['alice', 'bob'], ['bob', 'alice']])
+    expect((await repository.draws.getLatest('ev1')).data.amendments)
+      .toEqual([{ withdrawn_id: 'dan', repairs: [{ giver_id: 'bob', receiver_id: 'alice' }] }])
+  })
+
+  it('only lets admins set the budget, and holds wishes to it', async () => {
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.events.setBudget('ev1', 0, 500)).error.message).toBe('Only admins can change the budget')
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.events.setBudget('ev1', 0, 500)
+    expect((await repository.events.getByCode('ABCD2345')).data).toMatchObject({ budget_min: 0, budget_max: 500 })
+    expect((await repository.events.getById('ev1')).data).toMatchObject({ name: expect.any(String), budget_min: 0, budget_max: 500 })
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.participants.updateMyWishes('ev1', [{ title: 'Bike', price: 9000 }])).error.message).toBe('"Bike" is over the budget')
+    expect((await repository.participants.updateMyWishes('ev1', [{ title: 'Tea', price: 200 }])).data).toMatchObject({ budget_max: 500 })
+  })
+
+  it('imports participants all or nothing, leaving out usernames that are taken', async () => {
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.participants.import('ev1', [{ id: 'carol', password: 'pw' }])).error.message)
+      .toBe('Only admins can import participants')
+
+    await repository.auth.signIn('admin', 'secret')
+    const { data: eventId } = await repository.events.create('Family')
+    expect((await repository.participants.import(eventId, [
+      { id: 'carol', name: 'Carol', password: 'pw' },
+      { id: 'Carol', name: 'Carol again', password: 'pw' },
+    ])).error.message).toBe('"Carol" is already in this event')
+    expect((await repository.participants.import(eventId, [{ id: 'dan', name: 'Dan' }])).error.message).toBe('"dan" needs a password')
+    expect((await repository.participants.list(eventId)).data.map(p => p.id)).toEqual(['admin'])
+
+    const { data: created } = await repository.participants.import(eventId, [
+      { id: 'carol', name: 'Carol', wishes: [{ title: 'Tea' }], password: 'temp-pass' },
+      { id: 'ALICE', name: 'Alice B.', password: 'ignored' },
+    ])
+    expect(created).toEqual(['carol'])
+
+    const { data: people } = await repository.participants.exportAll(eventId)
+    expect(people.map(p => [p.id, p.name, p.wishes])).toEqual([
+      ['admin', 'Admin', []],
+      ['carol', 'Carol', [{ title: 'Tea' }]],
+    ])
+
+    expect((await repository.auth.signIn('carol', 'temp-pass')).data.map(m => m.event_id)).toEqual([eventId])
+    expect((await repository.auth.signIn('alice', 'secret')).data).toHaveLength(1)
+    expect((await repository.participants.exportAll(eventId)).error.message).toBe('Only admins can export the event')
+  })
+
+  it('saves the language on the account', async () => {
+    expect((await repository.auth.setLocale('th')).error.message).toBe('Not logged in')
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.auth.getLocale()).data).toBeNull()
+    expect((await repository.auth.setLocale('fr')).error.message).toBe('Unknown language')
+    await repository.auth.setLocale('th')
+
+    await repository.auth.signIn('admin', 'secret')
+    expect((await repository.auth.getLocale()).data).toBeNull()
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.auth.getLocale()).data).toBe('th')
+  })
+
+  it('joins events by invite code and creates new ones', async () => {
+    await repository.auth.register('dan', 'Dan', 'pw')
+
+    expect((await repository.events.join('nope')).error.message).toBe('No event with that invite code')
+    expect((await repository.events.join('abcd2345')).data).toBe('ev1')
+
+    const { data: eventId } = await repository.events.create('Family', true)
+    const { data } = await repository.auth.fetchMemberships()
+    expect(data.map(m => [m.event_name, m.role])).toEqual([['Party', 'participant'], ['Family', 'admin']])
+    expect((await repository.events.getByCode(data[1].join_code)).data).toEqual({ id: eventId, name: 'Family', budget_min: null, budget_max: null })
+  })
+
+  it('saves to storage and picks up where it left off', async () => {
+    const items = new Map()
+    const storage = { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) }
+
+    const first = createMemoryRepository({ storage })
+    await first.reset(seedState)
+    await first.auth.signIn('alice', 'secret')
+    await first.participants.updateMyWishes('ev1', ['Books'])
+
+    const second = createMemoryRepository({ storage })
+    const { data } = await second.auth.fetchMemberships()
+    expect(data[0].wishes).toEqual(['Books'])
+  })
+
+  it('restores sessions until they expire or are ended everywhere', async () => {
+    await repository.reset({
+      ...seedState,
+      session: 'old',
+      sessions: [
+        { token: 'old', account_id: 'alice', expires_at: '2000-01-01T00:00:00.000Z' },
+        { token: 'phone', account_id: 'alice', expires_at: '2999-01-01T00:00:00.000Z' },
+      ],
+    })
+    expect((await repository.auth.restoreSession()).data).toBeNull()
+
+    await repository.auth.signIn('alice', 'secret')
+    expect((await repository.auth.restoreSession()).data[0].id).toBe('alice')
+
+    await repository.auth.signIn('admin', 'secret')
+    await repository.auth.signOut()
+    expect((await repository.auth.restoreSession()).data).toBeNull()
+  })
+
+  it('ends every session of the account when logging out everywhere', async () => {
+    const items = new Map()
+    const storage = { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) }
+    const sessions = () => JSON.parse(items.get('lp5-ny.memoryRepository')).sessions.map(s => s.account_id)
+
+    const laptop = createMemoryRepository({ storage })
+    await laptop.reset({
+      ...seedState,
+      sessions: [
+        { token: 'phone', account_id: 'alice', expires_at: '2999-01-01T00:00:00.000Z' },
+        { token: 'tablet', account_id: 'admin', expires_at: '2999-01-01T00:00:00.000Z' },
+      ],
+    })
+    await laptop.auth.signIn('alice', 'secret')
+    expect(sessions()).toEqual(['alice', 'admin', 'alice'])
+
+    await laptop.auth.signOut({ everywhere: true })
+    expect(sessions()).toEqual(['admin'])
+  })
+
+  it('tells other tabs when the session ends', async () => {
+    const items = new Map()
+    const storage = { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) }
+
+    const first = createMemoryRepository({ storage })
+    await first.reset(seedState)
+    await first.auth.signIn('alice', 'secret')
+
+    const second = createMemoryRepository({ storage })
+    const ended = vi.fn()
+    second.auth.onSessionEnded(ended)
+
+    await first.auth.signOut()
+    window.dispatchEvent(new StorageEvent('storage', { key: 'lp5-ny.memoryRepository' }))
+
+    expect(ended).toHaveBeenCalledTimes(1)
+    expect((await second.auth.restoreSession()).data).toBeNull()
+  })
+})
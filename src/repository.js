@@ -0,0 +1,29 @@
+// All data access goes through this repository, so components never talk to
+// Supabase directly and the backend can be swapped:
+//
+// - supabaseRepository.js: the real thing, used when VITE_SUPABASE_URL and
+//   VITE_SUPABASE_ANON_KEY are set.
+// - memoryRepository.js: keeps everything in this browser's localStorage,
+//   for working on the app without a Supabase project. Used when Supabase
+//   is not configured, or when VITE_DATA_BACKEND=memory.
+//
+// Both have the same shape (auth, events, participants, exclusions, draws,
+// reveal, messages, live), every method is async and resolves to { data, error } like
+// supabase-js, and permission checks happen behind it, not in the UI.
+//
+// `live` tells you when an event changed (see liveUpdates.js). With Supabase
+// it uses Realtime by default; VITE_LIVE_UPDATES=polling asks every few
+// seconds instead, for projects without Realtime.
+import { supabase } from './supabaseClient'
+import { supabaseRepository } from './supabaseRepository'
+import { createMemoryRepository } from './memoryRepository'
+import { createPollingTransport, createRealtimeTransport } from './liveUpdates'
+
+const backend = import.meta.env.VITE_DATA_BACKEND || (supabase ? 'supabase' : 'memory')
+
+const liveTransport = () =>
+  import.meta.env.VITE_LIVE_UPDATES === 'polling' ? createPollingTransport() : createRealtimeTransport(supabase)
+
+export const repository = backend === 'memory'
+  ? createMemoryRepository()
+  : { ...supabaseRepository, live: liveTransport() }
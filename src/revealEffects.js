@@ -0,0 +1,47 @@
+// Effects for the on-stage reveal: the name spinning like a roulette before
+// it lands on the receiver, tick sounds while it spins, and confetti at the
+// end. Settings are per browser, since they belong to the laptop on the
+// projector rather than to the event.
+
+const EFFECTS_KEY = 'lp5-ny.revealEffects'
+
+export const SPIN_DURATIONS = { slow: 4000, normal: 2500, fast: 1200 }
+
+export const defaultEffects = { spin: true, speed: 'normal', sound: false, confetti: true }
+
+export const loadEffects = () => {
+  try {
+    return { ...defaultEffects, ...JSON.parse(localStorage.getItem(EFFECTS_KEY)) }
+  } catch {
+    return defaultEffects
+  }
+}
+
+export const saveEffects = (effects) => localStorage.setItem(EFFECTS_KEY, JSON.stringify(effects))
+
+// Spinning names and falling confetti are exactly what "reduce motion" asks
+// to leave out, so then names just appear
+export const prefersReducedMotion = () =>
+  window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false
+
+// When each name of a spin shows, in ms from the start: quick at first,
+// slowing down towards the end like a wheel. The last one is the receiver.
+export const spinTimes = (duration, ticks = 20) =>
+  Array.from({ length: ticks }, (_, i) => Math.round(duration * (1 - Math.pow(1 - (i + 1) / ticks, 3))))
+
+let audio = null
+
+// A short beep; made on the spot, so there are no sound files to ship
+export const playTone = (frequency = 880, seconds = 0.03) => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+
+  audio ??= new AudioContext()
+  const oscillator = audio.createOscillator()
+  const gain = audio.createGain()
+  oscillator.frequency.value = frequency
+  gain.gain.value = 0.05
+  oscillator.connect(gain).connect(audio.destination)
+  oscillator.start()
+  oscillator.stop(audio.currentTime + seconds)
+}
@@ -0,0 +1,7 @@
+// Role helpers. Roles live on the participant row and are enforced by the
+// database (is_admin() in the migrations); these only decide what to show.
+
+export const isAdmin = (participant) => participant?.role === 'admin'
+
+// Organizers can opt out of the draw. Rows without the flag take part.
+export const takesPart = (participant) => participant.participates !== false
@@ -0,0 +1,31 @@
+// Client-side routing on the History API. Each screen has its own URL, so
+// the back button works and the admin can bookmark the chain or open the
+// presenter screen on the projector laptop from a link. The host has to
+// serve index.html for every path (Vite's dev server and preview do).
+//
+// The routes and who may see them are in routes.js; this is only the
+// plumbing.
+import { useSyncExternalStore } from 'react'
+
+// pushState/replaceState fire no event, so navigate() tells these itself
+const listeners = new Set()
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
+
+// `to` may have a query string ('/join?code=...'). Replacing is for
+// redirects, which shouldn't leave a history entry that bounces back.
+export const navigate = (to, { replace = false, state = null } = {}) => {
+  const current = window.location.pathname + window.location.search
+  if (to === current && !replace) return
+  window.history[replace ? 'replaceState' : 'pushState'](state, '', to)
+  listeners.forEach(listener => listener())
+}
+
+export const usePath = () => useSyncExternalStore(subscribe, () => window.location.pathname)
@@ -0,0 +1,29 @@
+// The app's screens and who may see them. App checks redirectFor() on every
+// render and sends people elsewhere with a redirect (the URL changes too),
+// rather than quietly showing a different screen under the same URL.
+
+export const ROUTES = {
+  login: '/login',
+  join: '/join',
+  me: '/me',
+  wishes: '/me/wishes',
+  chain: '/admin/chain',
+  presenter: '/admin/chain/present'
+}
+
+const PUBLIC = [ROUTES.login, ROUTES.join]
+const MEMBER = [ROUTES.me, ROUTES.wishes]
+const ADMIN = [ROUTES.chain, ROUTES.presenter]
+
+// Where someone on `path` should be sent instead, or null if they may stay.
+// `from` is the page a logged-out visitor was sent to the login from, so
+// they land back on it after logging in.
+export const redirectFor = (path, { loggedIn, isAdmin, from = null }) => {
+  if (!loggedIn) return PUBLIC.includes(path) ? null : ROUTES.login
+  if (MEMBER.includes(path)) return null
+  if (ADMIN.includes(path)) return isAdmin ? null : ROUTES.me
+
+  // Logged in on the login pages, or on a path we don't know
+  const target = [...MEMBER, ...ADMIN].includes(from) ? from : ROUTES.me
+  return redirectFor(target, { loggedIn, isAdmin }) ?? target
+}
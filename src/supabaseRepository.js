@@ -0,0 +1,219 @@
+// The Supabase backend of the repository (see repository.js). Reads go
+// through the views and writes through the RPCs in supabase/migrations, which
+// also do the permission checks.
+import { supabase } from './supabaseClient'
+import { signIn, register, signOut, fetchMemberships, restoreSession, onSessionEnded } from './auth'
+
+export const supabaseRepository = {
+  backend: 'supabase',
+
+  auth: {
+    signIn, register, signOut, fetchMemberships, restoreSession, onSessionEnded,
+
+    // The language saved on the account (null if none yet), so it follows
+    // people to other devices
+    getLocale: () => supabase.rpc('get_my_locale'),
+
+    setLocale: (locale) => supabase.rpc('set_my_locale', { p_locale: locale })
+  },
+
+  events: {
+    // Anyone holding an invite code may see which event it is for
+    getByCode: async (code) => {
+      const { data, error } = await supabase.rpc('get_event_by_code', { p_code: code })
+      return { data: data?.[0] || null, error }
+    },
+
+    // The same, for the event last used on this device
+    getById: async (eventId) => {
+      const { data, error } = await supabase.rpc('get_event_by_id', { p_event_id: eventId })
+      return { data: data?.[0] || null, error }
+    },
+
+    create: (name, participates = false) =>
+      supabase.rpc('create_event', { p_name: name, p_participates: participates }),
+
+    join: (code, name = null) =>
+      supabase.rpc('join_event', { p_code: code, p_name: name }),
+
+    setBudget: (eventId, min, max) =>
+      supabase.rpc('set_event_budget', { p_event_id: eventId, p_min: min, p_max: max }),
+  },
+
+  participants: {
+    // Public fields only; see participants_public in the migrations
+    list: (eventId) =>
+      supabase
+        .from('participants_public')
+        .select('id, name, role, participates')
+        .eq('event_id', eventId),
+
+    updateMyWishes: (eventId, wishes) =>
+      supabase
+        .rpc('update_my_wishes', { p_event_id: eventId, p_wishes: wishes })
+        .single(),
+
+    setMyGiftStatus: (eventId, status) =>
+      supabase
+        .rpc('set_my_gift_status', { p_event_id: eventId, p_status: status })
+        .single(),
+
+    confirmGiftReceived: (eventId) =>
+      supabase
+        .rpc('confirm_gift_received', { p_event_id: eventId })
+        .single(),
+
+    // Admins only; no pairings, see get_gift_progress()
+    getGiftProgress: (eventId) =>
+      supabase.rpc('get_gift_progress', { p_event_id: eventId }),
+
+    setRole: (eventId, id, role, participates) =>
+      supabase.rpc('set_participant_role', {
+        p_event_id: eventId,
+        p_id: id,
+        p_role: role,
+        p_participates: participates
+      }),
+
+    // Admins only. Rows are { id, name, wishes, password }; returns the
+    // usernames that got a new account (taken ones are left out).
+    import: (eventId, rows) =>
+      supabase.rpc('import_participants', { p_event_id: eventId, p_participants: rows }),
+
+    // Admins only: everyone's wishes and receiver, for the export
+    exportAll: (eventId) =>
+      supabase.rpc('get_event_export', { p_event_id: eventId }),
+
+    // Clears the "your assignment changed" notice on our own row
+    acknowledgeAssignmentChange: (eventId) =>
+      supabase.rpc('acknowledge_assignment_change', { p_event_id: eventId }),
+  },
+
+  exclusions: {
+    list: (eventId) =>
+      supabase
+        .from('exclusions')
+        .select('*')
+        .eq('event_id', eventId),
+
+    add: (eventId, { participant_id, excluded_id, mutual }) =>
+      supabase
+        .from('exclusions')
+        .insert([{ event_id: eventId, participant_id, excluded_id, mutual }])
+        .select()
+        .single(),
+
+    remove: (id) =>
+      supabase
+        .from('exclusions')
+        .delete()
+        .eq('id', id),
+  },
+
+  draws: {
+    // Computed server-side so nobody needs to read other people's rows
+    getStatus: (eventId) =>
+      supabase.rpc('get_lottery_status', { p_event_id: eventId }),
+
+    // The audit record and every assignment in one transaction
+    save: (eventId, record, assignments) =>
+      supabase.rpc('save_draw', {
+        p_event_id: eventId,
+        p_record: record,
+        p_assignments: assignments
+      }),
+
+    // The seed stays null here until the reveal
+    getLatestCommitment: (eventId) =>
+      supabase
+        .from('draw_commitments')
+        .select('commitment, seed')
+        .eq('event_id', eventId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+
+    // Admins only: the full audit record, seed included
+    getLatest: (eventId) =>
+      supabase
+        .from('draws')
+        .select('*')
+        .eq('event_id', eventId)
+        .is('cleared_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+
+    // Admins only: the full giver -> receiver chain
+    getChain: (eventId) =>
+      supabase.rpc('get_draw_chain', { p_event_id: eventId }),
+
+    // Clears every assignment; the draw is kept for restorePrevious
+    clear: (eventId) =>
+      supabase.rpc('clear_draw', { p_event_id: eventId }),
+
+    // Admins only: the most recently cleared draw, if there is one
+    getPrevious: (eventId) =>
+      supabase
+        .from('draws')
+        .select('id, created_at, cleared_at')
+        .eq('event_id', eventId)
+        .not('cleared_assignments', 'is', null)
+        .order('cleared_at', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+
+    restorePrevious: (eventId) =>
+      supabase.rpc('restore_previous_draw', { p_event_id: eventId }),
+
+    // A late joiner takes over giverId's receiver, and giverId gives to them
+    splice: (eventId, participantId, giverId) =>
+      supabase.rpc('splice_into_draw', {
+        p_event_id: eventId,
+        p_participant_id: participantId,
+        p_giver_id: giverId
+      }),
+
+    // Only the links that change, from repairChain()/withdrawFromChain()
+    repair: (eventId, repairs) =>
+      supabase.rpc('repair_draw', { p_event_id: eventId, p_repairs: repairs }),
+
+    // Takes someone out of the event and repairs the chain in one go
+    withdraw: (eventId, participantId, repairs) =>
+      supabase.rpc('repair_draw', {
+        p_event_id: eventId,
+        p_repairs: repairs,
+        p_withdrawn_id: participantId
+      }),
+  },
+
+  reveal: {
+    // The receiver's wishes, plus their name once it has been revealed
+    getMyAssignment: (eventId) =>
+      supabase.rpc('get_my_assignment', { p_event_id: eventId }),
+
+    revealAll: (eventId) =>
+      supabase.rpc('reveal_all_names', { p_event_id: eventId }),
+
+    // One giver at a time, for the step-by-step reveal
+    revealOne: (eventId, giverId) =>
+      supabase.rpc('reveal_participant', { p_event_id: eventId, p_giver_id: giverId }),
+
+    // null cancels the schedule
+    schedule: (eventId, revealAt) =>
+      supabase.rpc('schedule_reveal', { p_event_id: eventId, p_reveal_at: revealAt }),
+
+    // Reveals only if the scheduled time has passed, checked by the database
+    revealIfDue: (eventId) =>
+      supabase.rpc('reveal_if_due', { p_event_id: eventId }),
+  },
+
+  // Only the caller's own threads, through the messages migration's functions
+  messages: {
+    list: (eventId) =>
+      supabase.rpc('get_my_messages', { p_event_id: eventId }),
+
+    send: (eventId, to, body) =>
+      supabase.rpc('send_message', { p_event_id: eventId, p_to: to, p_body: body }),
+  },
+}
@@ -0,0 +1,66 @@
+// Wish lists. A wish is { title, link, price, surprise }, most wanted first:
+// the order of the list is the priority. `surprise` means "surprise me / no
+// preference", with the title as an optional hint ("something for the
+// kitchen"). Lists saved before this are plain strings, three of them with
+// blanks for unused slots; normalizeWishes() turns those into wishes too, so
+// old rows keep working without a migration.
+import { DEFAULT_LOCALE, formatCurrency, translate } from './i18n'
+
+export const MAX_WISHES = 20
+
+export const CURRENCY = 'THB'
+
+export const emptyWish = () => ({ title: '', link: '', price: null, surprise: false })
+
+export const normalizeWish = (wish) =>
+  typeof wish === 'string' ? { ...emptyWish(), title: wish } : { ...emptyWish(), ...wish }
+
+// Drops blank entries, like the empty slots of the old three-wish form. One
+// with a link or price but no title stays, for validateWishes() to turn down.
+export const normalizeWishes = (wishes) =>
+  (wishes || []).map(normalizeWish).filter(w => w.surprise || w.title.trim() || w.link.trim() || w.price != null)
+
+// Only plain web links are rendered as links, never javascript: and the like
+export const isSafeLink = (link) => /^https?:\/\/\S+$/i.test(link.trim())
+
+// Whether a wish costs more than the event's budget allows. Wishes without a
+// price, and events without an upper limit, are never over.
+export const isOverBudget = (wish, budget) =>
+  wish.price != null && budget?.budget_max != null && wish.price > budget.budget_max
+
+// What is wrong with a list before saving, or null. update_my_wishes() runs
+// the same checks. `budget` is the event (or membership) with budget_min and
+// budget_max.
+export const validateWishes = (wishes, budget = null) => {
+  if (wishes.length > MAX_WISHES) return `At most ${MAX_WISHES} wishes, please`
+  for (const wish of wishes) {
+    if (!wish.surprise && !wish.title?.trim() && (wish.link || wish.price != null)) return 'Every wish needs a title'
+    if (wish.link && !isSafeLink(wish.link)) return `"${wish.link}" is not a web link (http:// or https://)`
+    if (wish.price != null && !(Number.isFinite(wish.price) && wish.price >= 0)) return 'Prices must be a positive number'
+    if (isOverBudget(wish, budget)) return `"${wish.title}" is over the budget`
+  }
+  return null
+}
+
+// What gets saved: trimmed, with empty fields left out
+export const cleanWishes = (wishes) =>
+  normalizeWishes(wishes).map(({ title, link, price, surprise }) => ({
+    title: title.trim(),
+    ...(link.trim() && { link: link.trim() }),
+    ...(price != null && { price }),
+    ...(surprise && { surprise: true })
+  }))
+
+export const formatPrice = (price, locale = DEFAULT_LOCALE) => formatCurrency(price, CURRENCY, locale)
+
+// "฿500–฿1,000", "up to ฿1,000" or "at least ฿500", in the given language;
+// null if there is no budget
+export const formatBudget = (budget, locale = DEFAULT_LOCALE) => {
+  const min = budget?.budget_min ?? null
+  const max = budget?.budget_max ?? null
+  const price = (value) => formatPrice(value, locale)
+  if (min != null && max != null) return min === max ? price(max) : translate(locale, 'budget.range', { min: price(min), max: price(max) })
+  if (max != null) return translate(locale, 'budget.upTo', { max: price(max) })
+  if (min != null) return translate(locale, 'budget.atLeast', { min: price(min) })
+  return null
+}
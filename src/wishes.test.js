@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeWishes, cleanWishes, validateWishes, isSafeLink, formatBudget, MAX_WISHES } from './wishes'
+
+describe('wishes', () => {
+  it('reads old three-string lists, dropping the empty slots', () => {
+    expect(normalizeWishes(['Tea', '', 'Socks'])).toEqual([
+      { title: 'Tea', link: '', price: null, surprise: false },
+      { title: 'Socks', link: '', price: null, surprise: false },
+    ])
+    expect(normalizeWishes(null)).toEqual([])
+  })
+
+  it('keeps surprise wishes without a title', () => {
+    expect(normalizeWishes([{ title: '', surprise: true }, { title: ' ' }])).toEqual([
+      { title: '', link: '', price: null, surprise: true },
+    ])
+  })
+
+  it('turns down a wish with a link or price but no title instead of dropping it', () => {
+    const wishes = normalizeWishes([{ title: ' ', link: 'https://example.com/x' }, { title: '', price: 200 }])
+    expect(wishes).toHaveLength(2)
+    expect(validateWishes(wishes)).toBe('Every wish needs a title')
+    expect(validateWishes(normalizeWishes([{ title: '', link: '', price: null }]))).toBeNull()
+  })
+
+  it('saves only the fields that are filled in', () => {
+    expect(cleanWishes([
+      { title: ' Book ', link: ' https://example.com/book ', price: 300, surprise: false },
+      { title: '', link: '', price: null, surprise: true },
+      'Tea',
+    ])).toEqual([
+      { title: 'Book', link: 'https://example.com/book', price: 300 },
+      { title: '', surprise: true },
+      { title: 'Tea' },
+    ])
+  })
+
+  it('only accepts web links and sensible prices', () => {
+    expect(isSafeLink('https://example.com/x')).toBe(true)
+    expect(isSafeLink('javascript:alert(1)')).toBe(false)
+
+    expect(validateWishes([{ title: 'x', link: 'javascript:alert(1)' }])).toBe('"javascript:alert(1)" is not a web link (http:// or https://)')
+    expect(validateWishes([{ title: 'x', price: -5 }])).toBe('Prices must be a positive number')
+    expect(validateWishes(Array.from({ length: MAX_WISHES + 1 }, () => ({ title: 'x' })))).toBe('At most 20 wishes, please')
+    expect(validateWishes([{ title: 'x', link: 'http://example.com', price: 0 }])).toBeNull()
+  })
+
+  it('turns down wishes priced above the budget', () => {
+    const budget = { budget_min: 500, budget_max: 1000 }
+    expect(validateWishes([{ title: 'Watch', price: 5000 }], budget)).toBe('"Watch" is over the budget')
+    expect(validateWishes([{ title: 'Book', price: 1000 }, { title: 'Tea' }], budget)).toBeNull()
+    expect(validateWishes([{ title: 'Watch', price: 5000 }], { budget_min: 500, budget_max: null })).toBeNull()
+  })
+
+  it('describes open-ended budgets', () => {
+    expect(formatBudget({ budget_min: 500, budget_max: 1000 })).toMatch(/500.*–.*1,000/)
+    expect(formatBudget({ budget_min: null, budget_max: 1000 })).toMatch(/^up to .*1,000/)
+    expect(formatBudget({ budget_min: 500, budget_max: null })).toMatch(/^at least .*500/)
+    expect(formatBudget({ budget_min: null, budget_max: null })).toBeNull()
+  })
+})
@@ -0,0 +1,12 @@
+-- Draw exclusions: pairs of participants who must not draw each other
+-- (couples, teammates, "never give me X"). With mutual = false only
+-- participant_id is kept from drawing excluded_id.
+create table if not exists public.exclusions (
+  id bigint generated always as identity primary key,
+  participant_id text not null references public.participants (id) on delete cascade,
+  excluded_id text not null references public.participants (id) on delete cascade,
+  mutual boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint exclusions_distinct check (participant_id <> excluded_id),
+  constraint exclusions_unique unique (participant_id, excluded_id)
+);
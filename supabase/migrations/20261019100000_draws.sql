@@ -0,0 +1,15 @@
+-- Audit record for each draw. The seed plus the recorded inputs reproduce
+-- the assignments exactly; the commitment hash binds them together and can
+-- be shown to participants before the seed is made public at the reveal.
+create table if not exists public.draws (
+  id bigint generated always as identity primary key,
+  seed text not null,
+  participant_ids jsonb not null,
+  participants_hash text not null,
+  exclusions jsonb not null default '[]'::jsonb,
+  single_loop boolean not null default false,
+  commitment text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists draws_created_at_idx on public.draws (created_at desc);
@@ -0,0 +1,81 @@
+-- Save a whole draw as one unit: the audit record and every participant's
+-- assignment are written in the same transaction, so a failure part-way
+-- leaves the previous state untouched instead of a half-drawn table.
+--
+-- p_record:      the draws row (seed, participant_ids, participants_hash,
+--                exclusions, single_loop, commitment)
+-- p_assignments: [{ "giver_id": ..., "receiver_id": ... }, ...]
+create or replace function public.save_draw(p_record jsonb, p_assignments jsonb)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_draw_id bigint;
+  v_total int;
+  v_updated int;
+  v_missing text;
+begin
+  select count(*) into v_total from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text);
+
+  if v_total < 2 then
+    raise exception 'A draw needs at least 2 assignments';
+  end if;
+
+  if exists (
+    select 1 from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+    where a.giver_id = a.receiver_id
+  ) then
+    raise exception 'A participant was assigned to themselves';
+  end if;
+
+  if (select count(distinct a.giver_id) from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)) <> v_total
+    or (select count(distinct a.receiver_id) from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)) <> v_total then
+    raise exception 'Every participant must give and receive exactly once';
+  end if;
+
+  if exists (
+    select a.receiver_id from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+    except
+    select a.giver_id from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  ) then
+    raise exception 'Someone receives a gift without giving one';
+  end if;
+
+  select a.giver_id into v_missing
+  from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  where not exists (select 1 from public.participants p where p.id = a.giver_id)
+  limit 1;
+
+  if v_missing is not null then
+    raise exception 'Participant "%" no longer exists', v_missing;
+  end if;
+
+  insert into public.draws (seed, participant_ids, participants_hash, exclusions, single_loop, commitment)
+  values (
+    p_record->>'seed',
+    p_record->'participant_ids',
+    p_record->>'participants_hash',
+    coalesce(p_record->'exclusions', '[]'::jsonb),
+    coalesce((p_record->>'single_loop')::boolean, false),
+    p_record->>'commitment'
+  )
+  returning id into v_draw_id;
+
+  -- Anyone left out of the new draw loses their old assignment.
+  update public.participants
+  set drawn_participant_id = null, is_revealed = false
+  where drawn_participant_id is not null or is_revealed;
+
+  update public.participants p
+  set drawn_participant_id = a.receiver_id, is_revealed = false
+  from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  where p.id = a.giver_id;
+
+  get diagnostics v_updated = row_count;
+  if v_updated <> v_total then
+    raise exception 'Only % of % assignments could be saved', v_updated, v_total;
+  end if;
+
+  return v_draw_id;
+end;
+$$;
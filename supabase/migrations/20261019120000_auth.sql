@@ -0,0 +1,137 @@
+-- Move login to Supabase Auth and stop storing plaintext passwords.
+--
+-- Each participant is linked to an auth user through auth_user_id. Usernames
+-- map to synthetic emails on the client (src/auth.js), so email confirmation
+-- must be turned off for the project (Authentication > Providers > Email).
+--
+-- Existing accounts keep working: their plaintext password is hashed into
+-- pending_password_hash and the plaintext column is dropped. On first login
+-- begin_account_claim() checks the password against that hash and returns a
+-- one-time claim token; signing up with the token in the user metadata links
+-- the new auth user to the existing participant row.
+create extension if not exists pgcrypto with schema extensions;
+
+alter table public.participants
+  add column if not exists auth_user_id uuid unique references auth.users (id) on delete set null,
+  add column if not exists pending_password_hash text,
+  add column if not exists claim_token_hash text,
+  add column if not exists claim_token_expires_at timestamptz;
+
+update public.participants
+set pending_password_hash = extensions.crypt(password, extensions.gen_salt('bf'))
+where password is not null and password <> '';
+
+alter table public.participants drop column if exists password;
+
+-- Step one of claiming a pre-Auth account. Raises 'User not found' or
+-- 'Invalid password' so the login form can show the same messages as before.
+-- Accounts without a password hash (they never had a password, or their auth
+-- user was deleted, which clears auth_user_id) can't be claimed at all: an
+-- admin has to set a new pending_password_hash first.
+create or replace function public.begin_account_claim(p_id text, p_password text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_participant public.participants%rowtype;
+  v_token text;
+begin
+  select * into v_participant from public.participants where lower(id) = lower(p_id);
+
+  if not found then
+    raise exception 'User not found';
+  end if;
+
+  -- Already moved to Supabase Auth: sign-in failed, so the password is wrong.
+  if v_participant.auth_user_id is not null then
+    raise exception 'Invalid password';
+  end if;
+
+  if v_participant.pending_password_hash is null then
+    raise exception 'This account has no password. Ask an admin to reset it';
+  end if;
+
+  if v_participant.pending_password_hash <> crypt(p_password, v_participant.pending_password_hash) then
+    raise exception 'Invalid password';
+  end if;
+
+  v_token := encode(gen_random_bytes(24), 'hex');
+
+  update public.participants
+  set claim_token_hash = encode(digest(v_token, 'sha256'), 'hex'),
+      claim_token_expires_at = now() + interval '10 minutes'
+  where id = v_participant.id;
+
+  return jsonb_build_object('participant_id', v_participant.id, 'claim_token', v_token);
+end;
+$$;
+
+grant execute on function public.begin_account_claim(text, text) to anon, authenticated;
+
+-- Whether a username is in use, checked before signing up: the trigger below
+-- refuses taken ones too, but Supabase only passes that on as "Database error
+-- saving new user". Unclaimed pre-Auth accounts have no auth user, so signUp
+-- alone wouldn't notice them.
+create or replace function public.is_username_taken(p_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.participants where lower(id) = lower(trim(p_id)));
+$$;
+
+grant execute on function public.is_username_taken(text) to anon, authenticated;
+
+-- Links new auth users to participants. A sign-up either registers a new
+-- participant (metadata: participant_id, name) or claims an existing one
+-- (metadata: participant_id, claim_token).
+create or replace function public.handle_new_auth_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_id text := new.raw_user_meta_data->>'participant_id';
+  v_claim_token text := new.raw_user_meta_data->>'claim_token';
+begin
+  if v_id is null then
+    return new;
+  end if;
+
+  if v_claim_token is not null then
+    update public.participants
+    set auth_user_id = new.id,
+        pending_password_hash = null,
+        claim_token_hash = null,
+        claim_token_expires_at = null
+    where id = v_id
+      and auth_user_id is null
+      and claim_token_hash = encode(digest(v_claim_token, 'sha256'), 'hex')
+      and claim_token_expires_at > now();
+
+    if not found then
+      raise exception 'Account claim is invalid or has expired';
+    end if;
+    return new;
+  end if;
+
+  if exists (select 1 from public.participants where lower(id) = lower(v_id)) then
+    raise exception 'Username already taken';
+  end if;
+
+  insert into public.participants (id, name, auth_user_id)
+  values (v_id, coalesce(new.raw_user_meta_data->>'name', v_id), new.id);
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_auth_user();
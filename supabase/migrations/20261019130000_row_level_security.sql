@@ -0,0 +1,189 @@
+-- Row-level security: browsers no longer read the participants table
+-- directly. Everyone gets public fields through participants_public and
+-- their own row through my_participant; only admins can read the full chain.
+-- Everything else goes through the functions below, which check the caller.
+alter table public.participants enable row level security;
+alter table public.exclusions enable row level security;
+alter table public.draws enable row level security;
+
+revoke all on public.participants from anon, authenticated;
+revoke all on public.exclusions from anon, authenticated;
+revoke all on public.draws from anon, authenticated;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.participants
+    where auth_user_id = auth.uid() and id = 'admin'
+  );
+$$;
+
+grant execute on function public.is_admin() to anon, authenticated;
+
+-- Names only. Views run with their owner's rights, so they can expose a few
+-- columns of a table the caller cannot read.
+create or replace view public.participants_public as
+  select id, name from public.participants;
+
+grant select on public.participants_public to anon, authenticated;
+
+-- The caller's own row. has_assignment replaces drawn_participant_id, which
+-- would give the receiver away before the reveal.
+create or replace view public.my_participant as
+  select id, name, wishes, is_revealed, drawn_participant_id is not null as has_assignment
+  from public.participants
+  where auth_user_id = auth.uid();
+
+grant select on public.my_participant to authenticated;
+
+-- Draw commitments for everyone; the seed only once names are revealed.
+create or replace view public.draw_commitments as
+  select
+    id,
+    commitment,
+    participants_hash,
+    case when exists (select 1 from public.participants where is_revealed) then seed end as seed,
+    created_at
+  from public.draws;
+
+grant select on public.draw_commitments to anon, authenticated;
+
+create or replace function public.get_lottery_status()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'drawn', exists (select 1 from public.participants where drawn_participant_id is not null),
+    'revealed', exists (select 1 from public.participants where is_revealed),
+    'participant_count', (select count(*) from public.participants)
+  );
+$$;
+
+grant execute on function public.get_lottery_status() to anon, authenticated;
+
+-- The caller's receiver: wishes always, name only after the reveal.
+create or replace function public.get_my_assignment()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'wishes', receiver.wishes,
+    'name', case when giver.is_revealed then receiver.name end
+  )
+  from public.participants giver
+  join public.participants receiver on receiver.id = giver.drawn_participant_id
+  where giver.auth_user_id = auth.uid();
+$$;
+
+grant execute on function public.get_my_assignment() to authenticated;
+
+create or replace function public.update_my_wishes(p_wishes jsonb)
+returns setof public.my_participant
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.participants
+  set wishes = p_wishes
+  where auth_user_id = auth.uid();
+
+  if not found then
+    raise exception 'Not logged in';
+  end if;
+
+  return query select * from public.my_participant;
+end;
+$$;
+
+grant execute on function public.update_my_wishes(jsonb) to authenticated;
+
+-- Admin only: the full giver -> receiver chain.
+create or replace function public.get_draw_chain()
+returns table (id text, name text, drawn_participant_id text, is_revealed boolean)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can view the gift exchange chain';
+  end if;
+
+  return query
+    select p.id, p.name, p.drawn_participant_id, p.is_revealed
+    from public.participants p;
+end;
+$$;
+
+grant execute on function public.get_draw_chain() to authenticated;
+
+create or replace function public.reveal_all_names()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can reveal names';
+  end if;
+
+  update public.participants set is_revealed = true where drawn_participant_id is not null;
+end;
+$$;
+
+grant execute on function public.reveal_all_names() to authenticated;
+
+-- save_draw now runs with elevated rights, so it has to check the caller,
+-- and only logged-in users may call it at all (functions are executable by
+-- public unless revoked).
+alter function public.save_draw(jsonb, jsonb) security definer set search_path = public;
+revoke execute on function public.save_draw(jsonb, jsonb) from public, anon;
+
+create or replace function public.assert_admin_for_draw()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Callers without a user (the anon key) are refused too: a draw is only
+  -- ever saved by a logged-in admin.
+  if auth.uid() is null or not public.is_admin() then
+    raise exception 'Only admins can start the draw';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists draws_admin_only on public.draws;
+create trigger draws_admin_only
+  before insert on public.draws
+  for each row execute function public.assert_admin_for_draw();
+
+grant execute on function public.save_draw(jsonb, jsonb) to authenticated;
+
+-- Exclusions are admin business.
+create policy "Admins manage exclusions" on public.exclusions
+  for all to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+grant select, insert, delete on public.exclusions to authenticated;
+
+create policy "Admins read draws" on public.draws
+  for select to authenticated
+  using (public.is_admin());
+
+grant select on public.draws to authenticated;
@@ -0,0 +1,115 @@
+-- Admin roles instead of the hard-coded 'admin' username. Any number of
+-- participants can be admins (organizers), and an organizer can choose to
+-- take part in the draw too. Whoever registered as 'admin' keeps the role.
+alter table public.participants
+  add column if not exists role text not null default 'participant',
+  add column if not exists participates boolean not null default true;
+
+alter table public.participants
+  drop constraint if exists participants_role_check,
+  add constraint participants_role_check check (role in ('participant', 'admin'));
+
+update public.participants
+set role = 'admin', participates = false
+where id = 'admin';
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.participants
+    where auth_user_id = auth.uid() and role = 'admin'
+  );
+$$;
+
+-- New columns go at the end so the views can be replaced in place.
+create or replace view public.participants_public as
+  select id, name, role, participates from public.participants;
+
+create or replace view public.my_participant as
+  select id, name, wishes, is_revealed, drawn_participant_id is not null as has_assignment, role, participates
+  from public.participants
+  where auth_user_id = auth.uid();
+
+drop function if exists public.get_draw_chain();
+create function public.get_draw_chain()
+returns table (id text, name text, drawn_participant_id text, is_revealed boolean, participates boolean)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can view the gift exchange chain';
+  end if;
+
+  return query
+    select p.id, p.name, p.drawn_participant_id, p.is_revealed, p.participates
+    from public.participants p;
+end;
+$$;
+
+grant execute on function public.get_draw_chain() to authenticated;
+
+-- Admin only: promote/demote organizers and set who takes part in the draw.
+create or replace function public.set_participant_role(p_id text, p_role text, p_participates boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can change roles';
+  end if;
+
+  if p_role <> 'admin' and not exists (
+    select 1 from public.participants where role = 'admin' and id <> p_id
+  ) then
+    raise exception 'There must be at least one admin';
+  end if;
+
+  update public.participants
+  set role = p_role, participates = p_participates
+  where id = p_id;
+
+  if not found then
+    raise exception 'Participant "%" not found', p_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.set_participant_role(text, text, boolean) to authenticated;
+
+-- The draw must cover exactly the participants who take part.
+create or replace function public.assert_admin_for_draw()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Callers without a user (the anon key) are refused too: a draw is only
+  -- ever saved by a logged-in admin.
+  if auth.uid() is null or not public.is_admin() then
+    raise exception 'Only admins can start the draw';
+  end if;
+
+  if exists (
+    select id from public.participants where participates
+    except
+    select jsonb_array_elements_text(new.participant_ids)
+  ) or exists (
+    select jsonb_array_elements_text(new.participant_ids)
+    except
+    select id from public.participants where participates
+  ) then
+    raise exception 'The draw must include exactly the participants who take part';
+  end if;
+
+  return new;
+end;
+$$;
@@ -0,0 +1,616 @@
+-- Multiple events. Each event (the New Year party, a department exchange, a
+-- family one) has its own participants, draw, reveal state and admins, and
+-- people join through the event's invite code.
+--
+-- Login accounts move to their own table: one account (username + Supabase
+-- Auth user) can be a participant in several events, with a display name,
+-- wishes, role and assignment per event. Existing data becomes the first
+-- event.
+
+-- Everything that is redefined per event below.
+drop view if exists public.my_participant cascade;
+drop view if exists public.participants_public;
+drop view if exists public.draw_commitments;
+drop function if exists public.get_lottery_status();
+drop function if exists public.get_my_assignment();
+drop function if exists public.update_my_wishes(jsonb);
+drop function if exists public.get_draw_chain();
+drop function if exists public.reveal_all_names();
+drop function if exists public.set_participant_role(text, text, boolean);
+drop function if exists public.save_draw(jsonb, jsonb);
+drop trigger if exists draws_admin_only on public.draws;
+drop function if exists public.assert_admin_for_draw();
+drop policy if exists "Admins manage exclusions" on public.exclusions;
+drop policy if exists "Admins read draws" on public.draws;
+drop function if exists public.is_admin();
+
+-- Events --------------------------------------------------------------------
+
+-- Eight characters without look-alikes (0/O, 1/I/L), easy to read out loud.
+create or replace function public.generate_join_code()
+returns text
+language sql
+volatile
+as $$
+  select string_agg(substr('ABCDEFGHJKMNPQRSTUVWXYZ23456789', (floor(random() * 31) + 1)::int, 1), '')
+  from generate_series(1, 8);
+$$;
+
+create table if not exists public.events (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  join_code text not null unique default public.generate_join_code(),
+  created_at timestamptz not null default now()
+);
+
+alter table public.events enable row level security;
+revoke all on public.events from anon, authenticated;
+
+insert into public.events (name) values ('LP5 New Year''s Party');
+
+-- Accounts ------------------------------------------------------------------
+
+create table if not exists public.accounts (
+  id text primary key,
+  name text not null,
+  auth_user_id uuid unique references auth.users (id) on delete set null,
+  pending_password_hash text,
+  claim_token_hash text,
+  claim_token_expires_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.accounts enable row level security;
+revoke all on public.accounts from anon, authenticated;
+
+insert into public.accounts (id, name, auth_user_id, pending_password_hash, claim_token_hash, claim_token_expires_at)
+select id, name, auth_user_id, pending_password_hash, claim_token_hash, claim_token_expires_at
+from public.participants;
+
+-- Participants become per-event memberships ---------------------------------
+
+alter table public.participants add column if not exists event_id uuid references public.events (id) on delete cascade;
+update public.participants set event_id = (select id from public.events limit 1);
+alter table public.participants alter column event_id set not null;
+
+-- Drops the old single-column foreign keys (exclusions, drawn_participant_id) too.
+alter table public.participants drop constraint if exists participants_pkey cascade;
+alter table public.participants add primary key (event_id, id);
+
+alter table public.participants
+  add constraint participants_account_fkey foreign key (id) references public.accounts (id) on update cascade,
+  add constraint participants_drawn_fkey foreign key (event_id, drawn_participant_id)
+    references public.participants (event_id, id) on delete set null (drawn_participant_id);
+
+alter table public.participants
+  drop column if exists auth_user_id,
+  drop column if exists pending_password_hash,
+  drop column if exists claim_token_hash,
+  drop column if exists claim_token_expires_at;
+
+alter table public.exclusions add column if not exists event_id uuid references public.events (id) on delete cascade;
+update public.exclusions set event_id = (select id from public.events limit 1);
+alter table public.exclusions alter column event_id set not null;
+alter table public.exclusions drop constraint if exists exclusions_unique;
+alter table public.exclusions
+  add constraint exclusions_unique unique (event_id, participant_id, excluded_id),
+  add constraint exclusions_participant_fkey foreign key (event_id, participant_id)
+    references public.participants (event_id, id) on delete cascade,
+  add constraint exclusions_excluded_fkey foreign key (event_id, excluded_id)
+    references public.participants (event_id, id) on delete cascade;
+
+alter table public.draws add column if not exists event_id uuid references public.events (id) on delete cascade;
+update public.draws set event_id = (select id from public.events limit 1);
+alter table public.draws alter column event_id set not null;
+create index if not exists draws_event_idx on public.draws (event_id, created_at desc);
+
+-- Who is calling ------------------------------------------------------------
+
+create or replace function public.current_account_id()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id from public.accounts where auth_user_id = auth.uid();
+$$;
+
+create or replace function public.is_member(p_event_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.participants
+    where event_id = p_event_id and id = public.current_account_id()
+  );
+$$;
+
+create or replace function public.is_admin(p_event_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.participants
+    where event_id = p_event_id and id = public.current_account_id() and role = 'admin'
+  );
+$$;
+
+revoke execute on function public.current_account_id() from public, anon;
+grant execute on function public.current_account_id() to authenticated;
+revoke execute on function public.is_member(uuid) from public, anon;
+grant execute on function public.is_member(uuid) to authenticated;
+revoke execute on function public.is_admin(uuid) from public, anon;
+grant execute on function public.is_admin(uuid) to authenticated;
+
+-- Auth: accounts instead of participants ------------------------------------
+
+create or replace function public.begin_account_claim(p_id text, p_password text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_account public.accounts%rowtype;
+  v_token text;
+begin
+  select * into v_account from public.accounts where lower(id) = lower(p_id);
+
+  if not found then
+    raise exception 'User not found';
+  end if;
+
+  -- Already moved to Supabase Auth: sign-in failed, so the password is wrong.
+  if v_account.auth_user_id is not null then
+    raise exception 'Invalid password';
+  end if;
+
+  if v_account.pending_password_hash is null then
+    raise exception 'This account has no password. Ask an admin to reset it';
+  end if;
+
+  if v_account.pending_password_hash <> crypt(p_password, v_account.pending_password_hash) then
+    raise exception 'Invalid password';
+  end if;
+
+  v_token := encode(gen_random_bytes(24), 'hex');
+
+  update public.accounts
+  set claim_token_hash = encode(digest(v_token, 'sha256'), 'hex'),
+      claim_token_expires_at = now() + interval '10 minutes'
+  where id = v_account.id;
+
+  return jsonb_build_object('participant_id', v_account.id, 'claim_token', v_token);
+end;
+$$;
+
+create or replace function public.is_username_taken(p_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.accounts where lower(id) = lower(trim(p_id)));
+$$;
+
+-- Registering creates the account only; events are joined with a code.
+create or replace function public.handle_new_auth_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_id text := new.raw_user_meta_data->>'participant_id';
+  v_claim_token text := new.raw_user_meta_data->>'claim_token';
+begin
+  if v_id is null then
+    return new;
+  end if;
+
+  if v_claim_token is not null then
+    update public.accounts
+    set auth_user_id = new.id,
+        pending_password_hash = null,
+        claim_token_hash = null,
+        claim_token_expires_at = null
+    where id = v_id
+      and auth_user_id is null
+      and claim_token_hash = encode(digest(v_claim_token, 'sha256'), 'hex')
+      and claim_token_expires_at > now();
+
+    if not found then
+      raise exception 'Account claim is invalid or has expired';
+    end if;
+    return new;
+  end if;
+
+  if exists (select 1 from public.accounts where lower(id) = lower(v_id)) then
+    raise exception 'Username already taken';
+  end if;
+
+  insert into public.accounts (id, name, auth_user_id)
+  values (v_id, coalesce(new.raw_user_meta_data->>'name', v_id), new.id);
+
+  return new;
+end;
+$$;
+
+-- Views ---------------------------------------------------------------------
+
+-- Names of the people in events the caller belongs to.
+create view public.participants_public as
+  select event_id, id, name, role, participates
+  from public.participants
+  where public.is_member(event_id);
+
+grant select on public.participants_public to authenticated;
+
+-- The caller's own membership in each of their events.
+create view public.my_memberships as
+  select
+    p.event_id,
+    e.name as event_name,
+    e.join_code,
+    p.id,
+    p.name,
+    p.wishes,
+    p.is_revealed,
+    p.drawn_participant_id is not null as has_assignment,
+    p.role,
+    p.participates
+  from public.participants p
+  join public.events e on e.id = p.event_id
+  where p.id = public.current_account_id();
+
+grant select on public.my_memberships to authenticated;
+
+create view public.draw_commitments as
+  select
+    d.id,
+    d.event_id,
+    d.commitment,
+    d.participants_hash,
+    case when exists (
+      select 1 from public.participants p where p.event_id = d.event_id and p.is_revealed
+    ) then d.seed end as seed,
+    d.created_at
+  from public.draws d
+  where public.is_member(d.event_id);
+
+grant select on public.draw_commitments to authenticated;
+
+-- Event membership ----------------------------------------------------------
+
+-- Anyone holding an invite code may see which event it is for.
+create or replace function public.get_event_by_code(p_code text)
+returns table (id uuid, name text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id, name from public.events where join_code = upper(trim(p_code));
+$$;
+
+grant execute on function public.get_event_by_code(text) to anon, authenticated;
+
+create or replace function public.create_event(p_name text, p_participates boolean default false)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_account public.accounts%rowtype;
+  v_event_id uuid;
+begin
+  select * into v_account from public.accounts where id = public.current_account_id();
+  if not found then
+    raise exception 'Not logged in';
+  end if;
+
+  if coalesce(trim(p_name), '') = '' then
+    raise exception 'Event name is required';
+  end if;
+
+  insert into public.events (name) values (trim(p_name)) returning id into v_event_id;
+
+  insert into public.participants (event_id, id, name, role, participates)
+  values (v_event_id, v_account.id, v_account.name, 'admin', p_participates);
+
+  return v_event_id;
+end;
+$$;
+
+revoke execute on function public.create_event(text, boolean) from public, anon;
+grant execute on function public.create_event(text, boolean) to authenticated;
+
+create or replace function public.join_event(p_code text, p_name text default null)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_account public.accounts%rowtype;
+  v_event_id uuid;
+begin
+  select * into v_account from public.accounts where id = public.current_account_id();
+  if not found then
+    raise exception 'Not logged in';
+  end if;
+
+  select id into v_event_id from public.events where join_code = upper(trim(p_code));
+  if not found then
+    raise exception 'No event with that invite code';
+  end if;
+
+  insert into public.participants (event_id, id, name)
+  values (v_event_id, v_account.id, coalesce(nullif(trim(p_name), ''), v_account.name))
+  on conflict (event_id, id) do nothing;
+
+  return v_event_id;
+end;
+$$;
+
+revoke execute on function public.join_event(text, text) from public, anon;
+grant execute on function public.join_event(text, text) to authenticated;
+
+-- Per-event versions of the participant functions ---------------------------
+
+create or replace function public.get_lottery_status(p_event_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_member(p_event_id) then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return jsonb_build_object(
+    'drawn', exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null),
+    'revealed', exists (select 1 from public.participants where event_id = p_event_id and is_revealed),
+    'participant_count', (select count(*) from public.participants where event_id = p_event_id)
+  );
+end;
+$$;
+
+revoke execute on function public.get_lottery_status(uuid) from public, anon;
+grant execute on function public.get_lottery_status(uuid) to authenticated;
+
+create or replace function public.get_my_assignment(p_event_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'wishes', receiver.wishes,
+    'name', case when giver.is_revealed then receiver.name end
+  )
+  from public.participants giver
+  join public.participants receiver
+    on receiver.event_id = giver.event_id and receiver.id = giver.drawn_participant_id
+  where giver.event_id = p_event_id and giver.id = public.current_account_id();
+$$;
+
+revoke execute on function public.get_my_assignment(uuid) from public, anon;
+grant execute on function public.get_my_assignment(uuid) to authenticated;
+
+create or replace function public.update_my_wishes(p_event_id uuid, p_wishes jsonb)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.participants
+  set wishes = p_wishes
+  where event_id = p_event_id and id = public.current_account_id();
+
+  if not found then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
+
+revoke execute on function public.update_my_wishes(uuid, jsonb) from public, anon;
+grant execute on function public.update_my_wishes(uuid, jsonb) to authenticated;
+
+create or replace function public.get_draw_chain(p_event_id uuid)
+returns table (id text, name text, drawn_participant_id text, is_revealed boolean, participates boolean)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can view the gift exchange chain';
+  end if;
+
+  return query
+    select p.id, p.name, p.drawn_participant_id, p.is_revealed, p.participates
+    from public.participants p
+    where p.event_id = p_event_id
+    order by p.id;
+end;
+$$;
+
+revoke execute on function public.get_draw_chain(uuid) from public, anon;
+grant execute on function public.get_draw_chain(uuid) to authenticated;
+
+create or replace function public.reveal_all_names(p_event_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can reveal names';
+  end if;
+
+  update public.participants
+  set is_revealed = true
+  where event_id = p_event_id and drawn_participant_id is not null;
+end;
+$$;
+
+revoke execute on function public.reveal_all_names(uuid) from public, anon;
+grant execute on function public.reveal_all_names(uuid) to authenticated;
+
+create or replace function public.set_participant_role(p_event_id uuid, p_id text, p_role text, p_participates boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can change roles';
+  end if;
+
+  if p_role <> 'admin' and not exists (
+    select 1 from public.participants where event_id = p_event_id and role = 'admin' and id <> p_id
+  ) then
+    raise exception 'There must be at least one admin';
+  end if;
+
+  update public.participants
+  set role = p_role, participates = p_participates
+  where event_id = p_event_id and id = p_id;
+
+  if not found then
+    raise exception 'Participant "%" not found', p_id;
+  end if;
+end;
+$$;
+
+revoke execute on function public.set_participant_role(uuid, text, text, boolean) from public, anon;
+grant execute on function public.set_participant_role(uuid, text, text, boolean) to authenticated;
+
+-- Saving a draw -------------------------------------------------------------
+
+-- Same all-or-nothing save as before, scoped to one event, with the admin
+-- check and the "exactly the people who take part" check inside.
+create or replace function public.save_draw(p_event_id uuid, p_record jsonb, p_assignments jsonb)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_draw_id bigint;
+  v_total int;
+  v_updated int;
+  v_missing text;
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can start the draw';
+  end if;
+
+  select count(*) into v_total from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text);
+
+  if v_total < 2 then
+    raise exception 'A draw needs at least 2 assignments';
+  end if;
+
+  if exists (
+    select 1 from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+    where a.giver_id = a.receiver_id
+  ) then
+    raise exception 'A participant was assigned to themselves';
+  end if;
+
+  if (select count(distinct a.giver_id) from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)) <> v_total
+    or (select count(distinct a.receiver_id) from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)) <> v_total then
+    raise exception 'Every participant must give and receive exactly once';
+  end if;
+
+  if exists (
+    select a.receiver_id from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+    except
+    select a.giver_id from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  ) then
+    raise exception 'Someone receives a gift without giving one';
+  end if;
+
+  select a.giver_id into v_missing
+  from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  where not exists (
+    select 1 from public.participants p where p.event_id = p_event_id and p.id = a.giver_id
+  )
+  limit 1;
+
+  if v_missing is not null then
+    raise exception 'Participant "%" no longer exists', v_missing;
+  end if;
+
+  if exists (
+    select id from public.participants where event_id = p_event_id and participates
+    except
+    select a.giver_id from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  ) then
+    raise exception 'The draw must include everyone who takes part';
+  end if;
+
+  insert into public.draws (event_id, seed, participant_ids, participants_hash, exclusions, single_loop, commitment)
+  values (
+    p_event_id,
+    p_record->>'seed',
+    p_record->'participant_ids',
+    p_record->>'participants_hash',
+    coalesce(p_record->'exclusions', '[]'::jsonb),
+    coalesce((p_record->>'single_loop')::boolean, false),
+    p_record->>'commitment'
+  )
+  returning id into v_draw_id;
+
+  -- Anyone left out of the new draw loses their old assignment.
+  update public.participants
+  set drawn_participant_id = null, is_revealed = false
+  where event_id = p_event_id and (drawn_participant_id is not null or is_revealed);
+
+  update public.participants p
+  set drawn_participant_id = a.receiver_id, is_revealed = false
+  from jsonb_to_recordset(p_assignments) as a(giver_id text, receiver_id text)
+  where p.event_id = p_event_id and p.id = a.giver_id;
+
+  get diagnostics v_updated = row_count;
+  if v_updated <> v_total then
+    raise exception 'Only % of % assignments could be saved', v_updated, v_total;
+  end if;
+
+  return v_draw_id;
+end;
+$$;
+
+revoke execute on function public.save_draw(uuid, jsonb, jsonb) from public, anon;
+grant execute on function public.save_draw(uuid, jsonb, jsonb) to authenticated;
+
+-- Policies ------------------------------------------------------------------
+
+create policy "Admins manage exclusions" on public.exclusions
+  for all to authenticated
+  using (public.is_admin(event_id))
+  with check (public.is_admin(event_id));
+
+create policy "Admins read draws" on public.draws
+  for select to authenticated
+  using (public.is_admin(event_id));
@@ -0,0 +1,64 @@
+-- Live updates over Supabase Realtime broadcast. Whenever an event's
+-- participants or draws change, everyone in the event gets an empty
+-- 'changed' message on the private topic event:<event id> and refetches what
+-- they show through the usual views and functions. The message carries no
+-- data, so it cannot leak an assignment.
+
+-- Statement-level, so a draw that updates every participant sends one
+-- message per event instead of one per row.
+create or replace function public.broadcast_event_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    jsonb_build_object('table', tg_table_name),
+    'changed',
+    'event:' || changed.event_id,
+    true
+  )
+  from (select distinct event_id from changed_rows) changed;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists participants_broadcast_insert on public.participants;
+drop trigger if exists participants_broadcast_update on public.participants;
+drop trigger if exists participants_broadcast_delete on public.participants;
+drop trigger if exists draws_broadcast_insert on public.draws;
+
+create trigger participants_broadcast_insert
+  after insert on public.participants
+  referencing new table as changed_rows
+  for each statement execute function public.broadcast_event_changes();
+
+create trigger participants_broadcast_update
+  after update on public.participants
+  referencing new table as changed_rows
+  for each statement execute function public.broadcast_event_changes();
+
+create trigger participants_broadcast_delete
+  after delete on public.participants
+  referencing old table as changed_rows
+  for each statement execute function public.broadcast_event_changes();
+
+create trigger draws_broadcast_insert
+  after insert on public.draws
+  referencing new table as changed_rows
+  for each statement execute function public.broadcast_event_changes();
+
+-- Only members of an event may listen to its topic.
+drop policy if exists "Members receive their events' updates" on realtime.messages;
+create policy "Members receive their events' updates" on realtime.messages
+  for select to authenticated
+  using (
+    realtime.messages.extension = 'broadcast'
+    and case
+      when realtime.topic() ~ '^event:[0-9a-f-]{36}$'
+        then public.is_member(substring(realtime.topic() from 7)::uuid)
+      else false
+    end
+  );
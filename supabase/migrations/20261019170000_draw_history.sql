@@ -0,0 +1,189 @@
+-- Resetting and re-drawing. Clearing a draw or drawing again keeps the
+-- assignments that were in place on the draw they came from (marked cleared),
+-- so an accidental reset can be undone with restore_previous_draw().
+--
+-- Only draws with cleared_at null are current: draw_commitments, the admin's
+-- audit panel and get_lottery_status ignore the cleared ones.
+
+alter table public.draws
+  add column if not exists cleared_at timestamptz,
+  add column if not exists cleared_assignments jsonb;
+
+-- Earlier re-draws simply overwrote the assignments; only the newest draw of
+-- each event is still in place.
+update public.draws d
+set cleared_at = now()
+where d.cleared_at is null
+  and exists (
+    select 1 from public.draws newer
+    where newer.event_id = d.event_id and newer.created_at > d.created_at
+  );
+
+-- Moves the event's current assignments onto its current draw and marks that
+-- draw cleared. Callers check permissions and clear the participants.
+create or replace function public.archive_current_draw(p_event_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update public.draws
+  set cleared_at = now(),
+      cleared_assignments = (
+        select coalesce(jsonb_agg(jsonb_build_object(
+          'giver_id', p.id,
+          'receiver_id', p.drawn_participant_id,
+          'is_revealed', p.is_revealed
+        )), '[]'::jsonb)
+        from public.participants p
+        where p.event_id = p_event_id and p.drawn_participant_id is not null
+      )
+  where event_id = p_event_id and cleared_at is null;
+$$;
+
+revoke execute on function public.archive_current_draw(uuid) from public, anon, authenticated;
+
+-- save_draw() inserts the new draw before it overwrites the assignments, so
+-- archiving here keeps the previous draw for every re-draw.
+create or replace function public.archive_before_new_draw()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.archive_current_draw(new.event_id);
+  return new;
+end;
+$$;
+
+drop trigger if exists draws_archive_previous on public.draws;
+
+create trigger draws_archive_previous
+  before insert on public.draws
+  for each row execute function public.archive_before_new_draw();
+
+-- Clears every assignment and reopens registration.
+create or replace function public.clear_draw(p_event_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can reset the draw';
+  end if;
+
+  if not exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null) then
+    raise exception 'There is no draw to reset';
+  end if;
+
+  perform public.archive_current_draw(p_event_id);
+
+  update public.participants
+  set drawn_participant_id = null, is_revealed = false
+  where event_id = p_event_id and (drawn_participant_id is not null or is_revealed);
+end;
+$$;
+
+grant execute on function public.clear_draw(uuid) to authenticated;
+
+-- Puts back the most recently cleared draw, reveals included. Whatever is in
+-- place now is archived first, so this can be undone the same way.
+create or replace function public.restore_previous_draw(p_event_id uuid)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_draw public.draws;
+  v_missing text;
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can restore a draw';
+  end if;
+
+  select * into v_draw
+  from public.draws
+  where event_id = p_event_id and cleared_assignments is not null
+  order by cleared_at desc
+  limit 1;
+
+  if v_draw.id is null then
+    raise exception 'There is no earlier draw to restore';
+  end if;
+
+  select a.id into v_missing
+  from (
+    select a.giver_id as id from jsonb_to_recordset(v_draw.cleared_assignments) as a(giver_id text, receiver_id text)
+    union
+    select a.receiver_id from jsonb_to_recordset(v_draw.cleared_assignments) as a(giver_id text, receiver_id text)
+  ) a
+  where not exists (
+    select 1 from public.participants p where p.event_id = p_event_id and p.id = a.id
+  )
+  limit 1;
+
+  if v_missing is not null then
+    raise exception 'Participant "%" no longer exists', v_missing;
+  end if;
+
+  perform public.archive_current_draw(p_event_id);
+
+  update public.participants
+  set drawn_participant_id = null, is_revealed = false
+  where event_id = p_event_id and (drawn_participant_id is not null or is_revealed);
+
+  update public.participants p
+  set drawn_participant_id = a.receiver_id, is_revealed = coalesce(a.is_revealed, false)
+  from jsonb_to_recordset(v_draw.cleared_assignments) as a(giver_id text, receiver_id text, is_revealed boolean)
+  where p.event_id = p_event_id and p.id = a.giver_id;
+
+  update public.draws
+  set cleared_at = null, cleared_assignments = null
+  where id = v_draw.id;
+
+  return v_draw.id;
+end;
+$$;
+
+grant execute on function public.restore_previous_draw(uuid) to authenticated;
+
+-- Current draw only -------------------------------------------------------
+
+create or replace view public.draw_commitments as
+  select
+    d.id,
+    d.event_id,
+    d.commitment,
+    d.participants_hash,
+    case when exists (
+      select 1 from public.participants p where p.event_id = d.event_id and p.is_revealed
+    ) then d.seed end as seed,
+    d.created_at
+  from public.draws d
+  where public.is_member(d.event_id) and d.cleared_at is null;
+
+-- draw_id changes with every reset and re-draw, so open pages know to drop
+-- the assignment they are showing.
+create or replace function public.get_lottery_status(p_event_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_member(p_event_id) then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return jsonb_build_object(
+    'drawn', exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null),
+    'revealed', exists (select 1 from public.participants where event_id = p_event_id and is_revealed),
+    'participant_count', (select count(*) from public.participants where event_id = p_event_id),
+    'draw_id', (select id from public.draws where event_id = p_event_id and cleared_at is null order by created_at desc limit 1)
+  );
+end;
+$$;
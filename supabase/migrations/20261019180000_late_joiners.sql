@@ -0,0 +1,132 @@
+-- Adding late joiners to a draw that already happened. splice_into_draw()
+-- turns one link A -> B into A -> newcomer -> B, so nobody else's receiver
+-- changes and gifts already bought stay valid. Only A is told: their own row
+-- gets assignment_changed_at, shown to them through my_memberships until they
+-- acknowledge it.
+--
+-- Each splice is also appended to the current draw's amendments, so the audit
+-- can re-run the seed and then apply them in order.
+
+alter table public.participants
+  add column if not exists assignment_changed_at timestamptz;
+
+alter table public.draws
+  add column if not exists amendments jsonb not null default '[]'::jsonb;
+
+create or replace view public.my_memberships as
+  select
+    p.event_id,
+    e.name as event_name,
+    e.join_code,
+    p.id,
+    p.name,
+    p.wishes,
+    p.is_revealed,
+    p.drawn_participant_id is not null as has_assignment,
+    p.role,
+    p.participates,
+    p.assignment_changed_at is not null as assignment_changed
+  from public.participants p
+  join public.events e on e.id = p.event_id
+  where p.id = public.current_account_id();
+
+-- A new draw, a reset or a restore changes everyone's assignment anyway, so
+-- older notices go away with it.
+create or replace function public.archive_current_draw(p_event_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update public.draws
+  set cleared_at = now(),
+      cleared_assignments = (
+        select coalesce(jsonb_agg(jsonb_build_object(
+          'giver_id', p.id,
+          'receiver_id', p.drawn_participant_id,
+          'is_revealed', p.is_revealed
+        )), '[]'::jsonb)
+        from public.participants p
+        where p.event_id = p_event_id and p.drawn_participant_id is not null
+      )
+  where event_id = p_event_id and cleared_at is null;
+
+  update public.participants
+  set assignment_changed_at = null
+  where event_id = p_event_id and assignment_changed_at is not null;
+$$;
+
+create or replace function public.splice_into_draw(p_event_id uuid, p_participant_id text, p_giver_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_newcomer public.participants;
+  v_giver public.participants;
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can change the draw';
+  end if;
+
+  select * into v_newcomer from public.participants where event_id = p_event_id and id = p_participant_id;
+  select * into v_giver from public.participants where event_id = p_event_id and id = p_giver_id;
+
+  if v_newcomer.id is null or not v_newcomer.participates then
+    raise exception 'Participant "%" does not take part in this event', p_participant_id;
+  end if;
+
+  if v_newcomer.drawn_participant_id is not null
+    or exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id = p_participant_id) then
+    raise exception 'Participant "%" is already in the draw', p_participant_id;
+  end if;
+
+  if v_giver.drawn_participant_id is null then
+    raise exception 'Participant "%" has no assignment to split', p_giver_id;
+  end if;
+
+  if exists (
+    select 1 from public.exclusions x
+    where x.event_id = p_event_id and (
+      (x.participant_id = p_giver_id and x.excluded_id = p_participant_id)
+      or (x.participant_id = p_participant_id and x.excluded_id = v_giver.drawn_participant_id)
+      or (x.mutual and x.participant_id = p_participant_id and x.excluded_id = p_giver_id)
+      or (x.mutual and x.participant_id = v_giver.drawn_participant_id and x.excluded_id = p_participant_id)
+    )
+  ) then
+    raise exception 'That link is not allowed by the exclusions';
+  end if;
+
+  -- The newcomer's name is hidden or shown like everyone else's
+  update public.participants
+  set drawn_participant_id = v_giver.drawn_participant_id, is_revealed = v_giver.is_revealed
+  where event_id = p_event_id and id = p_participant_id;
+
+  update public.participants
+  set drawn_participant_id = p_participant_id, assignment_changed_at = now()
+  where event_id = p_event_id and id = p_giver_id;
+
+  update public.draws
+  set amendments = amendments || jsonb_build_array(jsonb_build_object(
+    'participant_id', p_participant_id,
+    'giver_id', p_giver_id,
+    'receiver_id', v_giver.drawn_participant_id
+  ))
+  where event_id = p_event_id and cleared_at is null;
+end;
+$$;
+
+grant execute on function public.splice_into_draw(uuid, text, text) to authenticated;
+
+create or replace function public.acknowledge_assignment_change(p_event_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.participants
+  set assignment_changed_at = null
+  where event_id = p_event_id and id = public.current_account_id();
+$$;
+
+grant execute on function public.acknowledge_assignment_change(uuid) to authenticated;
@@ -0,0 +1,110 @@
+-- Withdrawals after the draw. Deleting a participant used to leave their
+-- giver with nobody to buy for (participants_drawn_fkey sets it to null) and
+-- their receiver without a gift. repair_draw() takes the person out and fills
+-- the holes in one transaction, with the changed links worked out by
+-- repairChain() in src/draw.js. It checks that the result is still a valid
+-- draw, flags the changed givers through assignment_changed_at (see the late
+-- joiners migration) and appends the change to the draw's amendments for the
+-- audit.
+--
+-- p_repairs:      [{ "giver_id": ..., "receiver_id": ... }, ...], only the
+--                 links that change
+-- p_withdrawn_id: who leaves the event, or null to only repair the chain
+create or replace function public.repair_draw(p_event_id uuid, p_repairs jsonb, p_withdrawn_id text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_withdrawn public.participants;
+  v_assigned text[];
+  v_missing text;
+  v_total int;
+  v_updated int;
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can change the draw';
+  end if;
+
+  -- Everyone who has someone to buy for now must still have someone after
+  select array_agg(id) into v_assigned
+  from public.participants
+  where event_id = p_event_id and drawn_participant_id is not null and id is distinct from p_withdrawn_id;
+
+  if p_withdrawn_id is not null then
+    select * into v_withdrawn from public.participants where event_id = p_event_id and id = p_withdrawn_id;
+
+    if v_withdrawn.id is null then
+      raise exception 'Participant "%" not found', p_withdrawn_id;
+    end if;
+
+    if v_withdrawn.role = 'admin' and not exists (
+      select 1 from public.participants where event_id = p_event_id and role = 'admin' and id <> p_withdrawn_id
+    ) then
+      raise exception 'There must be at least one admin';
+    end if;
+
+    -- Their exclusions go with them; whoever gave to them is left with null
+    delete from public.participants where event_id = p_event_id and id = p_withdrawn_id;
+  end if;
+
+  select count(*) into v_total from jsonb_to_recordset(p_repairs) as a(giver_id text, receiver_id text);
+
+  update public.participants p
+  set drawn_participant_id = a.receiver_id, assignment_changed_at = now()
+  from jsonb_to_recordset(p_repairs) as a(giver_id text, receiver_id text)
+  where p.event_id = p_event_id and p.id = a.giver_id;
+
+  get diagnostics v_updated = row_count;
+  if v_updated <> v_total then
+    raise exception 'Only % of % repairs could be saved', v_updated, v_total;
+  end if;
+
+  select id into v_missing
+  from public.participants
+  where event_id = p_event_id and id = any(v_assigned) and drawn_participant_id is null
+  limit 1;
+
+  if v_missing is not null then
+    raise exception 'Participant "%" has nobody to buy for', v_missing;
+  end if;
+
+  if exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id = id) then
+    raise exception 'A participant was assigned to themselves';
+  end if;
+
+  if (select count(drawn_participant_id) <> count(distinct drawn_participant_id)
+      from public.participants where event_id = p_event_id) then
+    raise exception 'Every participant must give and receive exactly once';
+  end if;
+
+  if exists (
+    select 1 from public.participants giver
+    join public.participants receiver
+      on receiver.event_id = giver.event_id and receiver.id = giver.drawn_participant_id
+    where giver.event_id = p_event_id and receiver.drawn_participant_id is null
+  ) then
+    raise exception 'Someone receives a gift without giving one';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_to_recordset(p_repairs) as a(giver_id text, receiver_id text)
+    join public.exclusions x on x.event_id = p_event_id
+    where (x.participant_id = a.giver_id and x.excluded_id = a.receiver_id)
+       or (x.mutual and x.participant_id = a.receiver_id and x.excluded_id = a.giver_id)
+  ) then
+    raise exception 'That link is not allowed by the exclusions';
+  end if;
+
+  update public.draws
+  set amendments = amendments || jsonb_build_array(jsonb_build_object(
+    'withdrawn_id', p_withdrawn_id,
+    'repairs', p_repairs
+  ))
+  where event_id = p_event_id and cleared_at is null;
+end;
+$$;
+
+grant execute on function public.repair_draw(uuid, jsonb, text) to authenticated;
@@ -0,0 +1,59 @@
+-- Wish lists of any length. Each wish is an object { title, link, price,
+-- surprise } (see src/wishes.js), in priority order. Lists saved before this
+-- are arrays of plain strings and stay as they are; the app reads both.
+--
+-- update_my_wishes() now checks what it stores, the same way validateWishes()
+-- does in the app: at most 20 wishes, links only http(s), prices not
+-- negative, and a title on every wish with a link or price (only "surprise
+-- me" wishes may go without one).
+create or replace function public.update_my_wishes(p_event_id uuid, p_wishes jsonb)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wish jsonb;
+begin
+  if jsonb_typeof(p_wishes) <> 'array' then
+    raise exception 'Wishes must be a list';
+  end if;
+
+  if jsonb_array_length(p_wishes) > 20 then
+    raise exception 'At most 20 wishes, please';
+  end if;
+
+  for v_wish in select * from jsonb_array_elements(p_wishes) loop
+    if jsonb_typeof(v_wish) = 'string' then
+      continue;
+    end if;
+
+    if jsonb_typeof(v_wish) <> 'object' or jsonb_typeof(v_wish->'title') is distinct from 'string' then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if trim(v_wish->>'title') = '' and v_wish->'surprise' is distinct from 'true'::jsonb
+      and (v_wish ? 'link' or v_wish ? 'price') then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if v_wish ? 'link' and (v_wish->>'link') !~* '^https?://\S+$' then
+      raise exception '"%" is not a web link (http:// or https://)', v_wish->>'link';
+    end if;
+
+    if v_wish ? 'price' and (jsonb_typeof(v_wish->'price') <> 'number' or (v_wish->>'price')::numeric < 0) then
+      raise exception 'Prices must be a positive number';
+    end if;
+  end loop;
+
+  update public.participants
+  set wishes = p_wishes
+  where event_id = p_event_id and id = public.current_account_id();
+
+  if not found then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
@@ -0,0 +1,167 @@
+-- A gift budget per event, set by its admins. Either end may be left open
+-- ("up to 1000", "at least 500"). Everyone sees it: on the login screen
+-- through get_event_by_code() (or get_event_by_id() for the event last used
+-- on that device), and in the app through my_memberships.
+-- update_my_wishes() turns down wishes priced above the upper limit, like
+-- validateWishes() in src/wishes.js.
+
+alter table public.events
+  add column if not exists budget_min numeric check (budget_min >= 0),
+  add column if not exists budget_max numeric check (budget_max >= 0);
+
+create or replace view public.my_memberships as
+  select
+    p.event_id,
+    e.name as event_name,
+    e.join_code,
+    p.id,
+    p.name,
+    p.wishes,
+    p.is_revealed,
+    p.drawn_participant_id is not null as has_assignment,
+    p.role,
+    p.participates,
+    p.assignment_changed_at is not null as assignment_changed,
+    e.budget_min,
+    e.budget_max
+  from public.participants p
+  join public.events e on e.id = p.event_id
+  where p.id = public.current_account_id();
+
+-- The return type changes, so it has to be dropped first.
+drop function if exists public.get_event_by_code(text);
+
+create function public.get_event_by_code(p_code text)
+returns table (id uuid, name text, budget_min numeric, budget_max numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id, name, budget_min, budget_max from public.events where join_code = upper(trim(p_code));
+$$;
+
+grant execute on function public.get_event_by_code(text) to anon, authenticated;
+
+create or replace function public.get_event_by_id(p_event_id uuid)
+returns table (id uuid, name text, budget_min numeric, budget_max numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id, name, budget_min, budget_max from public.events where id = p_event_id;
+$$;
+
+grant execute on function public.get_event_by_id(uuid) to anon, authenticated;
+
+create or replace function public.set_event_budget(p_event_id uuid, p_min numeric, p_max numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can change the budget';
+  end if;
+
+  if p_min < 0 or p_max < 0 then
+    raise exception 'The budget must be a positive amount';
+  end if;
+
+  if p_min > p_max then
+    raise exception 'The lower end of the budget is above the upper end';
+  end if;
+
+  update public.events
+  set budget_min = p_min, budget_max = p_max
+  where id = p_event_id;
+end;
+$$;
+
+grant execute on function public.set_event_budget(uuid, numeric, numeric) to authenticated;
+
+-- Members see a new budget without reloading, like the other live updates.
+create or replace function public.broadcast_event_row_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    jsonb_build_object('table', tg_table_name),
+    'changed',
+    'event:' || new.id,
+    true
+  );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists events_broadcast_budget on public.events;
+
+create trigger events_broadcast_budget
+  after update of budget_min, budget_max on public.events
+  for each row execute function public.broadcast_event_row_changes();
+
+create or replace function public.update_my_wishes(p_event_id uuid, p_wishes jsonb)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_wish jsonb;
+  v_budget_max numeric;
+begin
+  if jsonb_typeof(p_wishes) <> 'array' then
+    raise exception 'Wishes must be a list';
+  end if;
+
+  if jsonb_array_length(p_wishes) > 20 then
+    raise exception 'At most 20 wishes, please';
+  end if;
+
+  select budget_max into v_budget_max from public.events where id = p_event_id;
+
+  for v_wish in select * from jsonb_array_elements(p_wishes) loop
+    if jsonb_typeof(v_wish) = 'string' then
+      continue;
+    end if;
+
+    if jsonb_typeof(v_wish) <> 'object' or jsonb_typeof(v_wish->'title') is distinct from 'string' then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if trim(v_wish->>'title') = '' and v_wish->'surprise' is distinct from 'true'::jsonb
+      and (v_wish ? 'link' or v_wish ? 'price') then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if v_wish ? 'link' and (v_wish->>'link') !~* '^https?://\S+$' then
+      raise exception '"%" is not a web link (http:// or https://)', v_wish->>'link';
+    end if;
+
+    if v_wish ? 'price' and (jsonb_typeof(v_wish->'price') <> 'number' or (v_wish->>'price')::numeric < 0) then
+      raise exception 'Prices must be a positive number';
+    end if;
+
+    if v_wish ? 'price' and (v_wish->>'price')::numeric > v_budget_max then
+      raise exception '"%" is over the budget', v_wish->>'title';
+    end if;
+  end loop;
+
+  update public.participants
+  set wishes = p_wishes
+  where event_id = p_event_id and id = public.current_account_id();
+
+  if not found then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
@@ -0,0 +1,152 @@
+-- Anonymous questions between a giver and their receiver. Each pair of the
+-- current draw has one thread: the giver asks, the receiver answers. The
+-- receiver sees who is asking only once the giver's name is revealed
+-- (is_revealed), the same moment the giver learns the receiver's name.
+--
+-- Nobody reads the table directly, admins included: get_my_messages() only
+-- returns the caller's own two threads (as giver and as receiver) and
+-- send_message() only writes to them. A reset, re-draw or change to the
+-- chain starts new threads; the old ones stay with their draw and come back
+-- if it is restored.
+
+create table if not exists public.messages (
+  id bigint generated always as identity primary key,
+  event_id uuid not null references public.events (id) on delete cascade,
+  draw_id bigint references public.draws (id) on delete cascade,
+  giver_id text not null,
+  receiver_id text not null,
+  from_giver boolean not null,
+  body text not null check (char_length(body) between 1 and 1000),
+  created_at timestamptz not null default now(),
+  constraint messages_giver_fkey foreign key (event_id, giver_id)
+    references public.participants (event_id, id) on delete cascade,
+  constraint messages_receiver_fkey foreign key (event_id, receiver_id)
+    references public.participants (event_id, id) on delete cascade
+);
+
+create index if not exists messages_thread_idx on public.messages (event_id, giver_id, receiver_id, created_at);
+
+alter table public.messages enable row level security;
+revoke all on public.messages from anon, authenticated;
+
+create or replace function public.current_draw_id(p_event_id uuid)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id from public.draws
+  where event_id = p_event_id and cleared_at is null
+  order by created_at desc
+  limit 1;
+$$;
+
+-- { giving:    { name, messages } or null, the thread with who I buy for
+--   receiving: { name, messages } or null, the thread with who buys for me }
+-- `name` is null until the giver's pair is revealed; messages are
+-- { id, body, from_me, created_at }, oldest first.
+create or replace function public.get_my_messages(p_event_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with me as (
+    select * from public.participants
+    where event_id = p_event_id and id = public.current_account_id()
+  ),
+  giving as (
+    select receiver.id as receiver_id, case when me.is_revealed then receiver.name end as name
+    from me
+    join public.participants receiver on receiver.event_id = me.event_id and receiver.id = me.drawn_participant_id
+  ),
+  receiving as (
+    select giver.id as giver_id, case when giver.is_revealed then giver.name end as name
+    from me
+    join public.participants giver on giver.event_id = me.event_id and giver.drawn_participant_id = me.id
+  )
+  select jsonb_build_object(
+    'giving', (
+      select jsonb_build_object('name', giving.name, 'messages', coalesce((
+        select jsonb_agg(jsonb_build_object('id', m.id, 'body', m.body, 'from_me', m.from_giver, 'created_at', m.created_at) order by m.created_at, m.id)
+        from public.messages m, me
+        where m.event_id = p_event_id and m.giver_id = me.id and m.receiver_id = giving.receiver_id
+          and m.draw_id is not distinct from public.current_draw_id(p_event_id)
+      ), '[]'::jsonb))
+      from giving
+    ),
+    'receiving', (
+      select jsonb_build_object('name', receiving.name, 'messages', coalesce((
+        select jsonb_agg(jsonb_build_object('id', m.id, 'body', m.body, 'from_me', not m.from_giver, 'created_at', m.created_at) order by m.created_at, m.id)
+        from public.messages m, me
+        where m.event_id = p_event_id and m.giver_id = receiving.giver_id and m.receiver_id = me.id
+          and m.draw_id is not distinct from public.current_draw_id(p_event_id)
+      ), '[]'::jsonb))
+      from receiving
+    )
+  )
+  from me;
+$$;
+
+-- p_to: 'receiver' (ask who I buy for) or 'giver' (answer who buys for me)
+create or replace function public.send_message(p_event_id uuid, p_to text, p_body text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_me public.participants;
+  v_other_id text;
+begin
+  select * into v_me from public.participants
+  where event_id = p_event_id and id = public.current_account_id();
+
+  if v_me.id is null then
+    raise exception 'You are not part of this event';
+  end if;
+
+  if coalesce(trim(p_body), '') = '' then
+    raise exception 'Write a message first';
+  end if;
+
+  if char_length(trim(p_body)) > 1000 then
+    raise exception 'Messages can be at most 1000 characters';
+  end if;
+
+  if p_to = 'receiver' then
+    v_other_id := v_me.drawn_participant_id;
+    if v_other_id is null then
+      raise exception 'You have nobody to buy for yet';
+    end if;
+
+    insert into public.messages (event_id, draw_id, giver_id, receiver_id, from_giver, body)
+    values (p_event_id, public.current_draw_id(p_event_id), v_me.id, v_other_id, true, trim(p_body));
+  elsif p_to = 'giver' then
+    select id into v_other_id from public.participants
+    where event_id = p_event_id and drawn_participant_id = v_me.id;
+    if v_other_id is null then
+      raise exception 'Nobody buys for you yet';
+    end if;
+
+    insert into public.messages (event_id, draw_id, giver_id, receiver_id, from_giver, body)
+    values (p_event_id, public.current_draw_id(p_event_id), v_other_id, v_me.id, false, trim(p_body));
+  else
+    raise exception 'Messages go to the giver or the receiver';
+  end if;
+end;
+$$;
+
+grant execute on function public.get_my_messages(uuid) to authenticated;
+grant execute on function public.send_message(uuid, text, text) to authenticated;
+
+-- New messages reach open pages like the other live updates. The broadcast
+-- carries no content.
+drop trigger if exists messages_broadcast_insert on public.messages;
+
+create trigger messages_broadcast_insert
+  after insert on public.messages
+  referencing new table as changed_rows
+  for each statement execute function public.broadcast_event_changes();
@@ -0,0 +1,159 @@
+-- Gift progress. Givers mark their gift as planned, purchased or wrapped
+-- (gift_status, null for "not started") and receivers confirm they got one
+-- after the reveal (gift_received_at). Both show in my_memberships for the
+-- person themselves.
+--
+-- Organizers get get_gift_progress(): per person, how far their own gift is
+-- and whether they got one, but not who buys for whom. The dashboard in the
+-- app only shows the receipts as a count, so the two can't be lined up.
+--
+-- A gift is for a particular person, so a giver's status starts over when
+-- their receiver changes (re-draw, reset, restore, late joiners,
+-- withdrawals), and receipts start over with a new draw.
+
+alter table public.participants
+  add column if not exists gift_status text check (gift_status in ('planned', 'purchased', 'wrapped')),
+  add column if not exists gift_received_at timestamptz;
+
+create or replace function public.reset_gift_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.drawn_participant_id is distinct from old.drawn_participant_id then
+    new.gift_status := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists participants_reset_gift_status on public.participants;
+
+create trigger participants_reset_gift_status
+  before update of drawn_participant_id on public.participants
+  for each row execute function public.reset_gift_status();
+
+create or replace function public.archive_current_draw(p_event_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update public.draws
+  set cleared_at = now(),
+      cleared_assignments = (
+        select coalesce(jsonb_agg(jsonb_build_object(
+          'giver_id', p.id,
+          'receiver_id', p.drawn_participant_id,
+          'is_revealed', p.is_revealed
+        )), '[]'::jsonb)
+        from public.participants p
+        where p.event_id = p_event_id and p.drawn_participant_id is not null
+      )
+  where event_id = p_event_id and cleared_at is null;
+
+  update public.participants
+  set assignment_changed_at = null, gift_received_at = null
+  where event_id = p_event_id and (assignment_changed_at is not null or gift_received_at is not null);
+$$;
+
+create or replace view public.my_memberships as
+  select
+    p.event_id,
+    e.name as event_name,
+    e.join_code,
+    p.id,
+    p.name,
+    p.wishes,
+    p.is_revealed,
+    p.drawn_participant_id is not null as has_assignment,
+    p.role,
+    p.participates,
+    p.assignment_changed_at is not null as assignment_changed,
+    e.budget_min,
+    e.budget_max,
+    p.gift_status,
+    p.gift_received_at is not null as gift_received
+  from public.participants p
+  join public.events e on e.id = p.event_id
+  where p.id = public.current_account_id();
+
+create or replace function public.set_my_gift_status(p_event_id uuid, p_status text)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_status is not null and p_status not in ('planned', 'purchased', 'wrapped') then
+    raise exception 'Unknown gift status "%"', p_status;
+  end if;
+
+  if not exists (
+    select 1 from public.participants
+    where event_id = p_event_id and id = public.current_account_id() and drawn_participant_id is not null
+  ) then
+    raise exception 'You have nobody to buy for yet';
+  end if;
+
+  update public.participants
+  set gift_status = p_status
+  where event_id = p_event_id and id = public.current_account_id();
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
+
+create or replace function public.confirm_gift_received(p_event_id uuid)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.participants
+    where event_id = p_event_id and drawn_participant_id = public.current_account_id()
+  ) then
+    raise exception 'Nobody buys for you';
+  end if;
+
+  -- Names are revealed one at a time on stage, so it's the caller's own
+  -- giver that has to be revealed, not just anyone's
+  if not exists (
+    select 1 from public.participants
+    where event_id = p_event_id and drawn_participant_id = public.current_account_id() and is_revealed
+  ) then
+    raise exception 'Gifts can be confirmed after the reveal';
+  end if;
+
+  update public.participants
+  set gift_received_at = coalesce(gift_received_at, now())
+  where event_id = p_event_id and id = public.current_account_id();
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
+
+create or replace function public.get_gift_progress(p_event_id uuid)
+returns table (id text, name text, has_assignment boolean, gift_status text, gift_received boolean)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can see gift progress';
+  end if;
+
+  return query
+    select p.id, p.name, p.drawn_participant_id is not null, p.gift_status, p.gift_received_at is not null
+    from public.participants p
+    where p.event_id = p_event_id and p.participates
+    order by p.name;
+end;
+$$;
+
+grant execute on function public.set_my_gift_status(uuid, text) to authenticated;
+grant execute on function public.confirm_gift_received(uuid) to authenticated;
+grant execute on function public.get_gift_progress(uuid) to authenticated;
@@ -0,0 +1,132 @@
+-- Scheduled reveal. Admins set events.reveal_at and the names are revealed
+-- at that time without anyone pressing the button:
+--
+-- - reveal_due_names() reveals every event whose time has come. pg_cron runs
+--   it every minute, so it happens even with nobody online.
+-- - reveal_if_due() does the same for one event, for members whose countdown
+--   just ran out, so they don't wait for the next cron run. It checks the
+--   time itself; calling it early does nothing.
+--
+-- reveal_all_names() stays as the manual override. Any reveal clears
+-- reveal_at, so a later re-draw is not revealed straight away.
+
+alter table public.events
+  add column if not exists reveal_at timestamptz;
+
+create or replace function public.reveal_event(p_event_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update public.participants
+  set is_revealed = true
+  where event_id = p_event_id and drawn_participant_id is not null and not is_revealed;
+
+  update public.events set reveal_at = null where id = p_event_id;
+$$;
+
+revoke execute on function public.reveal_event(uuid) from public, anon, authenticated;
+
+create or replace function public.reveal_all_names(p_event_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can reveal names';
+  end if;
+
+  perform public.reveal_event(p_event_id);
+end;
+$$;
+
+-- p_reveal_at null cancels the schedule
+create or replace function public.schedule_reveal(p_event_id uuid, p_reveal_at timestamptz)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can schedule the reveal';
+  end if;
+
+  if p_reveal_at <= now() then
+    raise exception 'The reveal time has to be in the future';
+  end if;
+
+  update public.events set reveal_at = p_reveal_at where id = p_event_id;
+end;
+$$;
+
+create or replace function public.reveal_if_due(p_event_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_member(p_event_id) then
+    raise exception 'You are not part of this event';
+  end if;
+
+  if exists (select 1 from public.events where id = p_event_id and reveal_at <= now()) then
+    perform public.reveal_event(p_event_id);
+  end if;
+end;
+$$;
+
+create or replace function public.reveal_due_names()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event_id uuid;
+begin
+  for v_event_id in select id from public.events where reveal_at <= now() loop
+    perform public.reveal_event(v_event_id);
+  end loop;
+end;
+$$;
+
+revoke execute on function public.reveal_due_names() from public, anon, authenticated;
+grant execute on function public.schedule_reveal(uuid, timestamptz) to authenticated;
+grant execute on function public.reveal_if_due(uuid) to authenticated;
+
+create or replace function public.get_lottery_status(p_event_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_member(p_event_id) then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return jsonb_build_object(
+    'drawn', exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null),
+    'revealed', exists (select 1 from public.participants where event_id = p_event_id and is_revealed),
+    'participant_count', (select count(*) from public.participants where event_id = p_event_id),
+    'draw_id', (select id from public.draws where event_id = p_event_id and cleared_at is null order by created_at desc limit 1),
+    'reveal_at', (select reveal_at from public.events where id = p_event_id)
+  );
+end;
+$$;
+
+-- Members see a new or cancelled schedule without reloading
+drop trigger if exists events_broadcast_reveal_at on public.events;
+
+create trigger events_broadcast_reveal_at
+  after update of reveal_at on public.events
+  for each row execute function public.broadcast_event_row_changes();
+
+create extension if not exists pg_cron;
+
+select cron.schedule('reveal-due-names', '* * * * *', 'select public.reveal_due_names()');
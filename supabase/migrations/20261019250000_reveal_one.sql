@@ -0,0 +1,71 @@
+-- Revealing one person at a time. The step-by-step reveal on the Gift
+-- Exchange Chain page calls reveal_participant() as each receiver is shown on
+-- stage, so that giver's own screen flips to the name at the same moment.
+-- is_revealed was always per row; get_lottery_status() now also says whether
+-- everyone has been revealed, since "revealed" only means it has started.
+-- The seed waits for that too: with it anyone can re-run the draw, which
+-- would give away the pairs not shown yet.
+
+create or replace function public.reveal_participant(p_event_id uuid, p_giver_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can reveal names';
+  end if;
+
+  update public.participants
+  set is_revealed = true
+  where event_id = p_event_id and id = p_giver_id and drawn_participant_id is not null;
+
+  if not found then
+    raise exception 'Participant "%" has nobody to buy for', p_giver_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.reveal_participant(uuid, text) to authenticated;
+
+create or replace function public.get_lottery_status(p_event_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_member(p_event_id) then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return jsonb_build_object(
+    'drawn', exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null),
+    'revealed', exists (select 1 from public.participants where event_id = p_event_id and is_revealed),
+    'all_revealed', exists (select 1 from public.participants where event_id = p_event_id and drawn_participant_id is not null)
+      and not exists (
+        select 1 from public.participants
+        where event_id = p_event_id and drawn_participant_id is not null and not is_revealed
+      ),
+    'participant_count', (select count(*) from public.participants where event_id = p_event_id),
+    'draw_id', (select id from public.draws where event_id = p_event_id and cleared_at is null order by created_at desc limit 1),
+    'reveal_at', (select reveal_at from public.events where id = p_event_id)
+  );
+end;
+$$;
+
+create or replace view public.draw_commitments as
+  select
+    d.id,
+    d.event_id,
+    d.commitment,
+    d.participants_hash,
+    case when not exists (
+      select 1 from public.participants p
+      where p.event_id = d.event_id and p.drawn_participant_id is not null and not p.is_revealed
+    ) then d.seed end as seed,
+    d.created_at
+  from public.draws d
+  where public.is_member(d.event_id) and d.cleared_at is null;
@@ -0,0 +1,179 @@
+-- Bulk import of participants and the year-end export (see
+-- src/importExport.js).
+--
+-- import_participants() adds a list of people to an event in one go. Usernames
+-- nobody has yet get an account with the temporary password the app
+-- generated, stored like the passwords of accounts from before Supabase Auth
+-- (pending_password_hash): the first login checks it and moves the account to
+-- Supabase Auth through begin_account_claim(). Usernames that are taken are
+-- left out: people who already have an account join with the invite code.
+--
+-- The wish checks of update_my_wishes() move into check_wishes() so imported
+-- wishes get the same ones.
+create or replace function public.check_wishes(p_event_id uuid, p_wishes jsonb)
+returns void
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_wish jsonb;
+  v_budget_max numeric;
+begin
+  if jsonb_typeof(p_wishes) <> 'array' then
+    raise exception 'Wishes must be a list';
+  end if;
+
+  if jsonb_array_length(p_wishes) > 20 then
+    raise exception 'At most 20 wishes, please';
+  end if;
+
+  select budget_max into v_budget_max from public.events where id = p_event_id;
+
+  for v_wish in select * from jsonb_array_elements(p_wishes) loop
+    if jsonb_typeof(v_wish) = 'string' then
+      continue;
+    end if;
+
+    if jsonb_typeof(v_wish) <> 'object' or jsonb_typeof(v_wish->'title') is distinct from 'string' then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if trim(v_wish->>'title') = '' and v_wish->'surprise' is distinct from 'true'::jsonb
+      and (v_wish ? 'link' or v_wish ? 'price') then
+      raise exception 'Every wish needs a title';
+    end if;
+
+    if v_wish ? 'link' and (v_wish->>'link') !~* '^https?://\S+$' then
+      raise exception '"%" is not a web link (http:// or https://)', v_wish->>'link';
+    end if;
+
+    if v_wish ? 'price' and (jsonb_typeof(v_wish->'price') <> 'number' or (v_wish->>'price')::numeric < 0) then
+      raise exception 'Prices must be a positive number';
+    end if;
+
+    if v_wish ? 'price' and (v_wish->>'price')::numeric > v_budget_max then
+      raise exception '"%" is over the budget', v_wish->>'title';
+    end if;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.check_wishes(uuid, jsonb) from public, anon, authenticated;
+
+create or replace function public.update_my_wishes(p_event_id uuid, p_wishes jsonb)
+returns setof public.my_memberships
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.check_wishes(p_event_id, p_wishes);
+
+  update public.participants
+  set wishes = p_wishes
+  where event_id = p_event_id and id = public.current_account_id();
+
+  if not found then
+    raise exception 'You are not part of this event';
+  end if;
+
+  return query select * from public.my_memberships where event_id = p_event_id;
+end;
+$$;
+
+-- p_participants is a list of { id, name, wishes, password }. All or
+-- nothing: one bad row and nobody is imported. Only new accounts are made
+-- here: a username that is already taken is left out, since nobody should
+-- be put into an event (under a name of the organizer's choosing) without
+-- agreeing; people who have an account join with the invite code. Returns
+-- the usernames that got an account, so the app knows whose temporary
+-- password to hand out.
+create or replace function public.import_participants(p_event_id uuid, p_participants jsonb)
+returns text[]
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_row jsonb;
+  v_id text;
+  v_name text;
+  v_account public.accounts%rowtype;
+  v_created text[] := '{}';
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can import participants';
+  end if;
+
+  if jsonb_typeof(p_participants) <> 'array' then
+    raise exception 'Expected a list of participants';
+  end if;
+
+  for v_row in select * from jsonb_array_elements(p_participants) loop
+    v_id := trim(v_row->>'id');
+    if coalesce(v_id, '') = '' then
+      raise exception 'Every participant needs a username';
+    end if;
+    v_name := coalesce(nullif(trim(v_row->>'name'), ''), v_id);
+
+    perform public.check_wishes(p_event_id, coalesce(v_row->'wishes', '[]'::jsonb));
+
+    if exists (select 1 from unnest(v_created) c where lower(c) = lower(v_id)) then
+      raise exception '"%" is already in this event', v_id;
+    end if;
+
+    select * into v_account from public.accounts where lower(id) = lower(v_id);
+    if found then
+      continue;
+    end if;
+
+    if coalesce(v_row->>'password', '') = '' then
+      raise exception '"%" needs a password', v_id;
+    end if;
+
+    insert into public.accounts (id, name, pending_password_hash)
+    values (v_id, v_name, crypt(v_row->>'password', gen_salt('bf')))
+    returning * into v_account;
+    v_created := v_created || v_account.id;
+
+    insert into public.participants (event_id, id, name, wishes)
+    values (p_event_id, v_account.id, v_name, coalesce(v_row->'wishes', '[]'::jsonb));
+  end loop;
+
+  return v_created;
+end;
+$$;
+
+grant execute on function public.import_participants(uuid, jsonb) to authenticated;
+
+-- Admins only: everyone's wishes, receiver and gift progress, for archiving
+-- the year. The app puts the chain in order.
+create or replace function public.get_event_export(p_event_id uuid)
+returns table (
+  id text,
+  name text,
+  wishes jsonb,
+  drawn_participant_id text,
+  gift_status text,
+  gift_received boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin(p_event_id) then
+    raise exception 'Only admins can export the event';
+  end if;
+
+  return query
+    select p.id, p.name, p.wishes, p.drawn_participant_id, p.gift_status, p.gift_received_at is not null
+    from public.participants p
+    where p.event_id = p_event_id
+    order by p.name;
+end;
+$$;
+
+grant execute on function public.get_event_export(uuid) to authenticated;
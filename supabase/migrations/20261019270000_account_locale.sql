@@ -0,0 +1,40 @@
+-- The language someone picked in the app, kept on their account so it follows
+-- them to every device. The app still keeps a copy in localStorage to start
+-- in the right language before the account is loaded (see
+-- src/LanguageProvider.jsx). Null until they pick one.
+
+alter table public.accounts
+  add column if not exists locale text check (locale in ('en', 'th'));
+
+create or replace function public.get_my_locale()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select locale from public.accounts where id = public.current_account_id();
+$$;
+
+grant execute on function public.get_my_locale() to authenticated;
+
+create or replace function public.set_my_locale(p_locale text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_locale is null or p_locale not in ('en', 'th') then
+    raise exception 'Unknown language';
+  end if;
+
+  update public.accounts set locale = p_locale where id = public.current_account_id();
+
+  if not found then
+    raise exception 'Not logged in';
+  end if;
+end;
+$$;
+
+grant execute on function public.set_my_locale(text) to authenticated;